@@ -114,6 +114,26 @@ const MCP_TOOLS_AUTH = {
     }
   },
 
+  get_league_rosters_expanded_requires_auth: {
+    config: {
+      title: 'Get League Rosters (Expanded)',
+      description: 'Get all rosters for a specific league with player names, positions, teams, injury status and owner names inline',
+      inputSchema: {
+        leagueId: z.string()
+          .min(1, { message: "League ID is required" })
+          .regex(/^\d+$/, { message: "League ID must be numeric" })
+          .describe('Sleeper league ID'),
+        expand: z.array(z.enum(['players', 'owners']))
+          .min(1)
+          .default(['players', 'owners'])
+          .describe('Related data to include inline (default: players and owners)')
+      }
+    },
+    callback: async ({ leagueId, expand = ['players', 'owners'] }, apiKey) => {
+      return await callSleeperAPI(`/sleeper/league/${leagueId}/rosters?expand=${expand.join(',')}`, 'GET', null, apiKey, true)
+    }
+  },
+
   get_league_users_requires_auth: {
     config: {
       title: 'Get League Users',
@@ -170,7 +190,7 @@ const MCP_TOOLS_AUTH = {
   get_league_transactions_requires_auth: {
     config: {
       title: 'Get League Transactions',
-      description: 'Get transactions for a specific league',
+      description: 'Get transactions for a specific league. Without a week, returns the whole season newest first with player and owner names resolved',
       inputSchema: {
         leagueId: z.string()
           .min(1, { message: "League ID is required" })
@@ -181,12 +201,27 @@ const MCP_TOOLS_AUTH = {
           .min(1, { message: "Week must be at least 1" })
           .max(18, { message: "Week cannot exceed 18" })
           .optional()
-          .describe('NFL week number (1-18), optional')
+          .describe('NFL week number (1-18), optional'),
+        type: z.enum(['trade', 'waiver', 'free_agent', 'commissioner'])
+          .optional()
+          .describe('Only include this transaction type (whole-season feed only)'),
+        rosterId: z.coerce.number()
+          .int()
+          .min(1)
+          .optional()
+          .describe('Only include transactions involving this roster (whole-season feed only)')
       }
     },
-    callback: async ({ leagueId, week }, apiKey) => {
+    callback: async ({ leagueId, week, type, rosterId }, apiKey) => {
       let url = `/sleeper/league/${leagueId}/transactions`
-      if (week) url += `/${week}`
+      if (week) {
+        url += `/${week}`
+      } else {
+        const params = []
+        if (type) params.push(`type=${type}`)
+        if (rosterId) params.push(`roster_id=${rosterId}`)
+        if (params.length > 0) url += `?${params.join('&')}`
+      }
       return await callSleeperAPI(url, 'GET', null, apiKey, true)
     }
   },
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * NFL Schedule Import Script
+ * Loads a season's games from a CSV or JSON file into the local database
+ */
+
+require('dotenv').config()
+
+const fs = require('fs')
+const database = require('../src/config/database')
+const scheduleService = require('../src/services/scheduleService')
+
+function showHelp() {
+  console.log(`
+🏈 Schedule Importer
+
+Usage: node scripts/import-schedule.js <file> [options]
+
+Options:
+  --season <year>   Season for rows without a season column (inferred from names like schedule_2024.csv)
+  help              Show this help message
+
+Files need week, home_team and away_team columns (CSV header or JSON keys; home/away also work)
+and may carry season, gameday/kickoff and game_type. Only REG games are kept. JSON may be an
+array of games or { "games": [...] }. Importing a season replaces its stored games.
+
+Examples:
+  node scripts/import-schedule.js data/imports/schedule_2024.csv
+  node scripts/import-schedule.js games.json --season 2024
+`)
+}
+
+function parseArgs(args) {
+  const options = {}
+  const positional = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1]
+      i++
+    } else {
+      positional.push(args[i])
+    }
+  }
+  return { target: positional[0], options }
+}
+
+async function main() {
+  const { target, options } = parseArgs(process.argv.slice(2))
+
+  if (!target || target === 'help') {
+    showHelp()
+    return
+  }
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`)
+  }
+
+  await database.connect()
+  try {
+    const result = await scheduleService.importFile(target, { season: options.season })
+    console.log(`✅ ${result.file}: ${result.imported} games imported for ${result.seasons.join(', ')}, ${result.skipped} skipped`)
+  } finally {
+    await database.close()
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Schedule Import Error:', error.message)
+  process.exit(1)
+})
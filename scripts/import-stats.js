@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Stats/Projections Import Script
+ * Loads weekly stat lines from CSV or JSON files into the local database
+ */
+
+require('dotenv').config()
+
+const fs = require('fs')
+const database = require('../src/config/database')
+const statsService = require('../src/services/statsService')
+
+function showHelp() {
+  console.log(`
+📊 Stats Importer
+
+Usage: node scripts/import-stats.js <file|directory> [options]
+
+Options:
+  --kind <stats|projections>   What the file holds (inferred from names like stats_2024_week7.csv)
+  --season <year>              Season for rows without a season column
+  --week <number>              Week for rows without a week column
+  --source <name>              Provider name stored with each row (defaults to the file name)
+  help                         Show this help message
+
+Files need a player_id column (CSV header or JSON key) and one column per Sleeper stat
+name (pass_yd, rush_td, rec, ...). JSON may also be an object keyed by player_id.
+
+Examples:
+  node scripts/import-stats.js data/imports/stats_2024_week7.csv
+  node scripts/import-stats.js provider.json --kind projections --season 2024 --week 8
+  node scripts/import-stats.js data/imports
+`)
+}
+
+function parseArgs(args) {
+  const options = {}
+  const positional = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1]
+      i++
+    } else {
+      positional.push(args[i])
+    }
+  }
+  return { target: positional[0], options }
+}
+
+async function main() {
+  const { target, options } = parseArgs(process.argv.slice(2))
+
+  if (!target || target === 'help') {
+    showHelp()
+    return
+  }
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`)
+  }
+
+  await database.connect()
+  try {
+    const results = fs.statSync(target).isDirectory()
+      ? await statsService.importDirectory(target)
+      : [await statsService.importFile(target, {
+          kind: options.kind,
+          season: options.season,
+          week: options.week ? Number(options.week) : undefined,
+          source: options.source
+        })]
+
+    if (results.length === 0) {
+      console.log('ℹ️  No new or changed files to import')
+    }
+    for (const result of results) {
+      if (result.error) {
+        console.error(`❌ ${result.file}: ${result.error}`)
+      } else {
+        console.log(`✅ ${result.file}: ${result.imported} ${result.kind} rows imported, ${result.skipped} skipped`)
+      }
+    }
+  } finally {
+    await database.close()
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Stats Import Error:', error.message)
+  process.exit(1)
+})
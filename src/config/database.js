@@ -1,11 +1,95 @@
 const sqlite3 = require('sqlite3').verbose()
 const path = require('path')
 const fs = require('fs')
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Normalized players table; replacePlayers fills a staging copy and renames it into place
+const playersTableSQL = (name) => `CREATE TABLE IF NOT EXISTS ${name} (
+        player_id TEXT PRIMARY KEY,
+        first_name TEXT,
+        last_name TEXT,
+        full_name TEXT,
+        search_full_name TEXT,
+        position TEXT,
+        team TEXT,
+        status TEXT,
+        injury_status TEXT,
+        age INTEGER,
+        years_exp INTEGER,
+        search_rank INTEGER,
+        fantasy_positions TEXT NOT NULL DEFAULT '[]',
+        data TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+
+const PLAYER_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_players_updated_at ON players(updated_at)',
+  'CREATE INDEX IF NOT EXISTS idx_players_position ON players(position)',
+  'CREATE INDEX IF NOT EXISTS idx_players_team ON players(team)',
+  'CREATE INDEX IF NOT EXISTS idx_players_status ON players(status)',
+  'CREATE INDEX IF NOT EXISTS idx_players_injury_status ON players(injury_status)',
+  'CREATE INDEX IF NOT EXISTS idx_players_search_rank ON players(search_rank)',
+  'CREATE INDEX IF NOT EXISTS idx_players_search_full_name ON players(search_full_name)'
+]
+
+const PLAYER_COLUMNS = [
+  'player_id', 'first_name', 'last_name', 'full_name', 'search_full_name', 'position', 'team', 'status',
+  'injury_status', 'age', 'years_exp', 'search_rank', 'fantasy_positions', 'data'
+]
+
+// Rows per multi-row insert, staying under SQLite's default limit of 999 bound parameters
+const PLAYER_INSERT_BATCH = Math.floor(999 / PLAYER_COLUMNS.length)
+
+// Player fields stored as dedicated, indexed columns (the full object is kept in `data`)
+const toPlayerRow = (playerId, player) => ([
+  playerId,
+  player.first_name || null,
+  player.last_name || null,
+  player.full_name || (player.first_name && player.last_name ? `${player.first_name} ${player.last_name}` : null),
+  player.search_full_name || null,
+  player.position || null,
+  player.team || null,
+  player.status || null,
+  player.injury_status || null,
+  Number.isFinite(player.age) ? player.age : null,
+  Number.isFinite(player.years_exp) ? player.years_exp : null,
+  Number.isFinite(player.search_rank) ? player.search_rank : null,
+  JSON.stringify(player.fantasy_positions || []),
+  JSON.stringify(player)
+])
+
+// Tables holding weekly stat lines, by kind
+const STAT_LINE_TABLES = {
+  stats: 'player_stats',
+  projections: 'player_projections'
+}
+
+const statLineTable = (kind) => {
+  const table = STAT_LINE_TABLES[kind]
+  if (!table) throw new Error(`Unknown stat line kind: ${kind}`)
+  return table
+}
+
+const parseWebhookRow = (row) => {
+  if (!row) return row
+  let events = []
+  try {
+    events = JSON.parse(row.events)
+  } catch (e) {
+    events = []
+  }
+  return { ...row, events, active: row.active === 1 }
+}
 
 class Database {
   constructor() {
     this.db = null
     this.dbPath = process.env.DATABASE_PATH || './data/database.sqlite'
+    // Every statement shares one connection, so while a transaction is open anything issued
+    // outside it waits for it to finish rather than joining it
+    this.transactionContext = new AsyncLocalStorage()
+    this.transactionLock = Promise.resolve()
+    this.playersReplacement = Promise.resolve()
   }
 
   async connect() {
@@ -48,11 +132,18 @@ class Database {
   }
 
   async initializeTables() {
+    // Older databases stored every player as one JSON blob; move it aside before recreating the table
+    const legacyPlayersTable = await this.prepareLegacyPlayersMigration()
+
     const createTables = [
-      `CREATE TABLE IF NOT EXISTS players (
-        id TEXT PRIMARY KEY,
-        data TEXT NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      playersTableSQL('players'),
+      `CREATE TABLE IF NOT EXISTS player_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       `CREATE TABLE IF NOT EXISTS trending_players (
         id TEXT PRIMARY KEY,
@@ -60,6 +151,19 @@ class Database {
         data TEXT NOT NULL,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
+      `CREATE TABLE IF NOT EXISTS trending_snapshots (
+        type TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        captured_hour TEXT NOT NULL,
+        PRIMARY KEY (type, captured_hour, player_id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS trending_captures (
+        type TEXT NOT NULL,
+        captured_hour TEXT NOT NULL,
+        captured_at TEXT NOT NULL,
+        PRIMARY KEY (type, captured_hour)
+      )`,
       `CREATE TABLE IF NOT EXISTS cache_metadata (
         key TEXT PRIMARY KEY,
         value TEXT NOT NULL,
@@ -81,20 +185,105 @@ class Database {
         preferences TEXT DEFAULT '{}',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS player_stats (
+        player_id TEXT NOT NULL,
+        season TEXT NOT NULL,
+        week INTEGER NOT NULL,
+        stats TEXT NOT NULL,
+        source TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (player_id, season, week)
+      )`,
+      `CREATE TABLE IF NOT EXISTS player_projections (
+        player_id TEXT NOT NULL,
+        season TEXT NOT NULL,
+        week INTEGER NOT NULL,
+        stats TEXT NOT NULL,
+        source TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (player_id, season, week)
+      )`,
+      `CREATE TABLE IF NOT EXISTS stat_imports (
+        file_path TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        file_mtime INTEGER NOT NULL,
+        rows_imported INTEGER NOT NULL,
+        error TEXT,
+        imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS nfl_schedule (
+        season TEXT NOT NULL,
+        week INTEGER NOT NULL,
+        home_team TEXT NOT NULL,
+        away_team TEXT NOT NULL,
+        kickoff TEXT,
+        source TEXT,
+        PRIMARY KEY (season, week, home_team)
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        league_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '[]',
+        description TEXT,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        success INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhook_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhook_cursors (
+        league_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (league_id, kind)
       )`
     ]
 
     // Create indexes for better performance
     const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_players_updated_at ON players(updated_at)',
+      ...PLAYER_INDEXES,
+      'CREATE INDEX IF NOT EXISTS idx_player_changes_player_id ON player_changes(player_id, changed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_player_changes_changed_at ON player_changes(changed_at)',
       'CREATE INDEX IF NOT EXISTS idx_trending_players_type ON trending_players(type)',
       'CREATE INDEX IF NOT EXISTS idx_trending_players_updated_at ON trending_players(updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_trending_snapshots_player ON trending_snapshots(type, player_id, captured_hour)',
       'CREATE INDEX IF NOT EXISTS idx_cache_metadata_updated_at ON cache_metadata(updated_at)',
       'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(active)',
       'CREATE INDEX IF NOT EXISTS idx_api_keys_last_used ON api_keys(last_used)',
       'CREATE INDEX IF NOT EXISTS idx_user_profiles_sleeper_user_id ON user_profiles(sleeper_user_id)',
-      'CREATE INDEX IF NOT EXISTS idx_user_profiles_updated_at ON user_profiles(updated_at)'
+      'CREATE INDEX IF NOT EXISTS idx_user_profiles_updated_at ON user_profiles(updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_player_stats_week ON player_stats(season, week)',
+      'CREATE INDEX IF NOT EXISTS idx_player_projections_week ON player_projections(season, week)',
+      'CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_webhooks_league_id ON webhooks(league_id, active)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_queue_webhook ON webhook_queue(webhook_id, next_attempt_at)'
     ]
 
     // Execute table creation with proper error handling
@@ -117,22 +306,79 @@ class Database {
       }
     }
 
+    if (legacyPlayersTable) {
+      await this.migrateLegacyPlayers(legacyPlayersTable)
+    }
+
+    // Snapshots stored before captures were tracked count as captured at the start of their hour
+    await this.run(`
+      INSERT OR IGNORE INTO trending_captures (type, captured_hour, captured_at)
+      SELECT DISTINCT type, captured_hour, captured_hour FROM trending_snapshots
+    `)
+
+    // stat_imports tables created before failed imports were recorded lack the error column
+    const statImportColumns = await this.all('PRAGMA table_info(stat_imports)')
+    if (!statImportColumns.some(column => column.name === 'error')) {
+      await this.run('ALTER TABLE stat_imports ADD COLUMN error TEXT')
+    }
+
     console.log('Database tables and indexes created successfully')
   }
 
-  run(sql, params = []) {
+  // Rename a blob-style players table (id, data) so the normalized table can be created
+  async prepareLegacyPlayersMigration() {
+    const columns = await this.all('PRAGMA table_info(players)')
+    const columnNames = columns.map(column => column.name)
+
+    if (columns.length === 0 || columnNames.includes('player_id')) {
+      return null
+    }
+
+    console.log('Migrating legacy players table to row-per-player schema')
+    await this.run('DROP INDEX IF EXISTS idx_players_updated_at')
+    await this.run('ALTER TABLE players RENAME TO players_legacy')
+    return 'players_legacy'
+  }
+
+  // Copy the cached blob from the legacy table into the normalized table, then drop it
+  async migrateLegacyPlayers(legacyTable) {
+    const legacy = await this.get(`SELECT data FROM ${legacyTable} WHERE id = ?`, ['all_players'])
+
+    if (legacy) {
+      try {
+        const players = JSON.parse(legacy.data)
+        await this.replacePlayers(players)
+        console.log(`Migrated ${Object.keys(players).length} players from legacy cache`)
+      } catch (error) {
+        // The next cache refresh repopulates the table, so a bad blob is not fatal
+        console.error('Error migrating legacy players cache:', error)
+      }
+    }
+
+    await this.run(`DROP TABLE ${legacyTable}`)
+  }
+
+  // Resolves once no transaction other than the caller's own is open
+  async waitForTransactions() {
+    if (this.transactionContext.getStore()) return
+    await this.transactionLock
+  }
+
+  async run(sql, params = []) {
+    await this.waitForTransactions()
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           reject(err)
         } else {
-          resolve({ id: this.lastID })
+          resolve({ id: this.lastID, changes: this.changes })
         }
       })
     })
   }
 
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransactions()
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -144,7 +390,8 @@ class Database {
     })
   }
 
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransactions()
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
@@ -156,6 +403,35 @@ class Database {
     })
   }
 
+  // Run a set of statements atomically. Transactions queue behind each other; statements made
+  // inside work() join the transaction and nested calls simply run inside the outer one.
+  async transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work()
+    }
+
+    const previous = this.transactionLock
+    let release
+    this.transactionLock = new Promise(resolve => { release = resolve })
+
+    try {
+      await previous
+      return await this.transactionContext.run(true, async () => {
+        await this.run('BEGIN TRANSACTION')
+        try {
+          const result = await work()
+          await this.run('COMMIT')
+          return result
+        } catch (error) {
+          await this.run('ROLLBACK')
+          throw error
+        }
+      })
+    } finally {
+      release()
+    }
+  }
+
   close() {
     return new Promise((resolve, reject) => {
       if (this.db) {
@@ -204,6 +480,54 @@ class Database {
     return this.run(sql, [daysOld])
   }
 
+  // Player cache management
+  // Replace the whole player table with a fresh snapshot keyed by player_id,
+  // recording any field changes detected against the previous snapshot
+  // The snapshot is written to a staging table first, so readers keep seeing the previous one
+  // until a short transaction swaps the tables
+  async replacePlayers(players, changes = []) {
+    const replacement = this.playersReplacement.catch(() => {}).then(() => this.swapInPlayers(players, changes))
+    this.playersReplacement = replacement
+    return replacement
+  }
+
+  async swapInPlayers(players, changes) {
+    const entries = Object.entries(players)
+    const rowPlaceholders = `(${PLAYER_COLUMNS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)`
+
+    await this.run('DROP TABLE IF EXISTS players_staging')
+    await this.run(playersTableSQL('players_staging'))
+    for (let i = 0; i < entries.length; i += PLAYER_INSERT_BATCH) {
+      const batch = entries.slice(i, i + PLAYER_INSERT_BATCH)
+      await this.run(
+        `INSERT INTO players_staging (${PLAYER_COLUMNS.join(', ')}, updated_at) VALUES ${batch.map(() => rowPlaceholders).join(', ')}`,
+        batch.flatMap(([playerId, player]) => toPlayerRow(playerId, player))
+      )
+    }
+
+    return this.transaction(async () => {
+      await this.run('DROP TABLE IF EXISTS players')
+      await this.run('ALTER TABLE players_staging RENAME TO players')
+      for (const sql of PLAYER_INDEXES) {
+        await this.run(sql)
+      }
+
+      for (const change of changes) {
+        await this.run(
+          'INSERT INTO player_changes (player_id, field, old_value, new_value) VALUES (?, ?, ?, ?)',
+          [change.player_id, change.field, change.old_value, change.new_value]
+        )
+      }
+
+      return entries.length
+    })
+  }
+
+  async cleanupPlayerChanges(daysOld = 365) {
+    const sql = "DELETE FROM player_changes WHERE changed_at < datetime('now', '-' || ? || ' days')"
+    return this.run(sql, [daysOld])
+  }
+
   // User Profile Management
   async createUserProfile(userId, profileData) {
     const { sleeper_user_id, sleeper_username, display_name, preferences = {} } = profileData
@@ -241,6 +565,195 @@ class Database {
     const sql = 'SELECT user_id, sleeper_user_id, sleeper_username, display_name, created_at, updated_at FROM user_profiles ORDER BY updated_at DESC'
     return this.all(sql)
   }
+
+  // Weekly stat lines and projections (stored as JSON keyed by Sleeper stat name)
+  async getWeeklyStatLines(kind, season, week, playerIds) {
+    const table = statLineTable(kind)
+    const lines = {}
+    // Stay well below SQLite's bound parameter limit
+    for (let i = 0; i < playerIds.length; i += 500) {
+      const chunk = playerIds.slice(i, i + 500)
+      const rows = await this.all(
+        `SELECT player_id, stats FROM ${table} WHERE season = ? AND week = ? AND player_id IN (${chunk.map(() => '?').join(', ')})`,
+        [String(season), Number(week), ...chunk]
+      )
+      for (const row of rows) {
+        lines[row.player_id] = JSON.parse(row.stats)
+      }
+    }
+    return lines
+  }
+
+  async getPlayerStatLines(kind, playerId, { season = null, week = null } = {}) {
+    const conditions = ['player_id = ?']
+    const params = [playerId]
+    if (season !== null) {
+      conditions.push('season = ?')
+      params.push(String(season))
+    }
+    if (week !== null) {
+      conditions.push('week = ?')
+      params.push(Number(week))
+    }
+
+    const rows = await this.all(
+      `SELECT season, week, stats, source, updated_at FROM ${statLineTable(kind)} WHERE ${conditions.join(' AND ')} ORDER BY season DESC, week DESC`,
+      params
+    )
+    return rows.map(row => ({ ...row, stats: JSON.parse(row.stats) }))
+  }
+
+  // Insert or replace stat lines ({ player_id, season, week, stats }) in one transaction
+  async upsertStatLines(kind, lines, source = null) {
+    const sql = `
+      INSERT OR REPLACE INTO ${statLineTable(kind)} (player_id, season, week, stats, source, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `
+    return this.transaction(async () => {
+      for (const line of lines) {
+        await this.run(sql, [line.player_id, String(line.season), Number(line.week), JSON.stringify(line.stats), source])
+      }
+      return lines.length
+    })
+  }
+
+  async getStatImport(filePath) {
+    return this.get('SELECT * FROM stat_imports WHERE file_path = ?', [filePath])
+  }
+
+  // error is set when the file failed to import, so it is retried only once it changes
+  async recordStatImport({ file_path, kind, file_size, file_mtime, rows_imported, error = null }) {
+    const sql = `
+      INSERT OR REPLACE INTO stat_imports (file_path, kind, file_size, file_mtime, rows_imported, error, imported_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `
+    return this.run(sql, [file_path, kind, file_size, file_mtime, rows_imported, error])
+  }
+
+  // NFL schedule
+  async getSchedule(season) {
+    return this.all('SELECT season, week, home_team, away_team, kickoff FROM nfl_schedule WHERE season = ? ORDER BY week, kickoff, home_team', [String(season)])
+  }
+
+  // Replace every game of the seasons present in games
+  async replaceSchedule(games, source = null) {
+    const seasons = [...new Set(games.map(game => String(game.season)))]
+    const sql = 'INSERT OR REPLACE INTO nfl_schedule (season, week, home_team, away_team, kickoff, source) VALUES (?, ?, ?, ?, ?, ?)'
+    return this.transaction(async () => {
+      for (const season of seasons) {
+        await this.run('DELETE FROM nfl_schedule WHERE season = ?', [season])
+      }
+      for (const game of games) {
+        await this.run(sql, [String(game.season), Number(game.week), game.home_team, game.away_team, game.kickoff, source])
+      }
+      return games.length
+    })
+  }
+
+  // Webhook management
+  async createWebhook(userId, { league_id, url, secret, events, description = null }) {
+    const sql = 'INSERT INTO webhooks (user_id, league_id, url, secret, events, description) VALUES (?, ?, ?, ?, ?, ?)'
+    const { id } = await this.run(sql, [userId, league_id, url, secret, JSON.stringify(events), description])
+    return this.getWebhook(id, userId)
+  }
+
+  async getWebhook(id, userId) {
+    const sql = 'SELECT * FROM webhooks WHERE id = ? AND user_id = ?'
+    return parseWebhookRow(await this.get(sql, [id, userId]))
+  }
+
+  async getUserWebhooks(userId) {
+    const sql = 'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC, id DESC'
+    return (await this.all(sql, [userId])).map(parseWebhookRow)
+  }
+
+  async getActiveWebhooks() {
+    const sql = 'SELECT * FROM webhooks WHERE active = 1 ORDER BY league_id, id'
+    return (await this.all(sql)).map(parseWebhookRow)
+  }
+
+  async deleteWebhook(id, userId) {
+    // Deliveries and queued events are removed through ON DELETE CASCADE
+    return this.run('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId])
+  }
+
+  async logWebhookDelivery({ webhook_id, delivery_id, event, attempt, success, status_code = null, error = null, duration_ms = null }) {
+    const sql = `
+      INSERT INTO webhook_deliveries
+      (webhook_id, delivery_id, event, attempt, success, status_code, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+    return this.run(sql, [webhook_id, delivery_id, event, attempt, success ? 1 : 0, status_code, error, duration_ms])
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    const sql = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?'
+    return this.all(sql, [webhookId, limit])
+  }
+
+  async cleanupWebhookDeliveries(daysOld = 30) {
+    const sql = "DELETE FROM webhook_deliveries WHERE created_at < datetime('now', '-' || ? || ' days')"
+    return this.run(sql, [daysOld])
+  }
+
+  // Events waiting for their first or next delivery attempt
+  async queueWebhookDelivery(webhookId, payload) {
+    const sql = 'INSERT INTO webhook_queue (webhook_id, delivery_id, event, payload) VALUES (?, ?, ?, ?)'
+    return this.run(sql, [webhookId, payload.id, payload.event, JSON.stringify(payload)])
+  }
+
+  // Due deliveries for active webhooks, oldest first, with the webhook's URL and secret.
+  // A webhook with an earlier delivery still backing off has nothing due, so each receiver gets events in order.
+  async getDueWebhookDeliveries(limit = 200) {
+    const sql = `
+      SELECT q.id, q.webhook_id, q.payload, q.attempts, w.url, w.secret
+      FROM webhook_queue q
+      JOIN webhooks w ON w.id = q.webhook_id
+      WHERE w.active = 1
+        AND q.next_attempt_at <= CURRENT_TIMESTAMP
+        AND NOT EXISTS (
+          SELECT 1 FROM webhook_queue earlier
+          WHERE earlier.webhook_id = q.webhook_id AND earlier.id < q.id AND earlier.next_attempt_at > CURRENT_TIMESTAMP
+        )
+      ORDER BY q.id
+      LIMIT ?
+    `
+    return (await this.all(sql, [limit])).map(row => ({ ...row, payload: JSON.parse(row.payload) }))
+  }
+
+  async rescheduleWebhookDelivery(id, attempts, delayMs) {
+    const sql = "UPDATE webhook_queue SET attempts = ?, next_attempt_at = datetime('now', '+' || ? || ' seconds') WHERE id = ?"
+    return this.run(sql, [attempts, Math.ceil(delayMs / 1000), id])
+  }
+
+  async removeQueuedWebhookDelivery(id) {
+    return this.run('DELETE FROM webhook_queue WHERE id = ?', [id])
+  }
+
+  // Last event each league has been checked up to, per event source
+  async getWebhookCursor(leagueId, kind) {
+    const row = await this.get('SELECT value FROM webhook_cursors WHERE league_id = ? AND kind = ?', [leagueId, kind])
+    return row ? row.value : null
+  }
+
+  async setWebhookCursor(leagueId, kind, value) {
+    const sql = `
+      INSERT OR REPLACE INTO webhook_cursors (league_id, kind, value, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `
+    return this.run(sql, [leagueId, kind, String(value)])
+  }
+
+  // Forget a cursor (and any per-item cursors named "<kind>:<id>") so it restarts from the present
+  async deleteWebhookCursors(leagueId, kind) {
+    const sql = "DELETE FROM webhook_cursors WHERE league_id = ? AND (kind = ? OR kind LIKE ? || ':%')"
+    return this.run(sql, [leagueId, kind, kind])
+  }
+
+  async pruneWebhookCursors() {
+    const sql = 'DELETE FROM webhook_cursors WHERE league_id NOT IN (SELECT league_id FROM webhooks WHERE active = 1)'
+    return this.run(sql)
+  }
 }
 
 module.exports = new Database()
@@ -30,6 +30,7 @@ router.get('/health', async (req, res) => {
           : null,
         isStale: cacheStatus.isStale,
         failureMoreRecentThanSuccess: cacheStatus.failureMoreRecentThanSuccess,
+        playersCount: cacheStatus.playersCount,
         playersDataSize: cacheStatus.playersDataSize,
         trendingAddDataSize: cacheStatus.trendingAddDataSize,
         trendingDropDataSize: cacheStatus.trendingDropDataSize
@@ -104,27 +105,56 @@ router.get('/', (req, res) => {
         update: '/profile',
         delete: '/profile',
         verify: '/profile/verify-sleeper',
-        status: '/profile/status'
+        status: '/profile/status',
+        webhooks: '/profile/webhooks',
+        webhookDeliveries: '/profile/webhooks/:id/deliveries',
+        webhookTest: '/profile/webhooks/:id/test'
       },
       sleeper: {
         user: '/sleeper/user/:identifier',
         leagues: '/sleeper/leagues/:sport/:season',
+        dashboard: '/sleeper/me/dashboard',
+        exposure: '/sleeper/user/:userId/exposure/:season',
         league: '/sleeper/league/:leagueId',
         rosters: '/sleeper/league/:leagueId/rosters',
         users: '/sleeper/league/:leagueId/users',
         matchups: '/sleeper/league/:leagueId/matchups/:week',
-        transactions: '/sleeper/league/:leagueId/transactions/:week',
+        matchupStream: '/sleeper/league/:leagueId/matchups/:week/stream',
+        matchupPairs: '/sleeper/league/:leagueId/matchups/:week/pairs',
+        standings: '/sleeper/league/:leagueId/standings',
+        powerRankings: '/sleeper/league/:leagueId/power-rankings',
+        injuries: '/sleeper/league/:leagueId/injuries',
+        optimalLineup: '/sleeper/league/:leagueId/roster/:rosterId/optimal-lineup/:week',
+        rosterByes: '/sleeper/league/:leagueId/roster/:rosterId/byes',
+        rescore: '/sleeper/league/:leagueId/rescore/:week',
+        waivers: '/sleeper/league/:leagueId/waivers',
+        history: '/sleeper/league/:leagueId/history',
+        winnersBracket: '/sleeper/league/:leagueId/winners_bracket?expand=true',
+        losersBracket: '/sleeper/league/:leagueId/losers_bracket?expand=true',
+        transactions: '/sleeper/league/:leagueId/transactions',
+        transactionsByWeek: '/sleeper/league/:leagueId/transactions/:week',
+        trades: '/sleeper/league/:leagueId/trades',
         tradedPicks: '/sleeper/league/:leagueId/traded_picks',
+        draftBoard: '/sleeper/draft/:draftId/board',
+        draftReport: '/sleeper/draft/:draftId/report',
+        draftStream: '/sleeper/draft/:draftId/stream',
         nflState: '/sleeper/state/nfl'
       },
       players: {
         all: '/players/nfl',
         trending: '/players/nfl/trending/:type',
+        trendingHistory: '/players/trending/:type/history?player_id=:playerId',
         searchById: '/players/search/id/:playerId',
         searchByName: '/players/search/name?q=:searchTerm',
         searchByPosition: '/players/search/position/:position',
         searchByTeam: '/players/search/team/:team',
         active: '/players/active',
+        injuries: '/players/injuries',
+        query: '/players/query',
+        changes: '/players/changes?since=:timestamp',
+        history: '/players/:playerId/history',
+        stats: '/players/:playerId/stats?season=:season&week=:week',
+        projections: '/players/:playerId/projections?season=:season&week=:week',
         cacheStatus: '/players/cache/status',
         cacheRefresh: '/players/cache/refresh'
       },
@@ -2,8 +2,12 @@ const express = require('express')
 const { query, param, validationResult } = require('express-validator')
 const cacheService = require('../services/cacheService')
 const playerSearchService = require('../services/playerSearchService')
+const statsService = require('../services/statsService')
 const { requireAPIKey, optionalAPIKey } = require('../middleware/simpleAuth')
 const { authAwareRateLimiters } = require('../middleware/authAwareRateLimit')
+const { TRACKED_PLAYER_FIELDS } = require('../utils/playerChanges')
+const { toList, validateTeam } = require('../utils/validation')
+const { INJURY_STATUSES, normalizeInjuryStatus, describeInjury, countByStatus } = require('../utils/injuries')
 const logger = require('../config/logger')
 
 const router = express.Router()
@@ -20,6 +24,10 @@ const handleValidationErrors = (req, res, next) => {
   next()
 }
 
+const QUERY_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF', 'DL', 'LB', 'DB']
+// Raw injury_status values a player query can match: the injury designations plus Sleeper's NA and DNR
+const QUERY_INJURY_STATUSES = [...INJURY_STATUSES, 'NA', 'DNR']
+
 // Get all players (cached)
 router.get('/nfl',
   optionalAPIKey, // Players data doesn't require auth
@@ -41,29 +49,39 @@ router.get('/nfl',
   }
 )
 
-// Get trending players (cached)
+// Get trending players for any lookback window (served from stored hourly snapshots when possible)
 router.get('/nfl/trending/:type',
   optionalAPIKey,
   authAwareRateLimiters.playerEndpoints,
   param('type').isIn(['add', 'drop']).withMessage('Type must be add or drop'),
-  query('lookback_hours').optional().isInt({ min: 1, max: 168 }).withMessage('Lookback hours must be between 1 and 168'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('lookback_hours').optional().isInt({ min: 1, max: 168 }).withMessage('Lookback hours must be between 1 and 168').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('details').optional().isBoolean().withMessage('Details must be true or false').toBoolean(),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { type } = req.params
-      const trendingPlayers = await cacheService.getTrendingPlayers(type)
-      
-      logger.info('Trending players retrieved from cache:', { type, count: trendingPlayers.length })
-      
-      // Apply limit if specified
-      const limit = parseInt(req.query.limit) || trendingPlayers.length
-      const limitedResults = trendingPlayers.slice(0, limit)
-      
-      res.json(limitedResults)
+      const lookbackHours = req.query.lookback_hours || 24
+      const limit = req.query.limit || 25
+      const { players, source, note } = await cacheService.getTrendingPlayersWindow(type, lookbackHours, limit)
+
+      logger.info('Trending players retrieved:', { type, lookbackHours, limit, source, count: players.length })
+
+      // Source and note live in the body rather than headers, which the response cache does not replay
+      if (!req.query.details) {
+        return res.json(players)
+      }
+      res.json({
+        type,
+        lookback_hours: lookbackHours,
+        limit,
+        source,
+        note,
+        players
+      })
     } catch (error) {
       logger.error('Error fetching trending players:', error)
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: 'Failed to fetch trending players',
         message: error.message
       })
@@ -71,6 +89,47 @@ router.get('/nfl/trending/:type',
   }
 )
 
+// Hourly add/drop history and velocity for one player
+router.get('/trending/:type/history',
+  optionalAPIKey,
+  authAwareRateLimiters.playerEndpoints,
+  param('type').isIn(['add', 'drop']).withMessage('Type must be add or drop'),
+  query('player_id').notEmpty().withMessage('player_id is required'),
+  query('hours').optional().isInt({ min: 1, max: 336 }).withMessage('Hours must be between 1 and 336').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type } = req.params
+      const playerId = req.query.player_id
+      const hours = req.query.hours || 168
+
+      const [player, history] = await Promise.all([
+        playerSearchService.searchPlayerById(playerId),
+        cacheService.getTrendingHistory(type, playerId, hours)
+      ])
+
+      logger.info('Trending history retrieved:', { type, playerId, hours, total: history.total })
+
+      res.json({
+        player_id: playerId,
+        player_name: player ? player.full_name || `${player.first_name} ${player.last_name}` : null,
+        type,
+        hours,
+        total: history.total,
+        velocity: history.velocity,
+        note: history.note,
+        history: history.points
+      })
+    } catch (error) {
+      logger.error('Error fetching trending history:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch trending history',
+        message: error.message
+      })
+    }
+  }
+)
+
 // Search players by ID
 router.get('/search/id/:playerId',
   optionalAPIKey,
@@ -102,7 +161,7 @@ router.get('/search/id/:playerId',
   }
 )
 
-// Search players by name
+// Search players by name (fuzzy, phonetic and nickname matching)
 router.get('/search/name',
   optionalAPIKey,
   authAwareRateLimiters.searchEndpoints,
@@ -192,6 +251,72 @@ router.get('/search/team/:team',
   }
 )
 
+// Query players with combined filters, sorting and cursor pagination
+router.get('/query',
+  optionalAPIKey,
+  authAwareRateLimiters.searchEndpoints,
+  query('position').optional().customSanitizer(toList)
+    .custom(positions => positions.every(position => QUERY_POSITIONS.includes(position.toUpperCase())))
+    .withMessage(`Positions must be among: ${QUERY_POSITIONS.join(', ')}`),
+  query('team').optional().customSanitizer(toList)
+    .custom(teams => teams.every(team => /^[A-Za-z]{2,3}$/.test(team)))
+    .withMessage('Teams must be 2-3 character abbreviations (use FA for free agents)'),
+  query('status').optional().customSanitizer(toList),
+  query('injury_status').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(status => QUERY_INJURY_STATUSES.includes(status)))
+    .withMessage(`Injury status must be among: ${QUERY_INJURY_STATUSES.join(', ')}`),
+  query(['min_age', 'max_age']).optional().isInt({ min: 18, max: 60 }).withMessage('Age must be between 18 and 60').toInt(),
+  query(['min_years_exp', 'max_years_exp']).optional().isInt({ min: 0, max: 30 }).withMessage('Years of experience must be between 0 and 30').toInt(),
+  query('rookie').optional().isBoolean().withMessage('Rookie must be true or false').toBoolean(),
+  query('q').optional().isLength({ min: 2, max: 50 }).withMessage('Name filter must be 2-50 characters'),
+  query('sort').optional().isIn(['search_rank', 'age', 'years_exp', 'name', 'team', 'position']).withMessage('Invalid sort field'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('cursor').optional().isString(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filters = {
+        positions: req.query.position,
+        teams: req.query.team,
+        statuses: req.query.status,
+        injuryStatuses: req.query.injury_status,
+        minAge: req.query.min_age,
+        maxAge: req.query.max_age,
+        minYearsExp: req.query.min_years_exp,
+        maxYearsExp: req.query.max_years_exp,
+        rookie: req.query.rookie,
+        name: req.query.q
+      }
+      const options = {
+        sort: req.query.sort || 'search_rank',
+        order: req.query.order || 'asc',
+        limit: req.query.limit || 25,
+        cursor: req.query.cursor
+      }
+
+      const result = await playerSearchService.queryPlayers(filters, options)
+      
+      logger.info('Players query executed:', { filters, ...options, total: result.total })
+      res.json({
+        total_results: result.total,
+        count: result.players.length,
+        limit: options.limit,
+        sort: options.sort,
+        order: options.order,
+        next_cursor: result.nextCursor,
+        players: result.players
+      })
+    } catch (error) {
+      logger.error('Error querying players:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to query players',
+        message: error.message
+      })
+    }
+  }
+)
+
 // Get active players only
 router.get('/active',
   optionalAPIKey,
@@ -219,6 +344,185 @@ router.get('/active',
   }
 )
 
+// Injury report from the cached player data
+router.get('/injuries',
+  optionalAPIKey,
+  authAwareRateLimiters.playerEndpoints,
+  query('team').optional().customSanitizer(toList)
+    .custom(teams => teams.every(validateTeam))
+    .withMessage('Teams must be NFL team abbreviations')
+    .customSanitizer(teams => teams.map(team => team.toUpperCase())),
+  query('position').optional().customSanitizer(toList)
+    .custom(positions => positions.every(position => QUERY_POSITIONS.includes(position.toUpperCase())))
+    .withMessage(`Positions must be among: ${QUERY_POSITIONS.join(', ')}`)
+    .customSanitizer(positions => positions.map(position => position.toUpperCase())),
+  query('status').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(normalizeInjuryStatus))
+    .withMessage(`Status must be among: ${INJURY_STATUSES.join(', ')}`)
+    .customSanitizer(statuses => [...new Set(statuses.map(normalizeInjuryStatus))]),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filters = {
+        statuses: req.query.status || INJURY_STATUSES,
+        teams: req.query.team || [],
+        positions: req.query.position || []
+      }
+
+      const players = (await playerSearchService.getInjuredPlayers(filters))
+        .map(player => describeInjury(player.player_id, player))
+
+      logger.info('Injury report retrieved:', { ...filters, count: players.length })
+      res.json({
+        total_results: players.length,
+        counts_by_status: countByStatus(players),
+        players
+      })
+    } catch (error) {
+      logger.error('Error fetching injury report:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch injury report',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Player changes detected across daily cache refreshes
+router.get('/changes',
+  optionalAPIKey,
+  authAwareRateLimiters.playerEndpoints,
+  query('since').optional().isISO8601().withMessage('Since must be an ISO 8601 timestamp'),
+  query('field').optional().customSanitizer(toList)
+    .custom(fields => fields.every(field => field === 'player' || TRACKED_PLAYER_FIELDS.includes(field)))
+    .withMessage(`Field must be among: player, ${TRACKED_PLAYER_FIELDS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Default to the last 24 hours ("what changed overnight")
+      const since = req.query.since
+        ? new Date(req.query.since).toISOString()
+        : new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      const fields = req.query.field || []
+      const limit = req.query.limit || 500
+
+      const changes = await cacheService.getPlayerChanges({ since, fields, limit })
+
+      const summary = {}
+      for (const change of changes) {
+        summary[change.field] = (summary[change.field] || 0) + 1
+      }
+      
+      logger.info('Player changes retrieved:', { since, fields, count: changes.length })
+      res.json({
+        since,
+        total_results: changes.length,
+        summary,
+        changes
+      })
+    } catch (error) {
+      logger.error('Error fetching player changes:', error)
+      res.status(500).json({
+        error: 'Failed to fetch player changes',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Change history for a single player
+router.get('/:playerId/history',
+  optionalAPIKey,
+  authAwareRateLimiters.playerEndpoints,
+  param('playerId').notEmpty().withMessage('Player ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { playerId } = req.params
+      const limit = req.query.limit || 100
+
+      const [player, history] = await Promise.all([
+        playerSearchService.searchPlayerById(playerId),
+        cacheService.getPlayerHistory(playerId, limit)
+      ])
+
+      if (!player && history.length === 0) {
+        logger.info('Player not found:', { playerId })
+        return res.status(404).json({
+          error: 'Player not found',
+          message: `No player or history found with ID: ${playerId}`
+        })
+      }
+      
+      logger.info('Player history retrieved:', { playerId, count: history.length })
+      res.json({
+        player_id: playerId,
+        player_name: player?.full_name || (player ? `${player.first_name} ${player.last_name}` : null),
+        position: player?.position || null,
+        team: player?.team || null,
+        total_results: history.length,
+        history
+      })
+    } catch (error) {
+      logger.error('Error fetching player history:', error)
+      res.status(500).json({
+        error: 'Failed to fetch player history',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Weekly stat lines or projections imported for a player
+const statLinesRoute = (kind) => [
+  optionalAPIKey,
+  authAwareRateLimiters.playerEndpoints,
+  param('playerId').notEmpty().withMessage('Player ID is required'),
+  query('season').optional().matches(/^\d{4}$/).withMessage('Season must be a 4-digit year'),
+  query('week').optional().isInt({ min: 1, max: 22 }).withMessage('Week must be between 1 and 22').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { playerId } = req.params
+      const { season = null, week = null } = req.query
+
+      const [player, lines] = await Promise.all([
+        playerSearchService.searchPlayerById(playerId),
+        statsService.getPlayerStatLines(kind, playerId, { season, week })
+      ])
+
+      if (!player && lines.length === 0) {
+        logger.info('Player not found:', { playerId })
+        return res.status(404).json({
+          error: 'Player not found',
+          message: `No player or ${kind} found with ID: ${playerId}`
+        })
+      }
+
+      logger.info(`Player ${kind} retrieved:`, { playerId, season, week, count: lines.length })
+      res.json({
+        player_id: playerId,
+        player_name: player?.full_name || (player ? `${player.first_name} ${player.last_name}` : null),
+        position: player?.position || null,
+        team: player?.team || null,
+        total_results: lines.length,
+        [kind]: lines
+      })
+    } catch (error) {
+      logger.error(`Error fetching player ${kind}:`, error)
+      res.status(500).json({
+        error: `Failed to fetch player ${kind}`,
+        message: error.message
+      })
+    }
+  }
+]
+
+router.get('/:playerId/stats', ...statLinesRoute('stats'))
+router.get('/:playerId/projections', ...statLinesRoute('projections'))
+
 // Cache management endpoints (require auth)
 router.get('/cache/status',
   requireAPIKey,
@@ -1,11 +1,17 @@
 const express = require('express')
-const { body, validationResult } = require('express-validator')
+const { body, param, query, validationResult } = require('express-validator')
 const { requireAPIKey } = require('../middleware/simpleAuth')
 const { loadUserProfile, validateSleeperUserId, validateSleeperUsername } = require('../middleware/userProfile')
 const { authLimiter } = require('../middleware/rateLimiter')
 const database = require('../config/database')
 const sleeperService = require('../services/sleeperService')
+const webhookService = require('../services/webhookService')
 const logger = require('../config/logger')
+const { validateLeagueId, toList } = require('../utils/validation')
+const { WEBHOOK_EVENTS, generateWebhookSecret, isAllowedWebhookHost } = require('../utils/webhooks')
+
+// Webhooks a single API key may register
+const MAX_WEBHOOKS_PER_USER = 25
 
 const router = express.Router()
 
@@ -250,4 +256,185 @@ router.get('/status', authLimiter, async (req, res) => {
   }
 })
 
+// The signing secret is only returned when a webhook is created
+const publicWebhook = ({ secret, user_id: userId, ...webhook }) => webhook
+
+const webhookIdParam = param('id').isInt({ min: 1 }).withMessage('Webhook ID must be a positive integer').toInt()
+
+// Load the caller's webhook for :id or respond 404
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await database.getWebhook(req.params.id, req.user.id)
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook with ID ${req.params.id}`
+      })
+    }
+    req.webhook = webhook
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /profile/webhooks - List the caller's webhooks
+router.get('/webhooks', authLimiter, async (req, res) => {
+  try {
+    const webhooks = await database.getUserWebhooks(req.user.id)
+
+    logger.info('Webhooks listed:', { userId: req.user.id, count: webhooks.length })
+    res.json({
+      success: true,
+      available_events: WEBHOOK_EVENTS,
+      webhooks: webhooks.map(publicWebhook)
+    })
+  } catch (error) {
+    logger.error('Error listing webhooks:', error)
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      message: error.message
+    })
+  }
+})
+
+// POST /profile/webhooks - Register a webhook for a league
+router.post('/webhooks',
+  authLimiter,
+  body('league_id').custom((value) => {
+    if (!validateLeagueId(value)) {
+      throw new Error('League ID must be numeric')
+    }
+    return true
+  }),
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+    .withMessage('URL must be an http(s) URL')
+    .bail()
+    .custom(url => isAllowedWebhookHost(new URL(url).hostname))
+    .withMessage('URL must not point at a loopback, private or link-local address'),
+  body('events').optional().customSanitizer(toList).custom((events) => {
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event))
+    if (events.length === 0 || unknown.length > 0) {
+      throw new Error(`Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}`)
+    }
+    return true
+  }),
+  body('description').optional().isLength({ max: 100 }).withMessage('Description must be at most 100 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { league_id: leagueId, url, description } = req.body
+      const events = req.body.events ? [...new Set(req.body.events)] : WEBHOOK_EVENTS
+
+      const existing = await database.getUserWebhooks(req.user.id)
+      if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+        return res.status(400).json({
+          error: 'Webhook limit reached',
+          message: `At most ${MAX_WEBHOOKS_PER_USER} webhooks can be registered per API key`
+        })
+      }
+
+      const league = await sleeperService.getLeague(leagueId)
+      if (!league) {
+        return res.status(400).json({
+          error: 'Invalid league',
+          message: 'Sleeper league not found'
+        })
+      }
+
+      const secret = generateWebhookSecret()
+      const webhook = await database.createWebhook(req.user.id, { league_id: leagueId, url, secret, events, description })
+
+      logger.info('Webhook created:', { userId: req.user.id, webhookId: webhook.id, leagueId, events })
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Store the secret now; it is not shown again.',
+        webhook: { ...publicWebhook(webhook), secret }
+      })
+    } catch (error) {
+      logger.error('Error creating webhook:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to create webhook',
+        message: error.message
+      })
+    }
+  }
+)
+
+// DELETE /profile/webhooks/:id - Remove a webhook and its delivery log
+router.delete('/webhooks/:id',
+  authLimiter,
+  webhookIdParam,
+  handleValidationErrors,
+  loadWebhook,
+  async (req, res) => {
+    try {
+      await database.deleteWebhook(req.webhook.id, req.user.id)
+
+      logger.info('Webhook deleted:', { userId: req.user.id, webhookId: req.webhook.id })
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      })
+    } catch (error) {
+      logger.error('Error deleting webhook:', error)
+      res.status(500).json({
+        error: 'Failed to delete webhook',
+        message: error.message
+      })
+    }
+  }
+)
+
+// GET /profile/webhooks/:id/deliveries - Recent delivery attempts, newest first
+router.get('/webhooks/:id/deliveries',
+  authLimiter,
+  webhookIdParam,
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+  handleValidationErrors,
+  loadWebhook,
+  async (req, res) => {
+    try {
+      const deliveries = await database.getWebhookDeliveries(req.webhook.id, req.query.limit || 50)
+
+      res.json({
+        success: true,
+        webhook_id: req.webhook.id,
+        deliveries: deliveries.map(delivery => ({ ...delivery, success: delivery.success === 1 }))
+      })
+    } catch (error) {
+      logger.error('Error getting webhook deliveries:', error)
+      res.status(500).json({
+        error: 'Failed to get webhook deliveries',
+        message: error.message
+      })
+    }
+  }
+)
+
+// POST /profile/webhooks/:id/test - Send a signed ping event to the webhook
+router.post('/webhooks/:id/test',
+  authLimiter,
+  webhookIdParam,
+  handleValidationErrors,
+  loadWebhook,
+  async (req, res) => {
+    try {
+      const result = await webhookService.sendTest(req.webhook)
+
+      logger.info('Webhook test sent:', { userId: req.user.id, webhookId: req.webhook.id, success: result.success })
+      res.json({
+        success: result.success,
+        delivery: result
+      })
+    } catch (error) {
+      logger.error('Error testing webhook:', error)
+      res.status(500).json({
+        error: 'Failed to test webhook',
+        message: error.message
+      })
+    }
+  }
+)
+
 module.exports = router
@@ -1,9 +1,18 @@
 const express = require('express')
-const { param, validationResult } = require('express-validator')
+const { body, param, query, validationResult } = require('express-validator')
 const sleeperService = require('../services/sleeperService')
+const leagueService = require('../services/leagueService')
+const draftStreamService = require('../services/draftStreamService')
+const matchupStreamService = require('../services/matchupStreamService')
 const { requireAPIKey, optionalAPIKey } = require('../middleware/simpleAuth')
 const { authAwareRateLimiters } = require('../middleware/authAwareRateLimit')
 const { loadUserProfile, getEffectiveSleeperUserId } = require('../middleware/userProfile')
+const { toList, validateTeam } = require('../utils/validation')
+const { openEventStream } = require('../utils/sse')
+const { TRANSACTION_TYPES, TRANSACTION_STATUSES } = require('../utils/transactions')
+const { SCORING_PRESETS } = require('../utils/scoring')
+const { INJURY_STATUSES, normalizeInjuryStatus } = require('../utils/injuries')
+const { SLOT_ELIGIBILITY } = require('../utils/leagueHelpers')
 const logger = require('../config/logger')
 
 const router = express.Router()
@@ -20,6 +29,39 @@ const handleValidationErrors = (req, res, next) => {
   next()
 }
 
+// Comment lines keep idle event streams open through proxies
+const STREAM_HEARTBEAT_MS = 15 * 1000
+
+// Related data that can be joined onto league rosters
+const ROSTER_EXPANSIONS = ['players', 'owners']
+
+// Player positions some starting slot accepts
+const SLOT_POSITIONS = [...new Set(Object.values(SLOT_ELIGIBILITY).flat())]
+
+// Subscribe an event stream to a polling service until the client disconnects
+const pipeToEventStream = async (req, res, subscribe, context) => {
+  const stream = openEventStream(res)
+  const heartbeat = setInterval(() => stream.comment('keep-alive'), STREAM_HEARTBEAT_MS)
+  let unsubscribe = null
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    if (unsubscribe) unsubscribe()
+    stream.close()
+  })
+
+  try {
+    unsubscribe = await subscribe(stream)
+    if (stream.closed) unsubscribe()
+    logger.info('Event stream opened:', { ...context, path: req.path, userId: req.user.id })
+  } catch (error) {
+    logger.error('Error subscribing event stream:', error)
+    clearInterval(heartbeat)
+    stream.send('error', { error: 'Failed to load stream data', message: error.message })
+    stream.close()
+  }
+}
+
 // Helper function to get effective user ID from profile or defaults
 const getEffectiveUserId = (req) => {
   return getEffectiveSleeperUserId(req) || 'default-user'
@@ -73,6 +115,30 @@ router.get('/user/:userId/leagues/:sport/:season',
   }
 )
 
+// Players ranked by how many of a user's leagues roster and start them
+router.get('/user/:userId/exposure/:season',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('userId').notEmpty().withMessage('User ID is required'),
+  param('season').isInt({ min: 2017, max: new Date().getFullYear() + 1 }).withMessage('Invalid season'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId, season } = req.params
+      const exposure = await leagueService.getUserExposure(userId, season)
+
+      logger.info('Player exposure computed:', { userId, season, leagues: exposure.leagues_counted, players: exposure.players.length })
+      res.json(exposure)
+    } catch (error) {
+      logger.error('Error computing player exposure:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to compute player exposure',
+        message: error.message
+      })
+    }
+  }
+)
+
 // Get leagues for authenticated user (convenience endpoint)
 router.get('/leagues/:sport/:season',
   requireAPIKey,
@@ -115,6 +181,42 @@ router.get('/leagues/:sport/:season',
   }
 )
 
+// Current-week summary of every league the authenticated user plays in
+router.get('/me/dashboard',
+  requireAPIKey,
+  loadUserProfile,
+  authAwareRateLimiters.generalEndpoints,
+  async (req, res) => {
+    try {
+      const sleeperUserId = getEffectiveSleeperUserId(req)
+      if (!sleeperUserId) {
+        return res.status(400).json({
+          error: 'No Sleeper user configured',
+          message: 'Please set your Sleeper user ID in your profile first',
+          hint: 'Use PUT /profile to set your sleeper_user_id',
+          profile_status_endpoint: '/profile/status'
+        })
+      }
+
+      const dashboard = await leagueService.getUserDashboard(sleeperUserId)
+
+      logger.info('User dashboard built:', {
+        apiUserId: req.user.id,
+        sleeperUserId,
+        week: dashboard.week,
+        leagues: dashboard.total_leagues
+      })
+      res.json(dashboard)
+    } catch (error) {
+      logger.error('Error building user dashboard:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to build dashboard',
+        message: error.message
+      })
+    }
+  }
+)
+
 router.get('/league/:leagueId',
   requireAPIKey,
   authAwareRateLimiters.generalEndpoints,
@@ -141,13 +243,22 @@ router.get('/league/:leagueId/rosters',
   requireAPIKey,
   authAwareRateLimiters.generalEndpoints,
   param('leagueId').notEmpty().withMessage('League ID is required'),
+  query('expand').optional().customSanitizer(toList)
+    .custom(fields => fields.every(field => ROSTER_EXPANSIONS.includes(field)))
+    .withMessage(`Expand must be among: ${ROSTER_EXPANSIONS.join(', ')}`),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { leagueId } = req.params
-      const rosters = await sleeperService.getLeagueRosters(leagueId)
+      const expand = req.query.expand || []
+      const rosters = expand.length > 0
+        ? await leagueService.getExpandedRosters(leagueId, {
+          players: expand.includes('players'),
+          owners: expand.includes('owners')
+        })
+        : await sleeperService.getLeagueRosters(leagueId)
       
-      logger.info('League rosters retrieved:', { leagueId, count: rosters.length })
+      logger.info('League rosters retrieved:', { leagueId, expand, count: rosters.length })
       res.json(rosters)
     } catch (error) {
       logger.error('Error fetching league rosters:', error)
@@ -204,7 +315,187 @@ router.get('/league/:leagueId/matchups/:week',
   }
 )
 
-router.get('/league/:leagueId/winners_bracket',
+// Live score deltas as server-sent events; one shared upstream poller per league week
+router.get('/league/:leagueId/matchups/:week/stream',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('week').isInt({ min: 1, max: 18 }).withMessage('Week must be between 1 and 18').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    const { leagueId, week } = req.params
+
+    try {
+      // Fail with a normal JSON error before switching to a stream
+      await sleeperService.getLeague(leagueId)
+    } catch (error) {
+      logger.error('Error opening matchup stream:', error)
+      return res.status(error.status || 500).json({
+        error: 'Failed to open matchup stream',
+        message: error.message
+      })
+    }
+
+    await pipeToEventStream(req, res, (stream) => matchupStreamService.subscribe(leagueId, week, stream), { leagueId, week })
+  }
+)
+
+// Head-to-head matchup pairs with owners, per-player points and projected winners
+router.get('/league/:leagueId/matchups/:week/pairs',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('week').isInt({ min: 1, max: 18 }).withMessage('Week must be between 1 and 18'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId, week } = req.params
+      const result = await leagueService.getMatchupPairs(leagueId, week)
+
+      logger.info('League matchup pairs retrieved:', { leagueId, week, pairs: result.pairs.length, status: result.status })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error fetching league matchup pairs:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch league matchup pairs',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Best starting lineup for a roster's week with the swaps needed to get there
+router.get('/league/:leagueId/roster/:rosterId/optimal-lineup/:week',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('rosterId').isInt({ min: 1 }).withMessage('Roster ID must be a positive integer').toInt(),
+  param('week').isInt({ min: 1, max: 18 }).withMessage('Week must be between 1 and 18').toInt(),
+  query('bye_teams').optional().customSanitizer(toList).custom((teams) => {
+    if (!teams.every(validateTeam)) {
+      throw new Error('bye_teams must be NFL team abbreviations')
+    }
+    return true
+  }).customSanitizer(teams => teams.map(team => team.toUpperCase())),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId, rosterId, week } = req.params
+      const result = await leagueService.getOptimalLineup(leagueId, rosterId, week, { byeTeams: req.query.bye_teams })
+
+      logger.info('Optimal lineup computed:', { leagueId, rosterId, week, swaps: result.swaps.length })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error computing optimal lineup:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to compute optimal lineup',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Bye weeks that leave a roster unable to fill its starting lineup
+router.get('/league/:leagueId/roster/:rosterId/byes',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('rosterId').isInt({ min: 1 }).withMessage('Roster ID must be a positive integer').toInt(),
+  query('from_week').optional().isInt({ min: 1, max: 18 }).withMessage('from_week must be between 1 and 18').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId, rosterId } = req.params
+      const result = await leagueService.getRosterByes(leagueId, rosterId, { fromWeek: req.query.from_week })
+
+      logger.info('Roster byes checked:', { leagueId, rosterId, conflicts: result.conflict_weeks.length })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error checking roster byes:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to check roster byes',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Rescore a week under a scoring preset and/or ad hoc scoring_settings and compare outcomes
+router.post('/league/:leagueId/rescore/:week',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('week').isInt({ min: 1, max: 18 }).withMessage('Week must be between 1 and 18').toInt(),
+  body('preset').optional().isIn(Object.keys(SCORING_PRESETS))
+    .withMessage(`Preset must be one of: ${Object.keys(SCORING_PRESETS).join(', ')}`),
+  body('scoring_settings').optional().isObject().withMessage('scoring_settings must be an object').bail()
+    .custom((settings) => {
+      if (!Object.values(settings).every(value => typeof value === 'number' && Number.isFinite(value))) {
+        throw new Error('scoring_settings values must be numbers')
+      }
+      return true
+    }),
+  body().custom((value) => {
+    if (!value?.preset && !value?.scoring_settings) {
+      throw new Error('Provide a preset or scoring_settings to rescore with')
+    }
+    return true
+  }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId, week } = req.params
+      const result = await leagueService.getRescoredWeek(leagueId, week, {
+        preset: req.body.preset,
+        overrides: req.body.scoring_settings
+      })
+
+      logger.info('League week rescored:', { leagueId, week, preset: result.preset, changedOutcomes: result.changed_outcomes })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error rescoring league week:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to rescore league week',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Free agents ranked by trending adds, search_rank and the caller's roster needs
+router.get('/league/:leagueId/waivers',
+  requireAPIKey,
+  loadUserProfile,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  query('position').optional().customSanitizer(toList).customSanitizer(positions => positions.map(position => position.toUpperCase()))
+    .custom(positions => positions.every(position => SLOT_POSITIONS.includes(position)))
+    .withMessage(`Position must be among: ${SLOT_POSITIONS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const result = await leagueService.getWaiverRecommendations(leagueId, {
+        sleeperUserId: getEffectiveSleeperUserId(req),
+        positions: req.query.position || [],
+        limit: req.query.limit || 25
+      })
+
+      logger.info('Waiver recommendations computed:', { leagueId, rosterId: result.roster_id, freeAgents: result.total_free_agents })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error computing waiver recommendations:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to compute waiver recommendations',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Power rankings from all-play records, points-for percentile and recent form
+router.get('/league/:leagueId/power-rankings',
   requireAPIKey,
   authAwareRateLimiters.generalEndpoints,
   param('leagueId').notEmpty().withMessage('League ID is required'),
@@ -212,25 +503,209 @@ router.get('/league/:leagueId/winners_bracket',
   async (req, res) => {
     try {
       const { leagueId } = req.params
-      const bracket = await sleeperService.getLeaguePlayoffBracket(leagueId)
+      const result = await leagueService.getPowerRankings(leagueId)
+
+      logger.info('Power rankings computed:', { leagueId, weeks: result.weeks_counted.length, teams: result.rankings.length })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error computing power rankings:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to compute power rankings',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Injured starters on every roster of a league
+router.get('/league/:leagueId/injuries',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  query('status').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(normalizeInjuryStatus))
+    .withMessage(`Status must be among: ${INJURY_STATUSES.join(', ')}`)
+    .customSanitizer(statuses => [...new Set(statuses.map(normalizeInjuryStatus))]),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const result = await leagueService.getLeagueInjuries(leagueId, { statuses: req.query.status || INJURY_STATUSES })
+
+      logger.info('League injuries retrieved:', { leagueId, injuredStarters: result.total_injured_starters })
+      res.json(result)
+    } catch (error) {
+      logger.error('Error fetching league injuries:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch league injuries',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Every linked season of a dynasty/keeper league with champions and all-time records
+router.get('/league/:leagueId/history',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const history = await leagueService.getLeagueHistory(leagueId)
+
+      logger.info('League history retrieved:', { leagueId, seasons: history.seasons_count })
+      res.json(history)
+    } catch (error) {
+      logger.error('Error fetching league history:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch league history',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Season-long standings computed from completed matchups
+router.get('/league/:leagueId/standings',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const standings = await sleeperService.getLeagueStandings(leagueId)
       
-      logger.info('Playoff bracket retrieved:', { leagueId })
+      logger.info('League standings computed:', { 
+        leagueId, 
+        weeks: standings.weeks_counted.length, 
+        teams: standings.standings.length 
+      })
+      res.json(standings)
+    } catch (error) {
+      logger.error('Error computing league standings:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to compute league standings',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Playoff brackets; ?expand=true resolves owners, match scores and final placements
+const bracketRoute = (type) => [
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  query('expand').optional().isBoolean().withMessage('Expand must be true or false').toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      let bracket
+      if (req.query.expand) {
+        bracket = await leagueService.getExpandedBracket(leagueId, type)
+      } else if (type === 'losers') {
+        bracket = await sleeperService.getLeagueLosersBracket(leagueId)
+      } else {
+        bracket = await sleeperService.getLeaguePlayoffBracket(leagueId)
+      }
+      
+      logger.info('Playoff bracket retrieved:', { leagueId, type, expand: Boolean(req.query.expand) })
       res.json(bracket)
     } catch (error) {
       logger.error('Error fetching playoff bracket:', error)
       res.status(error.status || 500).json({
-        error: 'Failed to fetch playoff bracket',
+        error: type === 'losers' ? 'Failed to fetch losers bracket' : 'Failed to fetch playoff bracket',
+        message: error.message
+      })
+    }
+  }
+]
+
+router.get('/league/:leagueId/winners_bracket', ...bracketRoute('winners'))
+router.get('/league/:leagueId/losers_bracket', ...bracketRoute('losers'))
+
+// Whole-season transaction feed with players and owners resolved
+router.get('/league/:leagueId/transactions',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  query('type').optional().customSanitizer(toList)
+    .custom(types => types.every(type => TRANSACTION_TYPES.includes(type)))
+    .withMessage(`Type must be among: ${TRANSACTION_TYPES.join(', ')}`),
+  query('status').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(status => TRANSACTION_STATUSES.includes(status)))
+    .withMessage(`Status must be among: ${TRANSACTION_STATUSES.join(', ')}`),
+  query('roster_id').optional().isInt({ min: 1 }).withMessage('Roster ID must be a positive integer').toInt(),
+  query(['since', 'until']).optional().isISO8601().withMessage('Dates must be ISO 8601 timestamps'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const { type, status, roster_id: rosterId, since, until } = req.query
+      const limit = req.query.limit || 100
+
+      const feed = await leagueService.getTransactionFeed(leagueId, {
+        types: type,
+        statuses: status,
+        rosterId,
+        since: since ? Date.parse(since) : undefined,
+        until: until ? Date.parse(until) : undefined
+      })
+
+      logger.info('League transaction feed retrieved:', { leagueId, type, status, rosterId, count: feed.transactions.length })
+      res.json({
+        league_id: feed.league_id,
+        season: feed.season,
+        weeks_fetched: feed.weeks,
+        total_results: feed.transactions.length,
+        count: Math.min(limit, feed.transactions.length),
+        transactions: feed.transactions.slice(0, limit)
+      })
+    } catch (error) {
+      logger.error('Error fetching league transaction feed:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to fetch league transactions',
         message: error.message
       })
     }
   }
 )
 
-router.get('/league/:leagueId/transactions/:round?',
+// Completed trades with each side's production since the trade
+router.get('/league/:leagueId/trades',
   requireAPIKey,
   authAwareRateLimiters.generalEndpoints,
   param('leagueId').notEmpty().withMessage('League ID is required'),
-  param('round').optional().isInt({ min: 1 }).withMessage('Round must be a positive integer'),
+  query('roster_id').optional().isInt({ min: 1 }).withMessage('Roster ID must be a positive integer').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { leagueId } = req.params
+      const rosterId = req.query.roster_id
+      const analysis = await leagueService.getTradeAnalysis(leagueId, { rosterId })
+
+      logger.info('League trades analyzed:', { leagueId, rosterId, count: analysis.trades.length })
+      res.json(analysis)
+    } catch (error) {
+      logger.error('Error analyzing league trades:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to analyze league trades',
+        message: error.message
+      })
+    }
+  }
+)
+
+router.get('/league/:leagueId/transactions/:round',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('leagueId').notEmpty().withMessage('League ID is required'),
+  param('round').isInt({ min: 1 }).withMessage('Round must be a positive integer'),
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -362,6 +837,76 @@ router.get('/draft/:draftId/picks',
   }
 )
 
+// Live picks as server-sent events; one shared upstream poller per draft
+router.get('/draft/:draftId/stream',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('draftId').notEmpty().withMessage('Draft ID is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { draftId } = req.params
+
+    try {
+      // Fail with a normal JSON error before switching to a stream
+      await sleeperService.getDraft(draftId)
+    } catch (error) {
+      logger.error('Error opening draft stream:', error)
+      return res.status(error.status || 500).json({
+        error: 'Failed to open draft stream',
+        message: error.message
+      })
+    }
+
+    await pipeToEventStream(req, res, (stream) => draftStreamService.subscribe(draftId, stream), { draftId })
+  }
+)
+
+// Round x slot draft board with players and traded pick ownership resolved
+router.get('/draft/:draftId/board',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('draftId').notEmpty().withMessage('Draft ID is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { draftId } = req.params
+      const board = await leagueService.getDraftBoard(draftId)
+
+      logger.info('Draft board retrieved:', { draftId, picksMade: board.picks_made })
+      res.json(board)
+    } catch (error) {
+      logger.error('Error building draft board:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to build draft board',
+        message: error.message
+      })
+    }
+  }
+)
+
+// Draft grades against search_rank ADP and positional scarcity
+router.get('/draft/:draftId/report',
+  requireAPIKey,
+  authAwareRateLimiters.generalEndpoints,
+  param('draftId').notEmpty().withMessage('Draft ID is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { draftId } = req.params
+      const report = await leagueService.getDraftReport(draftId)
+
+      logger.info('Draft report generated:', { draftId, teams: report.teams.length })
+      res.json(report)
+    } catch (error) {
+      logger.error('Error generating draft report:', error)
+      res.status(error.status || 500).json({
+        error: 'Failed to generate draft report',
+        message: error.message
+      })
+    }
+  }
+)
+
 router.get('/draft/:draftId/traded_picks',
   requireAPIKey,
   authAwareRateLimiters.generalEndpoints,
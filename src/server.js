@@ -6,6 +6,10 @@ const cors = require('cors')
 const compression = require('compression')
 const database = require('./config/database')
 const cacheService = require('./services/cacheService')
+const draftStreamService = require('./services/draftStreamService')
+const matchupStreamService = require('./services/matchupStreamService')
+const webhookService = require('./services/webhookService')
+const statsService = require('./services/statsService')
 const logger = require('./config/logger')
 
 // Import routes
@@ -109,6 +113,12 @@ const gracefulShutdown = async (signal) => {
   logger.info(`${signal} received, starting graceful shutdown`)
   
   try {
+    // Stop live draft and matchup pollers and close their event streams
+    draftStreamService.stopAll()
+    matchupStreamService.stopAll()
+    webhookService.stop()
+    statsService.stop()
+
     // Close database connection
     await database.close()
     logger.info('Database connection closed')
@@ -145,6 +155,12 @@ async function startServer() {
     // Initialize cache service
     await cacheService.initialize()
     logger.info('Cache service initialized')
+
+    // Start checking leagues with registered webhooks for new events
+    webhookService.initialize()
+
+    // Import stat and projection files dropped into the import directory
+    statsService.initialize()
     
     // Start the server
     const server = app.listen(PORT, '0.0.0.0', () => {
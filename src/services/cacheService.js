@@ -1,14 +1,44 @@
+const EventEmitter = require('events')
 const cron = require('node-cron')
 const moment = require('moment-timezone')
 const database = require('../config/database')
 const sleeperService = require('./sleeperService')
 const logger = require('../config/logger')
+const { diffPlayerSnapshots } = require('../utils/playerChanges')
 
-class CacheService {
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+const toISOTimestamp = (value) => value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Each capture covers the hour before it, so one taken sooner than this after the last would overlap it.
+// The minute of slack absorbs scheduler jitter between consecutive hourly runs.
+const MIN_TRENDING_CAPTURE_INTERVAL_MS = HOUR_MS - 60 * 1000
+
+// Sleeper only reports each hour's top players, so a player's summed count misses the hours they fell outside it
+const TRENDING_SERIES_NOTE = 'Counts are summed from hourly top-player snapshots; hours in which a player was outside the top list count as zero, so totals can be lower than Sleeper reports.'
+
+// Start of the UTC hour containing the given time, as an ISO string
+const hourBucket = (time = Date.now()) => {
+  return new Date(Math.floor(time / HOUR_MS) * HOUR_MS).toISOString()
+}
+
+const formatChangeRow = ({ changed_at: changedAt, full_name: fullName, ...change }) => ({
+  ...change,
+  ...(fullName !== undefined && { player_name: fullName }),
+  changed_at: toISOTimestamp(changedAt)
+})
+
+class CacheService extends EventEmitter {
   constructor() {
+    super()
     this.timezone = process.env.CACHE_TIMEZONE || 'America/New_York'
     this.refreshTime = process.env.CACHE_REFRESH_TIME || '06:00'
+    this.changeRetentionDays = parseInt(process.env.PLAYER_CHANGES_RETENTION_DAYS) || 365
+    this.trendingSnapshotLimit = parseInt(process.env.TRENDING_SNAPSHOT_LIMIT) || 100
+    this.trendingRetentionDays = parseInt(process.env.TRENDING_RETENTION_DAYS) || 14
     this.isRefreshing = false
+    this.refreshPromise = null
   }
 
   async initialize() {
@@ -24,6 +54,17 @@ class CacheService {
       timezone: this.timezone
     })
 
+    // Capture hourly trending snapshots so any lookback window can be served locally
+    cron.schedule('5 * * * *', async () => {
+      await this.captureTrendingSnapshot().catch((error) => {
+        logger.error('Scheduled trending snapshot failed:', error)
+      })
+    })
+
+    this.captureTrendingSnapshot().catch((error) => {
+      logger.warn('Initial trending snapshot failed, continuing startup', error)
+    })
+
     // Refresh cache on startup if data is stale or missing
     try {
       await this.checkAndRefreshIfNeeded()
@@ -69,12 +110,20 @@ class CacheService {
     }
   }
 
+  // Callers arriving while a refresh runs share it rather than starting another
   async refreshPlayerCache() {
-    if (this.isRefreshing) {
-      logger.warn('Cache refresh already in progress, skipping')
-      return
+    if (this.refreshPromise) {
+      logger.warn('Cache refresh already in progress, waiting for it')
+      return this.refreshPromise
     }
 
+    this.refreshPromise = this.runPlayerCacheRefresh().finally(() => {
+      this.refreshPromise = null
+    })
+    return this.refreshPromise
+  }
+
+  async runPlayerCacheRefresh() {
     this.isRefreshing = true
     logger.info('Starting player cache refresh')
 
@@ -83,12 +132,20 @@ class CacheService {
       logger.info('Fetching all players from Sleeper API')
       const allPlayers = await sleeperService.getAllPlayers('nfl')
       
-      // Cache all players
-      await database.run(
-        'INSERT OR REPLACE INTO players (id, data, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
-        ['all_players', JSON.stringify(allPlayers)]
-      )
-      logger.info(`Cached ${Object.keys(allPlayers).length} players`)
+      // Diff against the previous snapshot (skipped on the very first load)
+      const previousPlayers = await this.getPlayerSnapshot()
+      const changes = Object.keys(previousPlayers).length > 0
+        ? diffPlayerSnapshots(previousPlayers, allPlayers)
+        : []
+
+      // Cache all players, one row per player, along with the detected changes
+      const playerCount = await database.replacePlayers(allPlayers, changes)
+      logger.info(`Cached ${playerCount} players`, { changesRecorded: changes.length })
+
+      await database.cleanupPlayerChanges(this.changeRetentionDays)
+
+      // Let dependents (e.g. the player search index) rebuild from fresh data
+      this.emit('playersRefreshed', allPlayers)
 
       // Fetch trending players (add)
       logger.info('Fetching trending players (add) from Sleeper API')
@@ -137,22 +194,88 @@ class CacheService {
 
   async getAllPlayers() {
     try {
-      const result = await database.get('SELECT data FROM players WHERE id = ?', ['all_players'])
+      let rows = await database.all('SELECT player_id, data FROM players')
       
-      if (!result) {
+      if (rows.length === 0) {
         logger.warn('No cached players found, triggering refresh')
         await this.refreshPlayerCache()
-        const newResult = await database.get('SELECT data FROM players WHERE id = ?', ['all_players'])
-        return newResult ? JSON.parse(newResult.data) : {}
+        rows = await database.all('SELECT player_id, data FROM players')
       }
 
-      return JSON.parse(result.data)
+      const players = {}
+      for (const row of rows) {
+        players[row.player_id] = JSON.parse(row.data)
+      }
+      return players
     } catch (error) {
       logger.error('Error getting cached players:', error)
       throw new Error('Failed to retrieve cached players')
     }
   }
 
+  // Current players table as { [playerId]: player }, without triggering a refresh
+  async getPlayerSnapshot() {
+    const rows = await database.all('SELECT player_id, data FROM players')
+    const players = {}
+    for (const row of rows) {
+      players[row.player_id] = JSON.parse(row.data)
+    }
+    return players
+  }
+
+  /**
+   * Player changes recorded by daily refreshes
+   * @param {Object} options
+   * @param {string} options.since - ISO timestamp; only changes at or after it are returned
+   * @param {string[]} options.fields - Restrict to these fields
+   * @param {number} options.limit - Maximum number of changes
+   */
+  async getPlayerChanges({ since, fields = [], limit = 500 } = {}) {
+    try {
+      const params = [since]
+      let fieldClause = ''
+      if (fields.length) {
+        fieldClause = `AND c.field IN (${fields.map(() => '?').join(', ')})`
+        params.push(...fields)
+      }
+      params.push(limit)
+
+      const rows = await database.all(
+        `SELECT c.player_id, c.field, c.old_value, c.new_value, c.changed_at,
+                p.full_name, p.position, p.team
+         FROM player_changes c
+         LEFT JOIN players p ON p.player_id = c.player_id
+         WHERE c.changed_at >= datetime(?) ${fieldClause}
+         ORDER BY c.changed_at DESC, c.id DESC
+         LIMIT ?`,
+        params
+      )
+
+      return rows.map(formatChangeRow)
+    } catch (error) {
+      logger.error('Error getting player changes:', error)
+      throw new Error('Failed to retrieve player changes')
+    }
+  }
+
+  async getPlayerHistory(playerId, limit = 100) {
+    try {
+      const rows = await database.all(
+        `SELECT player_id, field, old_value, new_value, changed_at
+         FROM player_changes
+         WHERE player_id = ?
+         ORDER BY changed_at DESC, id DESC
+         LIMIT ?`,
+        [playerId, limit]
+      )
+
+      return rows.map(formatChangeRow)
+    } catch (error) {
+      logger.error('Error getting player history:', error)
+      throw new Error('Failed to retrieve player history')
+    }
+  }
+
   async getTrendingPlayers(type = 'add') {
     try {
       const validTypes = ['add', 'drop']
@@ -182,6 +305,130 @@ class CacheService {
     }
   }
 
+  /**
+   * Store the last hour of trending adds and drops as one bucket per type and hour.
+   * A bucket is written once, and a capture within an hour of the previous one is skipped,
+   * so a restart mid-hour can't store overlapping windows that summed lookbacks count twice.
+   */
+  async captureTrendingSnapshot() {
+    const now = Date.now()
+    const capturedHour = hourBucket(now)
+
+    for (const type of ['add', 'drop']) {
+      const last = await database.get('SELECT MAX(captured_at) as captured_at FROM trending_captures WHERE type = ?', [type])
+      if (last?.captured_at && now - Date.parse(last.captured_at) < MIN_TRENDING_CAPTURE_INTERVAL_MS) {
+        logger.debug(`Trending ${type} players last captured at ${last.captured_at}, skipping`)
+        continue
+      }
+
+      const trending = await sleeperService.getTrendingPlayers('nfl', type, 1, this.trendingSnapshotLimit)
+
+      await database.transaction(async () => {
+        const { changes } = await database.run(
+          'INSERT OR IGNORE INTO trending_captures (type, captured_hour, captured_at) VALUES (?, ?, ?)',
+          [type, capturedHour, new Date(now).toISOString()]
+        )
+        if (changes === 0) return
+
+        for (const { player_id: playerId, count } of trending) {
+          await database.run(
+            'INSERT OR IGNORE INTO trending_snapshots (type, player_id, count, captured_hour) VALUES (?, ?, ?, ?)',
+            [type, playerId, count, capturedHour]
+          )
+        }
+      })
+      logger.info(`Captured ${trending.length} trending ${type} players for ${capturedHour}`)
+    }
+
+    const cutoff = new Date(Date.now() - this.trendingRetentionDays * 24 * HOUR_MS).toISOString()
+    await database.run('DELETE FROM trending_snapshots WHERE captured_hour < ?', [cutoff])
+    await database.run('DELETE FROM trending_captures WHERE captured_hour < ?', [cutoff])
+  }
+
+  // Hour buckets captured for a trending type within the last `hours` hours
+  async getCapturedTrendingHours(type, hours) {
+    const since = hourBucket(Date.now() - (hours - 1) * HOUR_MS)
+    const rows = await database.all(
+      'SELECT captured_hour FROM trending_captures WHERE type = ? AND captured_hour >= ? ORDER BY captured_hour',
+      [type, since]
+    )
+    return { since, hours: rows.map(row => row.captured_hour) }
+  }
+
+  /**
+   * Trending players for an arbitrary lookback window and limit.
+   * Served from the hourly series when it covers the window, otherwise from the
+   * daily snapshot (default 24h/25 request) or directly from Sleeper.
+   * @returns {Object} { players, source, note } - note explains how series counts were derived
+   */
+  async getTrendingPlayersWindow(type = 'add', lookbackHours = 24, limit = 25) {
+    const { since, hours } = await this.getCapturedTrendingHours(type, lookbackHours)
+
+    // Allow one missing bucket (e.g. the current hour not captured yet)
+    if (hours.length >= lookbackHours - 1 && hours.length > 0) {
+      const players = await database.all(
+        `SELECT player_id, SUM(count) as count FROM trending_snapshots
+         WHERE type = ? AND captured_hour >= ?
+         GROUP BY player_id
+         ORDER BY count DESC, player_id
+         LIMIT ?`,
+        [type, since, limit]
+      )
+      return { players, source: 'series', note: TRENDING_SERIES_NOTE }
+    }
+
+    if (lookbackHours === 24 && limit <= 25) {
+      const players = await this.getTrendingPlayers(type)
+      return { players: players.slice(0, limit), source: 'daily_snapshot', note: null }
+    }
+
+    logger.info('Trending series does not cover window, fetching from Sleeper', {
+      type,
+      lookbackHours,
+      capturedHours: hours.length
+    })
+    const players = await sleeperService.getTrendingPlayers('nfl', type, lookbackHours, limit)
+    return { players, source: 'sleeper', note: null }
+  }
+
+  // Hour-by-hour add/drop counts for one player; hours that were never captured are null
+  async getTrendingHistory(type, playerId, hours = 168) {
+    const { since, hours: capturedHours } = await this.getCapturedTrendingHours(type, hours)
+    const rows = await database.all(
+      'SELECT captured_hour, count FROM trending_snapshots WHERE type = ? AND player_id = ? AND captured_hour >= ?',
+      [type, playerId, since]
+    )
+
+    const counts = new Map(rows.map(row => [row.captured_hour, row.count]))
+    const captured = new Set(capturedHours)
+    const points = []
+    let cumulative = 0
+
+    for (let time = Date.parse(since); time <= Date.now(); time += HOUR_MS) {
+      const hour = new Date(time).toISOString()
+      const count = captured.has(hour) ? counts.get(hour) || 0 : null
+      cumulative += count || 0
+      points.push({ hour, count, cumulative })
+    }
+
+    // Velocity: adds/drops per hour over the last 6 captured hours vs the 6 before that
+    const observed = points.filter(point => point.count !== null)
+    const perHour = (slice) => slice.length ? slice.reduce((sum, point) => sum + point.count, 0) / slice.length : null
+    const recent = perHour(observed.slice(-6))
+    const previous = perHour(observed.slice(-12, -6))
+
+    return {
+      points,
+      note: TRENDING_SERIES_NOTE,
+      total: cumulative,
+      velocity: {
+        recent_per_hour: recent,
+        previous_per_hour: previous,
+        change: recent !== null && previous !== null ? recent - previous : null
+      }
+    }
+  }
+
   async getLastRefreshTime() {
     try {
       const result = await database.get(
@@ -215,8 +462,7 @@ class CacheService {
         this.getLastRefreshFailureTime()
       ])
       const playersCount = await database.get(
-        'SELECT LENGTH(data) as size FROM players WHERE id = ?',
-        ['all_players']
+        'SELECT COUNT(*) as count, SUM(LENGTH(data)) as size FROM players'
       )
       const trendingAddCount = await database.get(
         'SELECT LENGTH(data) as size FROM trending_players WHERE id = ?',
@@ -240,6 +486,7 @@ class CacheService {
         lastRefresh,
         lastRefreshFailure,
         isRefreshing: this.isRefreshing,
+        playersCount: playersCount?.count || 0,
         playersDataSize: playersCount?.size || 0,
         trendingAddDataSize: trendingAddCount?.size || 0,
         trendingDropDataSize: trendingDropCount?.size || 0,
@@ -0,0 +1,154 @@
+const sleeperService = require('./sleeperService')
+const playerSearchService = require('./playerSearchService')
+const logger = require('../config/logger')
+const { describePick } = require('../utils/draftBoard')
+
+// Draft status is re-checked every few pick polls to notice the draft finishing
+const STATUS_CHECK_EVERY = 10
+
+class DraftStreamService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.DRAFT_STREAM_POLL_MS) || 3000
+    // draftId -> { subscribers, picks, seen, timer, polls, status }
+    this.drafts = new Map()
+  }
+
+  /**
+   * Subscribe to new picks for a draft. The first subscriber starts a shared poller and
+   * the last one to leave stops it.
+   * @param {string} draftId - Sleeper draft ID
+   * @param {Object} subscriber - { send(event, data, id), close() }
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(draftId, subscriber) {
+    let state = this.drafts.get(draftId)
+
+    if (!state) {
+      state = { subscribers: new Set(), picks: [], seen: new Set(), timer: null, polls: 0, status: null, ready: null }
+      this.drafts.set(draftId, state)
+      state.ready = this.loadInitialPicks(draftId, state)
+    }
+
+    state.subscribers.add(subscriber)
+
+    try {
+      await state.ready
+    } catch (error) {
+      this.unsubscribe(draftId, subscriber)
+      throw error
+    }
+
+    subscriber.send('snapshot', { draft_id: draftId, status: state.status, picks: state.picks })
+    logger.info('Draft stream subscriber added', { draftId, subscribers: state.subscribers.size })
+
+    if (state.status === 'complete') {
+      subscriber.send('complete', { draft_id: draftId })
+      subscriber.close()
+      this.unsubscribe(draftId, subscriber)
+    } else if (!state.timer) {
+      this.schedulePoll(draftId, state)
+    }
+
+    return () => this.unsubscribe(draftId, subscriber)
+  }
+
+  unsubscribe(draftId, subscriber) {
+    const state = this.drafts.get(draftId)
+    if (!state) return
+
+    state.subscribers.delete(subscriber)
+    if (state.subscribers.size === 0) {
+      clearTimeout(state.timer)
+      this.drafts.delete(draftId)
+      logger.info('Draft stream poller stopped', { draftId })
+    }
+  }
+
+  async loadInitialPicks(draftId, state) {
+    const [draft, picks] = await Promise.all([
+      sleeperService.getDraft(draftId),
+      sleeperService.getDraftPicks(draftId)
+    ])
+    state.status = draft.status
+    state.picks = await this.describeNewPicks(picks, state)
+  }
+
+  // Describe picks not seen before, in pick order, and remember them
+  async describeNewPicks(picks, state) {
+    const fresh = picks
+      .filter(pick => !state.seen.has(pick.pick_no))
+      .sort((a, b) => a.pick_no - b.pick_no)
+    if (fresh.length === 0) return []
+
+    const players = await playerSearchService.getPlayersByIds(fresh.map(pick => pick.player_id))
+    for (const pick of fresh) {
+      state.seen.add(pick.pick_no)
+    }
+    return fresh.map(pick => describePick(pick, players))
+  }
+
+  schedulePoll(draftId, state) {
+    state.timer = setTimeout(() => {
+      this.poll(draftId, state)
+        .catch(error => logger.warn('Draft stream poll failed', { draftId, error: error.message }))
+        .finally(() => {
+          // Keep polling only while this state is still the active one for the draft
+          if (this.drafts.get(draftId) === state && state.status !== 'complete') {
+            this.schedulePoll(draftId, state)
+          }
+        })
+    }, this.pollInterval)
+  }
+
+  async poll(draftId, state) {
+    const picks = await sleeperService.getDraftPicks(draftId)
+    const newPicks = await this.describeNewPicks(picks, state)
+
+    for (const pick of newPicks) {
+      state.picks.push(pick)
+      this.broadcast(state, 'pick', pick, pick.pick_no)
+    }
+
+    state.polls++
+    if (state.polls % STATUS_CHECK_EVERY === 0) {
+      const draft = await sleeperService.getDraft(draftId)
+      state.status = draft.status
+    }
+
+    if (state.status === 'complete') {
+      this.broadcast(state, 'complete', { draft_id: draftId })
+      for (const subscriber of [...state.subscribers]) {
+        subscriber.close()
+        this.unsubscribe(draftId, subscriber)
+      }
+    }
+  }
+
+  broadcast(state, event, data, id) {
+    for (const subscriber of state.subscribers) {
+      subscriber.send(event, data, id)
+    }
+  }
+
+  getStats() {
+    return [...this.drafts].map(([draftId, state]) => ({
+      draft_id: draftId,
+      subscribers: state.subscribers.size,
+      picks: state.picks.length,
+      status: state.status
+    }))
+  }
+
+  // Stop every poller and close every subscriber (used on shutdown)
+  stopAll() {
+    for (const [draftId, state] of this.drafts) {
+      clearTimeout(state.timer)
+      for (const subscriber of state.subscribers) {
+        subscriber.close()
+      }
+      this.drafts.delete(draftId)
+    }
+  }
+}
+
+module.exports = new DraftStreamService()
@@ -0,0 +1,724 @@
+const sleeperService = require('./sleeperService')
+const playerSearchService = require('./playerSearchService')
+const statsService = require('./statsService')
+const cacheService = require('./cacheService')
+const scheduleService = require('./scheduleService')
+const logger = require('../config/logger')
+const { SLOT_ELIGIBILITY, roundPoints, entryPoints, indexUsersById, describeOwner, findUserRoster, summarizePlayer } = require('../utils/leagueHelpers')
+const { buildMatchupPairs } = require('../utils/matchupPairs')
+const { describeTransaction, filterTransactions, transactionPlayerIds } = require('../utils/transactions')
+const { indexMatchupsByRoster, analyzeTrade } = require('../utils/tradeAnalysis')
+const { summarizeSeason, buildLeagueHistory } = require('../utils/leagueHistory')
+const { roundWeeks, resolveFinalPlacements } = require('../utils/brackets')
+const { buildDraftBoard, gradeDraft } = require('../utils/draftBoard')
+const { averagePointsByPlayer, optimizeLineup } = require('../utils/lineup')
+const { resolveScoringSettings, scoringDifferences, rescoreWeek } = require('../utils/scoring')
+const { leaguePositions, positionalNeeds, rankWaiverCandidates } = require('../utils/waivers')
+const { POWER_WEIGHTS, computePowerRankings } = require('../utils/powerRankings')
+const { summarizeLeagueWeek } = require('../utils/dashboard')
+const { computeExposure } = require('../utils/exposure')
+const { rosterByeConflicts } = require('../utils/schedule')
+const { INJURY_STATUSES, countByStatus, injuredStartersByRoster } = require('../utils/injuries')
+const { mapWithConcurrency } = require('../utils/concurrency')
+
+// Upper bound on seasons followed through previous_league_id
+const MAX_HISTORY_SEASONS = 25
+
+// Roster fields holding player ID arrays
+const ROSTER_PLAYER_FIELDS = ['players', 'starters', 'reserve', 'taxi']
+
+// Sleeper uses '0' for an empty starting slot
+const isEmptySlot = (playerId) => !playerId || playerId === '0'
+
+// Trending adds window used to rank free agents
+const WAIVER_TRENDING_HOURS = 24
+const WAIVER_TRENDING_LIMIT = 100
+
+// Leagues loaded at once when scanning every league a user plays in
+const USER_LEAGUE_CONCURRENCY = 4
+
+// Starting slots from a draft's settings (slots_qb, slots_flex, ...) for drafts without a league
+const rosterPositionsFromDraft = (draft) => {
+  return Object.entries(draft.settings || {})
+    .filter(([key]) => key.startsWith('slots_'))
+    .flatMap(([key, count]) => Array(Number(count) || 0).fill(key.slice('slots_'.length).toUpperCase()))
+}
+
+class LeagueService {
+  /**
+   * Rosters with player IDs and owners resolved inline
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Object} expand - { players, owners } flags
+   * @returns {Array} Rosters in Sleeper's shape with expanded fields
+   */
+  async getExpandedRosters(leagueId, { players = true, owners = true } = {}) {
+    const [rosters, users] = await Promise.all([
+      sleeperService.getLeagueRosters(leagueId),
+      owners ? sleeperService.getLeagueUsers(leagueId) : []
+    ])
+
+    let playersById = {}
+    if (players) {
+      const playerIds = rosters.flatMap(roster => ROSTER_PLAYER_FIELDS.flatMap(field => roster[field] || []))
+      playersById = await playerSearchService.getPlayersByIds(playerIds.filter(id => !isEmptySlot(id)))
+    }
+
+    const usersById = indexUsersById(users)
+
+    logger.debug('Expanding league rosters', { leagueId, players, owners, rosters: rosters.length })
+
+    return rosters.map(roster => {
+      const expanded = { ...roster }
+
+      if (players) {
+        for (const field of ROSTER_PLAYER_FIELDS) {
+          if (!Array.isArray(roster[field])) continue
+          expanded[field] = roster[field].map(playerId => {
+            return isEmptySlot(playerId) ? null : summarizePlayer(playerId, playersById[playerId])
+          })
+        }
+      }
+
+      if (owners) {
+        expanded.owner = describeOwner(roster, usersById)
+        if (Array.isArray(roster.co_owners)) {
+          expanded.co_owners = roster.co_owners.map(userId => describeOwner({ ...roster, owner_id: userId }, usersById))
+        }
+      }
+
+      return expanded
+    })
+  }
+
+  // Head-to-head pairs for a week with owners, per-player points and projections
+  async getMatchupPairs(leagueId, week) {
+    const [league, matchups, rosters, users] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueMatchups(leagueId, week),
+      sleeperService.getLeagueRosters(leagueId),
+      sleeperService.getLeagueUsers(leagueId)
+    ])
+
+    const lastScoredWeek = await sleeperService.getLastScoredWeek(league)
+    const final = Number(week) <= lastScoredWeek
+    const [players, { averages }, teamsYetToPlay] = await Promise.all([
+      playerSearchService.getPlayersByIds(matchups.flatMap(entry => entry.players || [])),
+      // Projections are only needed while the week is still being played
+      final ? { averages: new Map() } : this.getAveragesBeforeWeek(leagueId, league, week, lastScoredWeek),
+      final ? null : scheduleService.getTeamsYetToPlay(league.season, week)
+    ])
+
+    const { pairs, byes } = buildMatchupPairs({ matchups, rosters, users, players, final, averages, teamsYetToPlay })
+
+    return {
+      league_id: leagueId,
+      week: Number(week),
+      status: final ? 'final' : 'in_progress',
+      pairs,
+      byes
+    }
+  }
+
+  // Points per game by player in this league's scoring, from weeks already scored before `week`
+  // Resolves to { averages, throughWeek } (throughWeek is below start_week when none are scored)
+  async getAveragesBeforeWeek(leagueId, league, week, lastScoredWeek = null) {
+    const startWeek = Number(league.settings?.start_week) || 1
+    const throughWeek = Math.min(lastScoredWeek ?? await sleeperService.getLastScoredWeek(league), Number(week) - 1)
+    const weeks = []
+    for (let scoredWeek = startWeek; scoredWeek <= throughWeek; scoredWeek++) {
+      weeks.push(scoredWeek)
+    }
+    return { averages: averagePointsByPlayer(await sleeperService.getSeasonMatchups(leagueId, weeks)), throughWeek }
+  }
+
+  /**
+   * Best starting lineup for a roster's week from the league's roster_positions, ranking players by
+   * their points per game in this league's scoring so far and skipping byes and Out/IR players
+   * @param {string} leagueId - Sleeper league ID
+   * @param {number} rosterId - Roster to optimize
+   * @param {number} week - NFL week
+   * @param {Object} options - { byeTeams } NFL team codes on bye (from the loaded schedule when omitted)
+   * @returns {Object} Current vs optimal lineup with recommended swaps
+   */
+  async getOptimalLineup(leagueId, rosterId, week, { byeTeams = null } = {}) {
+    const [league, rosters, matchups, ownersByRosterId] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueRosters(leagueId),
+      sleeperService.getLeagueMatchups(leagueId, week),
+      this.getOwnersByRosterId(leagueId)
+    ])
+
+    const roster = rosters.find(candidate => candidate.roster_id === Number(rosterId))
+    if (!roster) {
+      const error = new Error(`Roster ${rosterId} not found in league ${leagueId}`)
+      error.status = 404
+      throw error
+    }
+
+    const { averages, throughWeek } = await this.getAveragesBeforeWeek(leagueId, league, week)
+    const teamsOnBye = byeTeams ?? await scheduleService.getTeamsOnBye(league.season, week)
+
+    // The week's matchup entry holds the lineup set for that week; fall back to the roster's current one
+    const entry = matchups.find(candidate => candidate.roster_id === roster.roster_id)
+    const reserved = new Set([...(roster.reserve || []), ...(roster.taxi || [])])
+    const playerIds = (entry?.players || roster.players || []).filter(playerId => !reserved.has(playerId))
+    const currentStarters = entry?.starters || roster.starters || []
+
+    const players = await playerSearchService.getPlayersByIds([...playerIds, ...currentStarters].filter(id => !isEmptySlot(id)))
+
+    const result = optimizeLineup({
+      rosterPositions: league.roster_positions || [],
+      playerIds,
+      currentStarters,
+      players,
+      averages,
+      byeTeams: new Set(teamsOnBye)
+    })
+
+    return {
+      league_id: leagueId,
+      roster_id: roster.roster_id,
+      ...ownersByRosterId.get(roster.roster_id),
+      week: Number(week),
+      projection_basis: 'season_average',
+      averages_through_week: Math.max(throughWeek, 0),
+      bye_teams: [...new Set(teamsOnBye)],
+      bye_source: byeTeams ? 'request' : 'schedule',
+      ...result
+    }
+  }
+
+  /**
+   * Bye weeks from the loaded NFL schedule that leave a roster unable to fill every starting slot
+   * @param {string} leagueId - Sleeper league ID
+   * @param {number} rosterId - Roster to check
+   * @param {Object} options - { fromWeek } first week to check (defaults to the league's start_week)
+   * @returns {Object} Every bye week with players out and open slots, plus the conflicting weeks
+   */
+  async getRosterByes(leagueId, rosterId, { fromWeek = null } = {}) {
+    const [league, rosters, ownersByRosterId] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueRosters(leagueId),
+      this.getOwnersByRosterId(leagueId)
+    ])
+
+    const roster = rosters.find(candidate => candidate.roster_id === Number(rosterId))
+    if (!roster) {
+      const error = new Error(`Roster ${rosterId} not found in league ${leagueId}`)
+      error.status = 404
+      throw error
+    }
+
+    const byeWeeks = await scheduleService.getByeWeeks(league.season)
+    if (byeWeeks.size === 0) {
+      const error = new Error(`No NFL schedule loaded for the ${league.season} season`)
+      error.status = 404
+      throw error
+    }
+
+    const reserved = new Set([...(roster.reserve || []), ...(roster.taxi || [])])
+    const playerIds = (roster.players || []).filter(playerId => !reserved.has(playerId))
+    const weeks = rosterByeConflicts({
+      rosterPositions: league.roster_positions || [],
+      playerIds,
+      players: await playerSearchService.getPlayersByIds(playerIds),
+      byeWeeks,
+      fromWeek: fromWeek ?? (Number(league.settings?.start_week) || 1)
+    })
+
+    return {
+      league_id: leagueId,
+      roster_id: roster.roster_id,
+      ...ownersByRosterId.get(roster.roster_id),
+      season: league.season,
+      conflict_weeks: weeks.filter(week => !week.full_lineup).map(week => week.week),
+      weeks
+    }
+  }
+
+  /**
+   * A week's starters and matchups rescored from local stat lines under alternative settings
+   * @param {string} leagueId - Sleeper league ID
+   * @param {number} week - NFL week
+   * @param {Object} options - { preset, overrides } layered over the league's scoring_settings
+   * @returns {Object} Actual vs alternative points per team and matchup outcome changes
+   */
+  async getRescoredWeek(leagueId, week, { preset, overrides } = {}) {
+    const [league, matchups, ownersByRosterId] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueMatchups(leagueId, week),
+      this.getOwnersByRosterId(leagueId)
+    ])
+
+    const starterIds = matchups.flatMap(entry => entry.starters || []).filter(playerId => !isEmptySlot(playerId))
+    const [players, statLines] = await Promise.all([
+      playerSearchService.getPlayersByIds(starterIds),
+      statsService.getWeeklyStats(league.season, week, starterIds)
+    ])
+
+    const leagueSettings = league.scoring_settings || {}
+    const scoringSettings = resolveScoringSettings(leagueSettings, { preset, overrides })
+
+    return {
+      league_id: leagueId,
+      season: league.season,
+      week: Number(week),
+      preset: preset || null,
+      scoring_changes: scoringDifferences(leagueSettings, scoringSettings),
+      ...rescoreWeek({ matchups, statLines, players, scoringSettings, ownersByRosterId })
+    }
+  }
+
+  /**
+   * Free agents for a league ranked by trending adds, search_rank and the caller's roster needs
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Object} options - { sleeperUserId, positions, limit }
+   * @returns {Object} { league_id, roster_id, team_needs, total_free_agents, players }
+   */
+  async getWaiverRecommendations(leagueId, { sleeperUserId = null, positions = [], limit = 25 } = {}) {
+    const [league, rosters] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueRosters(leagueId)
+    ])
+
+    const startable = leaguePositions(league.roster_positions || [])
+    const wanted = positions.length > 0 ? startable.filter(position => positions.includes(position)) : startable
+    const rostered = rosters.flatMap(roster => ROSTER_PLAYER_FIELDS.flatMap(field => roster[field] || []))
+
+    const [candidates, trending] = await Promise.all([
+      playerSearchService.getActivePlayersAtPositions(wanted, rostered),
+      cacheService.getTrendingPlayersWindow('add', WAIVER_TRENDING_HOURS, WAIVER_TRENDING_LIMIT)
+    ])
+
+    // Needs are only known when the caller's Sleeper user owns a roster in the league
+    const myRoster = findUserRoster(rosters, sleeperUserId)
+    let needs = {}
+    if (myRoster) {
+      const reserved = new Set(myRoster.reserve || [])
+      const playerIds = (myRoster.players || []).filter(playerId => !reserved.has(playerId))
+      needs = positionalNeeds({
+        rosterPositions: league.roster_positions || [],
+        playerIds,
+        players: await playerSearchService.getPlayersByIds(playerIds)
+      })
+    }
+
+    const trendingAdds = new Map(trending.players.map(player => [player.player_id, player.count]))
+    const ranked = rankWaiverCandidates({ candidates, trendingAdds, needs })
+
+    return {
+      league_id: leagueId,
+      roster_id: myRoster?.roster_id ?? null,
+      positions: wanted,
+      team_needs: needs,
+      trending_source: trending.source,
+      total_free_agents: ranked.length,
+      players: ranked.slice(0, limit)
+    }
+  }
+
+  /**
+   * Power rankings over every completed regular season week
+   * @param {string} leagueId - Sleeper league ID
+   * @returns {Object} { league_id, season, weeks_counted, through_week, rankings }
+   */
+  async getPowerRankings(leagueId) {
+    const [league, rosters, users] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeagueRosters(leagueId),
+      sleeperService.getLeagueUsers(leagueId)
+    ])
+
+    const weeks = await sleeperService.getCompletedRegularSeasonWeeks(league)
+    const weeklyMatchups = await sleeperService.getSeasonMatchups(leagueId, weeks)
+
+    return {
+      league_id: leagueId,
+      name: league.name,
+      season: league.season,
+      weeks_counted: weeks,
+      through_week: weeks.length > 0 ? weeks[weeks.length - 1] : null,
+      weights: POWER_WEIGHTS,
+      rankings: computePowerRankings({ rosters, users, weeklyMatchups })
+    }
+  }
+
+  /**
+   * Current-week summary of every league a Sleeper user plays in this season. A league that fails
+   * to load is reported with its error instead of failing the whole dashboard.
+   * @param {string} sleeperUserId - Sleeper user ID
+   * @returns {Object} { season, week, leagues }
+   */
+  async getUserDashboard(sleeperUserId) {
+    const state = await sleeperService.getNFLState()
+    const season = state.league_season || state.season
+    const week = Math.max(Number(state.display_week ?? state.week) || 1, 1)
+    const leagues = await sleeperService.getUserLeagues(sleeperUserId, 'nfl', season)
+
+    const summaries = await mapWithConcurrency(leagues, USER_LEAGUE_CONCURRENCY, async (league) => {
+      try {
+        const [rosters, users, matchups, transactions] = await Promise.all([
+          sleeperService.getLeagueRosters(league.league_id),
+          sleeperService.getLeagueUsers(league.league_id),
+          sleeperService.getLeagueMatchups(league.league_id, week),
+          sleeperService.getLeagueTransactions(league.league_id, week)
+        ])
+
+        const roster = findUserRoster(rosters, sleeperUserId)
+        const entry = roster ? matchups.find(candidate => candidate.roster_id === roster.roster_id) : null
+        const playerIds = [
+          ...(entry?.starters || roster?.starters || []),
+          ...transactions.flatMap(transaction => [...Object.keys(transaction.adds || {}), ...Object.keys(transaction.drops || {})])
+        ]
+        const players = await playerSearchService.getPlayersByIds(playerIds.filter(id => !isEmptySlot(id)))
+
+        return summarizeLeagueWeek({ league, rosters, users, matchups, transactions, players, sleeperUserId })
+      } catch (error) {
+        logger.warn('Dashboard league failed to load', { leagueId: league.league_id, error: error.message })
+        return { league_id: league.league_id, name: league.name, status: league.status, error: error.message }
+      }
+    })
+
+    return {
+      sleeper_user_id: sleeperUserId,
+      season,
+      week,
+      season_type: state.season_type || null,
+      total_leagues: summaries.length,
+      leagues: summaries
+    }
+  }
+
+  /**
+   * How many of a user's leagues roster and start each player in a season
+   * @param {string} userId - Sleeper user ID
+   * @param {string} season - NFL season
+   * @returns {Object} Exposure table with per-team and per-bye-week breakdowns
+   */
+  async getUserExposure(userId, season) {
+    const leagues = await sleeperService.getUserLeagues(userId, 'nfl', season)
+    const rostersByLeague = await mapWithConcurrency(leagues, USER_LEAGUE_CONCURRENCY, (league) => {
+      return sleeperService.getLeagueRosters(league.league_id)
+    })
+
+    const leagueRosters = leagues
+      .map((league, index) => ({ league, roster: findUserRoster(rostersByLeague[index], userId) }))
+      .filter(({ roster }) => roster)
+    const [players, byeWeeks] = await Promise.all([
+      playerSearchService.getPlayersByIds(leagueRosters.flatMap(({ roster }) => roster.players || [])),
+      scheduleService.getByeWeekByTeam(season)
+    ])
+
+    return {
+      user_id: userId,
+      season: String(season),
+      total_leagues: leagues.length,
+      ...computeExposure({ leagueRosters, players, byeWeeks })
+    }
+  }
+
+  /**
+   * Injured starters on every roster of a league from the cached player data
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Object} options - { statuses } injury designations to include
+   * @returns {Object} { league_id, total_injured_starters, counts_by_status, rosters }
+   */
+  async getLeagueInjuries(leagueId, { statuses = INJURY_STATUSES } = {}) {
+    const [rosters, users] = await Promise.all([
+      sleeperService.getLeagueRosters(leagueId),
+      sleeperService.getLeagueUsers(leagueId)
+    ])
+
+    const starterIds = rosters.flatMap(roster => roster.starters || []).filter(playerId => !isEmptySlot(playerId))
+    const players = await playerSearchService.getPlayersByIds(starterIds)
+    const injuries = injuredStartersByRoster({ rosters, users, players, statuses })
+    const injured = injuries.flatMap(roster => roster.injured_starters)
+
+    return {
+      league_id: leagueId,
+      statuses,
+      total_injured_starters: injured.length,
+      counts_by_status: countByStatus(injured),
+      rosters: injuries
+    }
+  }
+
+  // roster_id -> { owner_id, display_name, team_name }
+  async getOwnersByRosterId(leagueId) {
+    const [rosters, users] = await Promise.all([
+      sleeperService.getLeagueRosters(leagueId),
+      sleeperService.getLeagueUsers(leagueId)
+    ])
+    const usersById = indexUsersById(users)
+    return new Map(rosters.map(roster => [roster.roster_id, describeOwner(roster, usersById)]))
+  }
+
+  /**
+   * Every transaction of the season, newest first, with players and owners resolved
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Object} filters - { statuses, types, rosterId, since, until } (see filterTransactions)
+   * @returns {Object} { league_id, season, weeks, transactions }
+   */
+  async getTransactionFeed(leagueId, filters = {}) {
+    const league = await sleeperService.getLeague(leagueId)
+    const [{ weeks, transactions }, ownersByRosterId] = await Promise.all([
+      sleeperService.getSeasonTransactions(leagueId, league),
+      this.getOwnersByRosterId(leagueId)
+    ])
+
+    const matching = filterTransactions(transactions, filters)
+    const players = await playerSearchService.getPlayersByIds(transactionPlayerIds(matching))
+
+    return {
+      league_id: leagueId,
+      season: league.season,
+      weeks,
+      transactions: matching.map(transaction => describeTransaction(transaction, ownersByRosterId, players))
+    }
+  }
+
+  /**
+   * Completed trades with both sides' production since the trade
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Object} filters - { rosterId }
+   * @returns {Object} { league_id, season, through_week, trades }
+   */
+  async getTradeAnalysis(leagueId, { rosterId } = {}) {
+    const league = await sleeperService.getLeague(leagueId)
+    const [{ transactions }, ownersByRosterId, tradedPicks, lastScoredWeek] = await Promise.all([
+      sleeperService.getSeasonTransactions(leagueId, league),
+      this.getOwnersByRosterId(leagueId),
+      sleeperService.getLeagueTradedPicks(leagueId),
+      sleeperService.getLastScoredWeek(league)
+    ])
+
+    const trades = filterTransactions(transactions, { types: ['trade'], rosterId })
+
+    // Only weeks from the earliest trade on can contribute production
+    const firstWeek = Math.min(...trades.map(trade => trade.leg || 1))
+    const weeks = []
+    for (let week = firstWeek; week <= lastScoredWeek; week++) {
+      weeks.push(week)
+    }
+
+    const [players, weeklyMatchups] = await Promise.all([
+      playerSearchService.getPlayersByIds(transactionPlayerIds(trades)),
+      sleeperService.getSeasonMatchups(leagueId, weeks)
+    ])
+    const matchupIndex = indexMatchupsByRoster(weeklyMatchups)
+
+    return {
+      league_id: leagueId,
+      season: league.season,
+      through_week: weeks.length > 0 ? weeks[weeks.length - 1] : null,
+      trades: trades.map(trade => {
+        return analyzeTrade(describeTransaction(trade, ownersByRosterId, players), matchupIndex, tradedPicks)
+      })
+    }
+  }
+
+  // The league and every earlier season linked through previous_league_id, newest first
+  async getLeagueChain(leagueId) {
+    const leagues = []
+    const seen = new Set()
+    let currentId = leagueId
+
+    while (currentId && currentId !== '0' && !seen.has(currentId) && leagues.length < MAX_HISTORY_SEASONS) {
+      seen.add(currentId)
+      const league = await sleeperService.getLeague(currentId)
+      if (!league) break
+      leagues.push(league)
+      currentId = league.previous_league_id
+    }
+    return leagues
+  }
+
+  /**
+   * Champions, final standings, owner continuity and all-time head-to-head records
+   * across every linked season of a league
+   * @param {string} leagueId - Sleeper league ID of the most recent season to include
+   * @returns {Object} { league_id, seasons_count, seasons, owners, head_to_head }
+   */
+  async getLeagueHistory(leagueId) {
+    const leagues = await this.getLeagueChain(leagueId)
+
+    const seasons = await mapWithConcurrency(leagues, 2, async (league) => {
+      const [rosters, users, bracket, weeks] = await Promise.all([
+        sleeperService.getLeagueRosters(league.league_id),
+        sleeperService.getLeagueUsers(league.league_id),
+        sleeperService.getLeaguePlayoffBracket(league.league_id),
+        sleeperService.getCompletedRegularSeasonWeeks(league)
+      ])
+      const weeklyMatchups = await sleeperService.getSeasonMatchups(league.league_id, weeks)
+
+      return summarizeSeason({ league, rosters, users, weeklyMatchups, bracket: bracket || [] })
+    })
+
+    logger.debug('League history assembled', { leagueId, seasons: seasons.length })
+
+    return {
+      league_id: leagueId,
+      seasons_count: seasons.length,
+      ...buildLeagueHistory(seasons)
+    }
+  }
+
+  /**
+   * A playoff bracket with owners, per-match scores and final placements 1..N
+   * @param {string} leagueId - Sleeper league ID
+   * @param {string} type - 'winners' or 'losers'
+   * @returns {Object} { league_id, bracket, matches, placements }
+   */
+  async getExpandedBracket(leagueId, type = 'winners') {
+    const [league, winnersBracket, losersBracket, ownersByRosterId, { standings }] = await Promise.all([
+      sleeperService.getLeague(leagueId),
+      sleeperService.getLeaguePlayoffBracket(leagueId),
+      sleeperService.getLeagueLosersBracket(leagueId),
+      this.getOwnersByRosterId(leagueId),
+      sleeperService.getLeagueStandings(leagueId)
+    ])
+
+    const bracket = (type === 'losers' ? losersBracket : winnersBracket) || []
+    const finalRound = Math.max(0, ...bracket.map(match => match.r))
+    const weeksByRound = new Map()
+    for (let round = 1; round <= finalRound; round++) {
+      weeksByRound.set(round, roundWeeks(league, round, finalRound).filter(week => week <= 18))
+    }
+
+    const weeks = [...new Set([...weeksByRound.values()].flat())]
+    const weeklyMatchups = await sleeperService.getSeasonMatchups(leagueId, weeks)
+    const pointsByWeek = new Map(weeklyMatchups.map(({ week, matchups }) => {
+      return [week, new Map((matchups || []).map(entry => [entry.roster_id, entryPoints(entry)]))]
+    }))
+
+    const describeOwnerOf = (rosterId) => ownersByRosterId.get(rosterId) || { owner_id: null, display_name: null, team_name: `Team ${rosterId}` }
+
+    const describeSide = (rosterId, from, matchWeeks) => {
+      if (typeof rosterId !== 'number') {
+        return { roster_id: null, from: from || null }
+      }
+      const points = matchWeeks.reduce((sum, week) => sum + (pointsByWeek.get(week)?.get(rosterId) || 0), 0)
+      return { roster_id: rosterId, ...describeOwnerOf(rosterId), points: roundPoints(points), from: from || null }
+    }
+
+    const matches = [...bracket]
+      .sort((a, b) => a.r - b.r || a.m - b.m)
+      .map(match => {
+        const matchWeeks = weeksByRound.get(match.r) || []
+        return {
+          round: match.r,
+          match_id: match.m,
+          weeks: matchWeeks,
+          placement: match.p || null,
+          status: match.w ? 'complete' : 'pending',
+          teams: [describeSide(match.t1, match.t1_from, matchWeeks), describeSide(match.t2, match.t2_from, matchWeeks)],
+          winner_roster_id: match.w || null,
+          loser_roster_id: match.l || null
+        }
+      })
+
+    const placements = resolveFinalPlacements({
+      winnersBracket: winnersBracket || [],
+      losersBracket: losersBracket || [],
+      standingsOrder: standings.map(row => row.roster_id)
+    }).map(({ place, roster_id: rosterId }) => ({ place, roster_id: rosterId, ...describeOwnerOf(rosterId) }))
+
+    return {
+      league_id: leagueId,
+      season: league.season,
+      bracket: type,
+      playoff_week_start: Number(league.settings?.playoff_week_start) || null,
+      matches,
+      placements
+    }
+  }
+
+  // Draft, picks, league roster positions and owners shared by the board and the report
+  async getDraftContext(draftId) {
+    const [draft, picks, tradedPicks] = await Promise.all([
+      sleeperService.getDraft(draftId),
+      sleeperService.getDraftPicks(draftId),
+      sleeperService.getDraftTradedPicks(draftId)
+    ])
+
+    const [league, ownersByRosterId] = draft.league_id
+      ? await Promise.all([sleeperService.getLeague(draft.league_id), this.getOwnersByRosterId(draft.league_id)])
+      : [null, new Map()]
+
+    return {
+      draft,
+      picks,
+      tradedPicks,
+      ownersByRosterId,
+      rosterPositions: league?.roster_positions || rosterPositionsFromDraft(draft)
+    }
+  }
+
+  // Round x slot grid of a draft with players and pick ownership resolved
+  async getDraftBoard(draftId) {
+    const { draft, picks, tradedPicks, ownersByRosterId } = await this.getDraftContext(draftId)
+    const players = await playerSearchService.getPlayersByIds(picks.map(pick => pick.player_id))
+    const { slots, rounds } = buildDraftBoard({ draft, picks, tradedPicks, players, ownersByRosterId })
+
+    return {
+      draft_id: draftId,
+      league_id: draft.league_id || null,
+      season: draft.season,
+      type: draft.type,
+      status: draft.status,
+      picks_made: picks.length,
+      slots,
+      rounds
+    }
+  }
+
+  /**
+   * Grade each team's draft against search_rank ADP and positional scarcity
+   * @param {string} draftId - Sleeper draft ID
+   * @returns {Object} { draft_id, adp_pool_size, scarcity, teams }
+   */
+  async getDraftReport(draftId) {
+    const { draft, picks, ownersByRosterId, rosterPositions } = await this.getDraftContext(draftId)
+
+    if (draft.type === 'auction') {
+      const error = new Error('Draft reports are only available for snake and linear drafts')
+      error.status = 400
+      throw error
+    }
+
+    // Rank a pool half again as deep as the draft so late reaches still have an ADP
+    const draftPositions = [...new Set(rosterPositions.flatMap(slot => SLOT_ELIGIBILITY[slot] || []))]
+    const totalPicks = (Number(draft.settings?.teams) || 0) * (Number(draft.settings?.rounds) || 0)
+    const { players: pool } = await playerSearchService.queryPlayers(
+      { positions: draftPositions },
+      { sort: 'search_rank', limit: Math.ceil(Math.max(totalPicks, picks.length) * 1.5) }
+    )
+
+    const players = await playerSearchService.getPlayersByIds(picks.map(pick => pick.player_id))
+    for (const player of pool) {
+      players[player.player_id] = player
+    }
+
+    const { scarcity, teams } = gradeDraft({
+      draft,
+      picks,
+      adpOrder: pool.map(player => player.player_id),
+      players,
+      rosterPositions,
+      ownersByRosterId
+    })
+
+    return {
+      draft_id: draftId,
+      league_id: draft.league_id || null,
+      season: draft.season,
+      status: draft.status,
+      picks_graded: picks.filter(pick => !pick.is_keeper && pick.player_id).length,
+      adp_pool_size: pool.length,
+      scarcity,
+      teams
+    }
+  }
+}
+
+module.exports = new LeagueService()
@@ -0,0 +1,234 @@
+const sleeperService = require('./sleeperService')
+const playerSearchService = require('./playerSearchService')
+const leagueService = require('./leagueService')
+const logger = require('../config/logger')
+const { roundPoints, entryPoints, summarizePlayer } = require('../utils/leagueHelpers')
+const { isGameWindow } = require('../utils/gameWindows')
+
+const streamKey = (leagueId, week) => `${leagueId}:${week}`
+
+class MatchupStreamService {
+  constructor() {
+    this.livePollInterval = parseInt(process.env.MATCHUP_STREAM_POLL_MS) || 15000
+    this.idlePollInterval = parseInt(process.env.MATCHUP_STREAM_IDLE_POLL_MS) || 5 * 60 * 1000
+    // "leagueId:week" -> { leagueId, week, subscribers, teams, owners, players, live, final, timer, ready }
+    this.streams = new Map()
+  }
+
+  /**
+   * Subscribe to score changes for a league week. Subscribers share one upstream poller
+   * that polls quickly during NFL game windows and slowly otherwise.
+   * @param {string} leagueId - Sleeper league ID
+   * @param {number} week - NFL week
+   * @param {Object} subscriber - { send(event, data, id), close() }
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(leagueId, week, subscriber) {
+    const key = streamKey(leagueId, week)
+    let state = this.streams.get(key)
+
+    if (!state) {
+      state = {
+        leagueId,
+        week: Number(week),
+        subscribers: new Set(),
+        teams: new Map(),
+        owners: new Map(),
+        players: {},
+        live: false,
+        final: false,
+        timer: null,
+        ready: null
+      }
+      this.streams.set(key, state)
+      state.ready = this.loadInitialScores(state)
+    }
+
+    state.subscribers.add(subscriber)
+
+    try {
+      await state.ready
+    } catch (error) {
+      this.unsubscribe(key, subscriber)
+      throw error
+    }
+
+    subscriber.send('snapshot', this.snapshot(state))
+    logger.info('Matchup stream subscriber added', { key, subscribers: state.subscribers.size })
+
+    if (state.final) {
+      subscriber.send('final', { league_id: leagueId, week: state.week })
+      subscriber.close()
+      this.unsubscribe(key, subscriber)
+    } else if (!state.timer) {
+      this.schedulePoll(key, state)
+    }
+
+    return () => this.unsubscribe(key, subscriber)
+  }
+
+  unsubscribe(key, subscriber) {
+    const state = this.streams.get(key)
+    if (!state) return
+
+    state.subscribers.delete(subscriber)
+    if (state.subscribers.size === 0) {
+      clearTimeout(state.timer)
+      this.streams.delete(key)
+      logger.info('Matchup stream poller stopped', { key })
+    }
+  }
+
+  async loadInitialScores(state) {
+    const [owners, matchups] = await Promise.all([
+      leagueService.getOwnersByRosterId(state.leagueId),
+      sleeperService.getLeagueMatchups(state.leagueId, state.week)
+    ])
+    state.owners = owners
+    await this.applyMatchups(state, matchups)
+    await this.refreshStatus(state)
+  }
+
+  // Whether games are live this week and whether the week has finished scoring
+  async refreshStatus(state) {
+    const nflState = await sleeperService.getNFLState()
+    state.live = Number(nflState.week) === state.week && isGameWindow(nflState)
+    if (state.live) {
+      state.final = false
+      return
+    }
+
+    const league = await sleeperService.getLeague(state.leagueId)
+    state.final = state.week <= await sleeperService.getLastScoredWeek(league)
+  }
+
+  /**
+   * Store the latest matchup entries and return what changed since the previous poll
+   * @returns {Array} Score deltas per roster
+   */
+  async applyMatchups(state, matchups) {
+    const missing = matchups
+      .flatMap(entry => entry.starters || [])
+      .filter(playerId => playerId && playerId !== '0' && !state.players[playerId])
+    if (missing.length > 0) {
+      Object.assign(state.players, await playerSearchService.getPlayersByIds(missing))
+    }
+
+    const deltas = []
+    for (const entry of matchups) {
+      const previous = state.teams.get(entry.roster_id)
+      const starters = (entry.starters || [])
+        .filter(playerId => playerId && playerId !== '0')
+        .map(playerId => ({
+          ...summarizePlayer(playerId, state.players[playerId]),
+          points: roundPoints(entry.players_points?.[playerId])
+        }))
+      const team = {
+        roster_id: entry.roster_id,
+        matchup_id: entry.matchup_id ?? null,
+        team_name: state.owners.get(entry.roster_id)?.team_name || `Team ${entry.roster_id}`,
+        points: roundPoints(entryPoints(entry)),
+        starters
+      }
+      state.teams.set(entry.roster_id, team)
+
+      if (!previous) continue
+
+      const previousPoints = new Map(previous.starters.map(player => [player.player_id, player.points]))
+      const changedPlayers = starters
+        .filter(player => previousPoints.get(player.player_id) !== player.points)
+        .map(player => ({
+          player_id: player.player_id,
+          full_name: player.full_name,
+          points: player.points,
+          delta: roundPoints(player.points - (previousPoints.get(player.player_id) || 0))
+        }))
+
+      if (team.points !== previous.points || changedPlayers.length > 0) {
+        deltas.push({
+          roster_id: team.roster_id,
+          matchup_id: team.matchup_id,
+          team_name: team.team_name,
+          points: team.points,
+          previous_points: previous.points,
+          delta: roundPoints(team.points - previous.points),
+          players: changedPlayers
+        })
+      }
+    }
+    return deltas
+  }
+
+  snapshot(state) {
+    return {
+      league_id: state.leagueId,
+      week: state.week,
+      live: state.live,
+      teams: [...state.teams.values()]
+    }
+  }
+
+  schedulePoll(key, state) {
+    const interval = state.live ? this.livePollInterval : this.idlePollInterval
+    state.timer = setTimeout(() => {
+      this.poll(key, state)
+        .catch(error => logger.warn('Matchup stream poll failed', { key, error: error.message }))
+        .finally(() => {
+          if (this.streams.get(key) === state && !state.final) {
+            this.schedulePoll(key, state)
+          }
+        })
+    }, interval)
+  }
+
+  async poll(key, state) {
+    const wasLive = state.live
+    const matchups = await sleeperService.getLeagueMatchups(state.leagueId, state.week)
+    const deltas = await this.applyMatchups(state, matchups)
+
+    for (const delta of deltas) {
+      this.broadcast(state, 'score', delta)
+    }
+
+    await this.refreshStatus(state)
+    if (state.live !== wasLive) {
+      this.broadcast(state, 'status', { live: state.live })
+    }
+
+    if (state.final) {
+      this.broadcast(state, 'final', { league_id: state.leagueId, week: state.week })
+      for (const subscriber of [...state.subscribers]) {
+        subscriber.close()
+        this.unsubscribe(key, subscriber)
+      }
+    }
+  }
+
+  broadcast(state, event, data) {
+    for (const subscriber of state.subscribers) {
+      subscriber.send(event, data)
+    }
+  }
+
+  getStats() {
+    return [...this.streams.values()].map(state => ({
+      league_id: state.leagueId,
+      week: state.week,
+      subscribers: state.subscribers.size,
+      live: state.live
+    }))
+  }
+
+  // Stop every poller and close every subscriber (used on shutdown)
+  stopAll() {
+    for (const [key, state] of this.streams) {
+      clearTimeout(state.timer)
+      for (const subscriber of state.subscribers) {
+        subscriber.close()
+      }
+      this.streams.delete(key)
+    }
+  }
+}
+
+module.exports = new MatchupStreamService()
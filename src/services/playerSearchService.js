@@ -1,40 +1,183 @@
+const database = require('../config/database')
 const cacheService = require('./cacheService')
 const logger = require('../config/logger')
+const {
+  PLAYER_NICKNAMES,
+  normalizeName,
+  trigrams,
+  trigramSimilarity,
+  editSimilarity,
+  phoneticKey
+} = require('../utils/nameMatching')
+
+// Minimum share of query trigrams a name must contain to be scored as a fuzzy candidate
+const MIN_TRIGRAM_OVERLAP = 0.25
+
+// Minimum similarity (0..1) for a fuzzy match to be returned
+const MIN_FUZZY_SIMILARITY = 0.6
+
+const addPosting = (index, key, entryIndex) => {
+  if (!key) return
+  if (!index.has(key)) {
+    index.set(key, new Set())
+  }
+  index.get(key).add(entryIndex)
+}
+
+// Sort unranked players (NULL search_rank) last
+const ORDER_BY_SEARCH_RANK = 'search_rank IS NULL, search_rank'
+
+// Sortable columns for compound player queries
+const QUERY_SORT_COLUMNS = {
+  search_rank: 'search_rank',
+  age: 'age',
+  years_exp: 'years_exp',
+  name: 'last_name',
+  team: 'team',
+  position: 'position'
+}
+
+const placeholders = (values) => values.map(() => '?').join(', ')
+
+// Cursors are opaque to clients; they currently wrap an offset into the sorted result set
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url')
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return 0
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (Number.isInteger(offset) && offset >= 0) return offset
+  } catch (error) {
+    // Fall through to the invalid cursor error below
+  }
+  const cursorError = new Error('Invalid cursor')
+  cursorError.status = 400
+  throw cursorError
+}
+
+const rowToPlayer = (row) => ({
+  player_id: row.player_id,
+  ...JSON.parse(row.data)
+})
 
 class PlayerSearchService {
   constructor() {
-    this.playersCache = null
-    this.lastCacheUpdate = null
+    this.searchIndex = null
+    this.lastIndexBuild = null
+    this.playersAvailable = false
+
+    // Rebuild the search index whenever the daily refresh runs
+    cacheService.on('playersRefreshed', () => {
+      this.rebuildSearchIndex().catch((error) => {
+        logger.error('Error rebuilding player search index:', error)
+      })
+    })
+  }
+
+  // Make sure the players table has been populated at least once
+  async ensurePlayersCached() {
+    if (this.playersAvailable) return
+
+    const countPlayers = async () => (await database.get('SELECT COUNT(*) as count FROM players'))?.count || 0
+    let count = await countPlayers()
+    if (count === 0) {
+      // Waits for a refresh already in flight as well as starting one
+      logger.warn('No cached players found, triggering refresh')
+      await cacheService.refreshPlayerCache()
+      count = await countPlayers()
+    }
+    this.playersAvailable = count > 0
   }
 
-  async getPlayersCache() {
-    // Refresh local cache if it's stale or missing
-    if (!this.playersCache || this.isCacheStale()) {
-      logger.info('Refreshing local players cache')
-      this.playersCache = await cacheService.getAllPlayers()
-      this.lastCacheUpdate = Date.now()
+  async rebuildSearchIndex() {
+    const rows = await database.all(
+      'SELECT player_id, first_name, last_name, search_full_name FROM players WHERE first_name IS NOT NULL AND last_name IS NOT NULL'
+    )
+    this.searchIndex = this.buildSearchIndex(rows)
+    this.lastIndexBuild = Date.now()
+    logger.info('Player search index rebuilt', { indexedPlayers: this.searchIndex.entries.length })
+    return this.searchIndex
+  }
+
+  // Build the tokenized name index: trigram and phonetic postings plus search_full_name lookups
+  buildSearchIndex(rows) {
+    const entries = []
+    const trigramIndex = new Map()
+    const phoneticIndex = new Map()
+    const searchNameIndex = new Map()
+
+    for (const row of rows) {
+      const fullName = normalizeName(`${row.first_name} ${row.last_name}`)
+      if (!fullName) continue
+
+      const tokens = fullName.split(' ')
+      const entry = {
+        playerId: row.player_id,
+        fullName,
+        compactName: tokens.join(''),
+        tokens,
+        grams: trigrams(fullName),
+        phonetics: new Set(tokens.map(phoneticKey))
+      }
+      const entryIndex = entries.push(entry) - 1
+
+      for (const gram of entry.grams) {
+        addPosting(trigramIndex, gram, entryIndex)
+      }
+      for (const key of entry.phonetics) {
+        addPosting(phoneticIndex, key, entryIndex)
+      }
+      addPosting(searchNameIndex, row.search_full_name || entry.compactName, entryIndex)
+    }
+
+    return { entries, trigramIndex, phoneticIndex, searchNameIndex }
+  }
+
+  async getSearchIndex() {
+    await this.ensurePlayersCached()
+    if (!this.searchIndex || this.isIndexStale()) {
+      await this.rebuildSearchIndex()
     }
-    return this.playersCache
+    return this.searchIndex
   }
 
-  isCacheStale() {
-    // Consider cache stale after 1 hour
-    return !this.lastCacheUpdate || (Date.now() - this.lastCacheUpdate) > 60 * 60 * 1000
+  isIndexStale() {
+    // Consider index stale after 1 hour
+    return !this.lastIndexBuild || (Date.now() - this.lastIndexBuild) > 60 * 60 * 1000
+  }
+
+  // Fetch full player objects for a list of IDs, returned as a map keyed by player_id
+  async getPlayersByIds(playerIds) {
+    const uniqueIds = [...new Set(playerIds.filter(Boolean).map(String))]
+    const players = {}
+    if (uniqueIds.length === 0) return players
+
+    await this.ensurePlayersCached()
+
+    // Stay well below SQLite's bound parameter limit
+    for (let i = 0; i < uniqueIds.length; i += 500) {
+      const chunk = uniqueIds.slice(i, i + 500)
+      const rows = await database.all(
+        `SELECT player_id, data FROM players WHERE player_id IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      )
+      for (const row of rows) {
+        players[row.player_id] = rowToPlayer(row)
+      }
+    }
+    return players
   }
 
   async searchPlayerById(playerId) {
     try {
-      const players = await this.getPlayersCache()
-      const player = players[playerId]
+      await this.ensurePlayersCached()
+      const row = await database.get('SELECT player_id, data FROM players WHERE player_id = ?', [playerId])
       
-      if (!player) {
+      if (!row) {
         return null
       }
 
-      return {
-        player_id: playerId,
-        ...player
-      }
+      return rowToPlayer(row)
     } catch (error) {
       logger.error('Error searching player by ID:', error)
       throw new Error('Failed to search player by ID')
@@ -47,71 +190,134 @@ class PlayerSearchService {
         throw new Error('Search term must be at least 2 characters long')
       }
 
-      const players = await this.getPlayersCache()
-      const searchTermLower = searchTerm.toLowerCase().trim()
-      const results = []
-
-      // Search through all players
-      for (const [playerId, player] of Object.entries(players)) {
-        if (results.length >= limit) break
-
-        // Skip if player doesn't have required fields
-        if (!player.first_name || !player.last_name) continue
-
-        const firstName = player.first_name.toLowerCase()
-        const lastName = player.last_name.toLowerCase()
-        const fullName = `${firstName} ${lastName}`
-        const searchFullName = player.search_full_name?.toLowerCase() || ''
-
-        // Check various name matches
-        if (
-          firstName.includes(searchTermLower) ||
-          lastName.includes(searchTermLower) ||
-          fullName.includes(searchTermLower) ||
-          searchFullName.includes(searchTermLower)
-        ) {
-          results.push({
-            player_id: playerId,
-            ...player,
-            match_score: this.calculateMatchScore(searchTermLower, firstName, lastName, fullName)
-          })
+      const index = await this.getSearchIndex()
+      const query = normalizeName(searchTerm)
+      if (!query) {
+        return []
+      }
+
+      const queryTokens = query.split(' ')
+      const queryGrams = trigrams(query)
+      const queryPhonetics = queryTokens.map(phoneticKey)
+      const scored = new Map()
+
+      // Nicknames ("CMC") resolve straight to the player's search_full_name
+      const nicknameTarget = PLAYER_NICKNAMES[queryTokens.join('')]
+      for (const entryIndex of index.searchNameIndex.get(nicknameTarget) || []) {
+        scored.set(entryIndex, { score: 98, matched_on: 'nickname' })
+      }
+
+      // Gather candidates sharing enough trigrams or any phonetic key with the query
+      const overlap = new Map()
+      for (const gram of queryGrams) {
+        for (const entryIndex of index.trigramIndex.get(gram) || []) {
+          overlap.set(entryIndex, (overlap.get(entryIndex) || 0) + 1)
+        }
+      }
+
+      const candidates = new Set()
+      const minOverlap = Math.max(1, Math.ceil(queryGrams.size * MIN_TRIGRAM_OVERLAP))
+      for (const [entryIndex, shared] of overlap) {
+        if (shared >= minOverlap) candidates.add(entryIndex)
+      }
+      for (const key of queryPhonetics) {
+        for (const entryIndex of index.phoneticIndex.get(key) || []) {
+          candidates.add(entryIndex)
+        }
+      }
+
+      // Rank every candidate before truncating to the requested limit
+      for (const entryIndex of candidates) {
+        if (scored.has(entryIndex)) continue
+        const match = this.scoreNameMatch(index.entries[entryIndex], query, queryTokens, queryGrams, queryPhonetics)
+        if (match) {
+          scored.set(entryIndex, match)
         }
       }
 
-      // Sort by match score (higher = better match)
-      results.sort((a, b) => b.match_score - a.match_score)
+      // Load search ranks for every match so ties are ordered by relevance across all candidates
+      const matches = [...scored.entries()].map(([entryIndex, match]) => ({
+        playerId: index.entries[entryIndex].playerId,
+        score: Math.round(match.score * 10) / 10,
+        matched_on: match.matched_on
+      }))
+      const ranks = await this.getSearchRanks(matches.map(match => match.playerId))
+
+      // Sort by score (higher = better match), then by search_rank (lower = more relevant)
+      matches.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score
+        return (ranks.get(a.playerId) || 999999) - (ranks.get(b.playerId) || 999999)
+      })
+
+      const topMatches = matches.slice(0, limit)
+      const players = await this.getPlayersByIds(topMatches.map(match => match.playerId))
 
-      // Remove match_score from final results
-      return results.map(({ match_score, ...player }) => player)
+      return topMatches
+        .filter(match => players[match.playerId])
+        .map(match => ({
+          ...players[match.playerId],
+          score: match.score,
+          matched_on: match.matched_on
+        }))
     } catch (error) {
       logger.error('Error searching players by name:', error)
       throw new Error('Failed to search players by name')
     }
   }
 
-  calculateMatchScore(searchTerm, firstName, lastName, fullName) {
-    let score = 0
-
+  // Score an indexed name against the query; returns null when it is not a plausible match
+  scoreNameMatch(entry, query, queryTokens, queryGrams, queryPhonetics) {
     // Exact matches get highest score
-    if (firstName === searchTerm || lastName === searchTerm) {
-      score += 100
-    } else if (fullName === searchTerm) {
-      score += 90
+    if (entry.fullName === query || entry.compactName === queryTokens.join('')) {
+      return { score: 100, matched_on: 'exact' }
+    }
+    if (entry.tokens.includes(query)) {
+      return { score: 95, matched_on: 'exact' }
     }
+
     // Starts with matches get high score
-    else if (firstName.startsWith(searchTerm) || lastName.startsWith(searchTerm)) {
-      score += 80
-    } else if (fullName.startsWith(searchTerm)) {
-      score += 70
+    if (entry.fullName.startsWith(query) || entry.tokens.some(token => token.startsWith(query))) {
+      return { score: 85, matched_on: 'prefix' }
     }
+
     // Contains matches get lower score
-    else if (firstName.includes(searchTerm) || lastName.includes(searchTerm)) {
-      score += 50
-    } else if (fullName.includes(searchTerm)) {
-      score += 40
+    if (entry.fullName.includes(query)) {
+      return { score: 75, matched_on: 'substring' }
+    }
+
+    // Fuzzy: best of whole-name similarity and average per-token similarity
+    const wholeNameSimilarity = Math.max(
+      editSimilarity(query, entry.fullName),
+      trigramSimilarity(queryGrams, entry.grams)
+    )
+    const tokenSimilarity = queryTokens.reduce((sum, queryToken) => {
+      return sum + Math.max(...entry.tokens.map(token => editSimilarity(queryToken, token)))
+    }, 0) / queryTokens.length
+    const similarity = Math.max(wholeNameSimilarity, tokenSimilarity)
+    const soundsAlike = queryPhonetics.every(key => entry.phonetics.has(key))
+
+    if (soundsAlike && similarity >= 0.5) {
+      return { score: Math.max(60 + 10 * similarity, 70 * similarity), matched_on: 'phonetic' }
+    }
+    if (similarity >= MIN_FUZZY_SIMILARITY) {
+      return { score: 70 * similarity, matched_on: 'fuzzy' }
     }
+    return null
+  }
 
-    return score
+  async getSearchRanks(playerIds) {
+    const ranks = new Map()
+    for (let i = 0; i < playerIds.length; i += 500) {
+      const chunk = playerIds.slice(i, i + 500)
+      const rows = await database.all(
+        `SELECT player_id, search_rank FROM players WHERE player_id IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      )
+      for (const row of rows) {
+        ranks.set(row.player_id, row.search_rank)
+      }
+    }
+    return ranks
   }
 
   async searchPlayersByPosition(position, limit = 50) {
@@ -121,26 +327,19 @@ class PlayerSearchService {
         throw new Error(`Invalid position: ${position}. Valid positions: ${validPositions.join(', ')}`)
       }
 
-      const players = await this.getPlayersCache()
-      const results = []
+      await this.ensurePlayersCached()
       const positionUpper = position.toUpperCase()
 
-      for (const [playerId, player] of Object.entries(players)) {
-        if (results.length >= limit) break
-
-        if (player.position === positionUpper || 
-            (player.fantasy_positions && player.fantasy_positions.includes(positionUpper))) {
-          results.push({
-            player_id: playerId,
-            ...player
-          })
-        }
-      }
-
       // Sort by search_rank if available (lower rank = better)
-      results.sort((a, b) => (a.search_rank || 999999) - (b.search_rank || 999999))
-
-      return results
+      const rows = await database.all(
+        `SELECT player_id, data FROM players
+         WHERE position = ? OR EXISTS (SELECT 1 FROM json_each(players.fantasy_positions) WHERE value = ?)
+         ORDER BY ${ORDER_BY_SEARCH_RANK}
+         LIMIT ?`,
+        [positionUpper, positionUpper, limit]
+      )
+
+      return rows.map(rowToPlayer)
     } catch (error) {
       logger.error('Error searching players by position:', error)
       throw new Error('Failed to search players by position')
@@ -153,61 +352,221 @@ class PlayerSearchService {
         throw new Error('Team parameter is required')
       }
 
-      const players = await this.getPlayersCache()
-      const results = []
+      await this.ensurePlayersCached()
       const teamUpper = team.toUpperCase().trim()
 
-      for (const [playerId, player] of Object.entries(players)) {
-        if (results.length >= limit) break
-
-        if (player.team === teamUpper) {
-          results.push({
-            player_id: playerId,
-            ...player
-          })
-        }
-      }
-
       // Sort by position and search_rank
-      results.sort((a, b) => {
-        const positionOrder = { QB: 1, RB: 2, WR: 3, TE: 4, K: 5, DEF: 6 }
-        const aPos = positionOrder[a.position] || 7
-        const bPos = positionOrder[b.position] || 7
-        
-        if (aPos !== bPos) {
-          return aPos - bPos
-        }
-        
-        return (a.search_rank || 999999) - (b.search_rank || 999999)
-      })
-
-      return results
+      const rows = await database.all(
+        `SELECT player_id, data FROM players
+         WHERE team = ?
+         ORDER BY CASE position
+           WHEN 'QB' THEN 1 WHEN 'RB' THEN 2 WHEN 'WR' THEN 3
+           WHEN 'TE' THEN 4 WHEN 'K' THEN 5 WHEN 'DEF' THEN 6 ELSE 7
+         END, ${ORDER_BY_SEARCH_RANK}
+         LIMIT ?`,
+        [teamUpper, limit]
+      )
+
+      return rows.map(rowToPlayer)
     } catch (error) {
       logger.error('Error searching players by team:', error)
       throw new Error('Failed to search players by team')
     }
   }
 
-  async getActivePlayersOnly(limit = 100) {
+  /**
+   * Query players by any combination of filters with sorting and cursor pagination
+   * @param {Object} filters
+   * @param {string[]} filters.positions - Positions (matches position or fantasy_positions)
+   * @param {string[]} filters.teams - Team abbreviations ("FA" matches players without a team)
+   * @param {string[]} filters.statuses - Roster statuses (e.g. Active, Inactive)
+   * @param {string[]} filters.injuryStatuses - Injury designations (e.g. Questionable, Out, IR)
+   * @param {number} filters.minAge / filters.maxAge - Age range (inclusive)
+   * @param {number} filters.minYearsExp / filters.maxYearsExp - Experience range (inclusive)
+   * @param {boolean} filters.rookie - Only rookies (true) or only veterans (false)
+   * @param {string} filters.name - Free-text name filter
+   * @param {Object} options - { sort, order, limit, cursor }
+   * @returns {Object} { total, players, nextCursor }
+   */
+  async queryPlayers(filters = {}, options = {}) {
+    const { sort = 'search_rank', order = 'asc', limit = 25, cursor = null } = options
+    const offset = decodeCursor(cursor)
+    const where = []
+    const params = []
+
+    if (filters.positions?.length) {
+      const positions = filters.positions.map(position => position.toUpperCase())
+      where.push(`(position IN (${placeholders(positions)}) OR EXISTS (
+        SELECT 1 FROM json_each(players.fantasy_positions) WHERE value IN (${placeholders(positions)})
+      ))`)
+      params.push(...positions, ...positions)
+    }
+
+    if (filters.teams?.length) {
+      const teams = filters.teams.map(team => team.toUpperCase())
+      const namedTeams = teams.filter(team => team !== 'FA')
+      const clauses = []
+      if (namedTeams.length) {
+        clauses.push(`team IN (${placeholders(namedTeams)})`)
+        params.push(...namedTeams)
+      }
+      if (teams.includes('FA')) {
+        clauses.push("(team IS NULL OR team = '')")
+      }
+      where.push(`(${clauses.join(' OR ')})`)
+    }
+
+    if (filters.statuses?.length) {
+      where.push(`status IN (${placeholders(filters.statuses)})`)
+      params.push(...filters.statuses)
+    }
+
+    if (filters.injuryStatuses?.length) {
+      where.push(`injury_status IN (${placeholders(filters.injuryStatuses)})`)
+      params.push(...filters.injuryStatuses)
+    }
+
+    const ranges = [
+      ['age', '>=', filters.minAge],
+      ['age', '<=', filters.maxAge],
+      ['years_exp', '>=', filters.minYearsExp],
+      ['years_exp', '<=', filters.maxYearsExp]
+    ]
+    for (const [column, operator, value] of ranges) {
+      if (Number.isFinite(value)) {
+        where.push(`${column} ${operator} ?`)
+        params.push(value)
+      }
+    }
+
+    if (filters.rookie === true) {
+      where.push('years_exp = 0')
+    } else if (filters.rookie === false) {
+      where.push('years_exp > 0')
+    }
+
+    if (filters.name) {
+      const compactName = normalizeName(filters.name).replace(/ /g, '')
+      if (compactName) {
+        where.push('search_full_name LIKE ?')
+        params.push(`%${compactName}%`)
+      }
+    }
+
+    const column = QUERY_SORT_COLUMNS[sort] || QUERY_SORT_COLUMNS.search_rank
+    const direction = order === 'desc' ? 'DESC' : 'ASC'
+    const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : ''
+
     try {
-      const players = await this.getPlayersCache()
-      const results = []
+      await this.ensurePlayersCached()
 
-      for (const [playerId, player] of Object.entries(players)) {
-        if (results.length >= limit) break
+      const countRow = await database.get(`SELECT COUNT(*) as total FROM players ${whereClause}`, params)
+      const rows = await database.all(
+        `SELECT player_id, data FROM players ${whereClause}
+         ORDER BY ${column} IS NULL, ${column} ${direction}, player_id ASC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      )
 
-        if (player.status === 'Active' && player.team && player.team !== '') {
-          results.push({
-            player_id: playerId,
-            ...player
-          })
-        }
+      const total = countRow?.total || 0
+      return {
+        total,
+        players: rows.map(rowToPlayer),
+        nextCursor: offset + rows.length < total ? encodeCursor(offset + rows.length) : null
       }
+    } catch (error) {
+      logger.error('Error querying players:', error)
+      throw new Error('Failed to query players')
+    }
+  }
 
-      // Sort by search_rank
-      results.sort((a, b) => (a.search_rank || 999999) - (b.search_rank || 999999))
+  /**
+   * Active players on an NFL team at any of the given positions, best search_rank first.
+   * Team defenses carry no roster status, so they count as active whenever they have a team.
+   * @param {string[]} positions - Positions (matches position or fantasy_positions)
+   * @param {string[]} excludeIds - Player IDs to leave out (e.g. everyone rostered in a league)
+   * @returns {Array} Players
+   */
+  async getActivePlayersAtPositions(positions, excludeIds = []) {
+    if (positions.length === 0) return []
+
+    try {
+      await this.ensurePlayersCached()
+
+      const rows = await database.all(
+        `SELECT player_id, data FROM players
+         WHERE team IS NOT NULL AND team != ''
+           AND (status = 'Active' OR position = 'DEF')
+           AND (position IN (${placeholders(positions)}) OR EXISTS (
+             SELECT 1 FROM json_each(players.fantasy_positions) WHERE value IN (${placeholders(positions)})
+           ))
+         ORDER BY ${ORDER_BY_SEARCH_RANK}, player_id`,
+        [...positions, ...positions]
+      )
+
+      const excluded = new Set(excludeIds.map(String))
+      return rows.filter(row => !excluded.has(row.player_id)).map(rowToPlayer)
+    } catch (error) {
+      logger.error('Error getting active players by position:', error)
+      throw new Error('Failed to get active players')
+    }
+  }
 
-      return results
+  /**
+   * Players on an NFL team with an injury designation, best search_rank first
+   * @param {Object} filters
+   * @param {string[]} filters.statuses - Injury designations to include
+   * @param {string[]} filters.teams - NFL team abbreviations
+   * @param {string[]} filters.positions - Positions (matches position or fantasy_positions)
+   * @returns {Array} Players
+   */
+  async getInjuredPlayers({ statuses = [], teams = [], positions = [] } = {}) {
+    if (statuses.length === 0) return []
+
+    const where = [
+      "team IS NOT NULL AND team != ''",
+      `injury_status IN (${placeholders(statuses)})`
+    ]
+    const params = [...statuses]
+    if (teams.length) {
+      where.push(`team IN (${placeholders(teams)})`)
+      params.push(...teams)
+    }
+    if (positions.length) {
+      where.push(`(position IN (${placeholders(positions)}) OR EXISTS (
+        SELECT 1 FROM json_each(players.fantasy_positions) WHERE value IN (${placeholders(positions)})
+      ))`)
+      params.push(...positions, ...positions)
+    }
+
+    try {
+      await this.ensurePlayersCached()
+
+      const rows = await database.all(
+        `SELECT player_id, data FROM players WHERE ${where.join(' AND ')} ORDER BY ${ORDER_BY_SEARCH_RANK}, player_id`,
+        params
+      )
+      return rows.map(rowToPlayer)
+    } catch (error) {
+      logger.error('Error getting injured players:', error)
+      throw new Error('Failed to get injured players')
+    }
+  }
+
+  async getActivePlayersOnly(limit = 100) {
+    try {
+      await this.ensurePlayersCached()
+
+      // Sort by search_rank
+      const rows = await database.all(
+        `SELECT player_id, data FROM players
+         WHERE status = 'Active' AND team IS NOT NULL AND team != ''
+         ORDER BY ${ORDER_BY_SEARCH_RANK}
+         LIMIT ?`,
+        [limit]
+      )
+
+      return rows.map(rowToPlayer)
     } catch (error) {
       logger.error('Error getting active players:', error)
       throw new Error('Failed to get active players')
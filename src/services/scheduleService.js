@@ -0,0 +1,73 @@
+const fs = require('fs')
+const path = require('path')
+const database = require('../config/database')
+const logger = require('../config/logger')
+const { inferScheduleOptions, parseScheduleFile, byeWeeksByTeam, teamsOnBye, teamsYetToPlay } = require('../utils/schedule')
+
+class ScheduleService {
+  constructor() {
+    // season -> Map(team -> bye weeks); schedules only change on import
+    this.byeWeekCache = new Map()
+  }
+
+  /**
+   * Import a CSV/JSON schedule file, replacing the stored games of each season it covers
+   * @param {string} filePath - File to import
+   * @param {Object} options - { season } for rows without a season column
+   * @returns {Object} { file, seasons, imported, skipped }
+   */
+  async importFile(filePath, options = {}) {
+    const inferred = inferScheduleOptions(filePath) || {}
+    const format = inferred.format || path.extname(filePath).slice(1).toLowerCase()
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unsupported import format: ${format || 'none'} (expected csv or json)`)
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf8')
+    const { games, skipped } = parseScheduleFile(content, format, { season: options.season ?? inferred.season })
+    if (games.length === 0) {
+      throw new Error(`No schedule games found in ${path.basename(filePath)}`)
+    }
+
+    await database.replaceSchedule(games, path.basename(filePath))
+    const seasons = [...new Set(games.map(game => game.season))]
+    for (const season of seasons) {
+      this.byeWeekCache.delete(season)
+    }
+
+    logger.info('Schedule file imported', { file: filePath, seasons, imported: games.length, skipped })
+    return { file: filePath, seasons, imported: games.length, skipped }
+  }
+
+  async getGames(season) {
+    return database.getSchedule(season)
+  }
+
+  // team -> bye weeks for a season (empty when no schedule is loaded)
+  async getByeWeeks(season) {
+    const key = String(season)
+    if (this.byeWeekCache.has(key)) return this.byeWeekCache.get(key)
+
+    const byeWeeks = byeWeeksByTeam(await this.getGames(key))
+    // Missing seasons stay uncached so a schedule imported by the CLI is picked up
+    if (byeWeeks.size > 0) this.byeWeekCache.set(key, byeWeeks)
+    return byeWeeks
+  }
+
+  // team -> first bye week, for reports that show one bye per team
+  async getByeWeekByTeam(season) {
+    const byeWeeks = await this.getByeWeeks(season)
+    return new Map([...byeWeeks].filter(([, weeks]) => weeks.length > 0).map(([team, weeks]) => [team, weeks[0]]))
+  }
+
+  async getTeamsOnBye(season, week) {
+    return teamsOnBye(await this.getByeWeeks(season), week)
+  }
+
+  // Teams still to kick off in a week (null when the week isn't in the loaded schedule)
+  async getTeamsYetToPlay(season, week) {
+    return teamsYetToPlay(await this.getGames(season), week)
+  }
+}
+
+module.exports = new ScheduleService()
@@ -1,5 +1,11 @@
 const axios = require('axios')
 const logger = require('../config/logger')
+const { computeStandings } = require('../utils/standings')
+const { divisionNamesFor } = require('../utils/leagueHelpers')
+const { mapWithConcurrency } = require('../utils/concurrency')
+
+// Parallel Sleeper requests allowed when fetching a whole season
+const SEASON_FETCH_CONCURRENCY = 6
 
 class SleeperService {
   constructor() {
@@ -191,6 +197,15 @@ class SleeperService {
     }
   }
 
+  async getLeagueLosersBracket(leagueId) {
+    try {
+      const response = await this.makeRequest('GET', `/league/${leagueId}/losers_bracket`)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error, 'Failed to fetch losers bracket')
+    }
+  }
+
   async getLeagueTransactions(leagueId, round) {
     try {
       const url = round ? `/league/${leagueId}/transactions/${round}` : `/league/${leagueId}/transactions`
@@ -290,6 +305,120 @@ class SleeperService {
     }
   }
 
+  // Season helpers
+  // Last regular-season week for a league (the week before playoffs start)
+  getLastRegularSeasonWeek(league) {
+    const playoffWeekStart = Number(league.settings?.playoff_week_start) || 0
+    if (playoffWeekStart > 1) {
+      return playoffWeekStart - 1
+    }
+    // Leagues without playoffs play the full NFL regular season
+    return this.getFinalNFLWeek(league)
+  }
+
+  // The NFL regular season grew to 18 weeks in 2021
+  getFinalNFLWeek(league) {
+    return Number(league.season) >= 2021 ? 18 : 17
+  }
+
+  // Last week of a league's season that has finished scoring (0 before week 1 is scored)
+  async getLastScoredWeek(league) {
+    const finalNFLWeek = this.getFinalNFLWeek(league)
+
+    if (league.status === 'complete') {
+      return finalNFLWeek
+    }
+    if (league.status === 'pre_draft' || league.status === 'drafting') {
+      return 0
+    }
+    if (typeof league.settings?.last_scored_leg === 'number') {
+      return league.settings.last_scored_leg
+    }
+
+    const nflState = await this.getNFLState()
+    if (String(nflState.season) === String(league.season)) {
+      if (nflState.season_type === 'regular') {
+        return Number(nflState.week) - 1
+      }
+      return nflState.season_type === 'post' ? finalNFLWeek : 0
+    }
+    return Number(nflState.season) > Number(league.season) ? finalNFLWeek : 0
+  }
+
+  // Regular-season weeks of a league that have finished scoring
+  async getCompletedRegularSeasonWeeks(league) {
+    const startWeek = Number(league.settings?.start_week) || 1
+    const lastRegularWeek = this.getLastRegularSeasonWeek(league)
+    const lastScoredWeek = await this.getLastScoredWeek(league)
+
+    const weeks = []
+    for (let week = startWeek; week <= Math.min(lastScoredWeek, lastRegularWeek); week++) {
+      weeks.push(week)
+    }
+    return weeks
+  }
+
+  // Fetch matchups for each of the given weeks
+  async getSeasonMatchups(leagueId, weeks) {
+    return mapWithConcurrency(weeks, SEASON_FETCH_CONCURRENCY, async (week) => ({
+      week,
+      matchups: await this.getLeagueMatchups(leagueId, week)
+    }))
+  }
+
+  // Weeks of a league's season that can have transactions so far (through the week in progress)
+  async getTransactionWeeks(league) {
+    const finalNFLWeek = this.getFinalNFLWeek(league)
+    const lastScoredWeek = await this.getLastScoredWeek(league)
+    const lastWeek = Math.min(Math.max(lastScoredWeek + 1, 1), finalNFLWeek)
+    return Array.from({ length: lastWeek }, (_, index) => index + 1)
+  }
+
+  // Fetch every transaction round of a league's season, merged and newest first
+  async getSeasonTransactions(leagueId, league) {
+    const weeks = await this.getTransactionWeeks(league)
+    const rounds = await mapWithConcurrency(weeks, SEASON_FETCH_CONCURRENCY, (week) => {
+      return this.getLeagueTransactions(leagueId, week)
+    })
+
+    const byId = new Map()
+    for (const transaction of rounds.flat()) {
+      byId.set(transaction.transaction_id, transaction)
+    }
+
+    const transactions = [...byId.values()].sort((a, b) => (b.status_updated || 0) - (a.status_updated || 0))
+    return { weeks, transactions }
+  }
+
+  // Standings computed from every completed regular-season week
+  async getLeagueStandings(leagueId) {
+    const [league, rosters, users] = await Promise.all([
+      this.getLeague(leagueId),
+      this.getLeagueRosters(leagueId),
+      this.getLeagueUsers(leagueId)
+    ])
+
+    const weeks = await this.getCompletedRegularSeasonWeeks(league)
+    const weeklyMatchups = await this.getSeasonMatchups(leagueId, weeks)
+
+    const standings = computeStandings({
+      rosters,
+      users,
+      weeks: weeklyMatchups,
+      divisionNames: divisionNamesFor(league),
+      medianMatch: league.settings?.league_average_match === 1
+    })
+
+    return {
+      league_id: leagueId,
+      name: league.name,
+      season: league.season,
+      weeks_counted: weeks,
+      through_week: weeks.length > 0 ? weeks[weeks.length - 1] : null,
+      standings
+    }
+  }
+
   // Error handler with user-friendly messages
   handleError(error, message) {
     if (error.response) {
@@ -0,0 +1,135 @@
+const fs = require('fs')
+const path = require('path')
+const cron = require('node-cron')
+const database = require('../config/database')
+const logger = require('../config/logger')
+const { STAT_LINE_KINDS, inferImportOptions, parseStatsFile } = require('../utils/statsImport')
+
+class StatsService {
+  constructor() {
+    this.importDir = process.env.STATS_IMPORT_DIR || './data/imports'
+    this.importSchedule = process.env.STATS_IMPORT_CRON || '*/15 * * * *'
+    this.isImporting = false
+    this.task = null
+  }
+
+  initialize() {
+    logger.info(`Scheduling stat imports from ${this.importDir} (${this.importSchedule})`)
+
+    this.task = cron.schedule(this.importSchedule, async () => {
+      await this.importDirectory().catch((error) => {
+        logger.error('Scheduled stat import failed:', error)
+      })
+    })
+
+    this.importDirectory().catch((error) => {
+      logger.warn('Initial stat import failed, continuing startup', error)
+    })
+  }
+
+  stop() {
+    if (this.task) this.task.stop()
+    this.task = null
+  }
+
+  /**
+   * Stat lines for the given players in one week
+   * @param {string} season - NFL season
+   * @param {number} week - NFL week
+   * @param {string[]} playerIds - Player IDs
+   * @returns {Object} player_id -> stat line for players with stats stored
+   */
+  async getWeeklyStats(season, week, playerIds) {
+    const uniqueIds = [...new Set(playerIds.filter(Boolean).map(String))]
+    if (uniqueIds.length === 0) return {}
+
+    const stats = await database.getWeeklyStatLines('stats', season, week, uniqueIds)
+    logger.debug('Weekly stats loaded', { season, week, requested: uniqueIds.length, found: Object.keys(stats).length })
+    return stats
+  }
+
+  // Every stored week of stats or projections for a player, newest first
+  async getPlayerStatLines(kind, playerId, filters = {}) {
+    return database.getPlayerStatLines(kind, playerId, filters)
+  }
+
+  /**
+   * Import one CSV/JSON file of stat lines. Options not given are inferred from the file name
+   * (e.g. stats_2024_week7.csv); rows may also carry their own season and week.
+   * @param {string} filePath - File to import
+   * @param {Object} options - { kind, season, week, source }
+   * @returns {Object} { file, kind, imported, skipped }
+   */
+  async importFile(filePath, options = {}) {
+    const inferred = inferImportOptions(filePath) || {}
+    const kind = options.kind || inferred.kind
+    const format = inferred.format || path.extname(filePath).slice(1).toLowerCase()
+
+    if (!STAT_LINE_KINDS.includes(kind)) {
+      throw new Error(`Cannot tell whether ${path.basename(filePath)} holds stats or projections; pass a kind`)
+    }
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unsupported import format: ${format || 'none'} (expected csv or json)`)
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf8')
+    const { lines, skipped } = parseStatsFile(content, format, {
+      season: options.season ?? inferred.season,
+      week: options.week ?? inferred.week
+    })
+
+    const source = options.source || path.basename(filePath)
+    await database.upsertStatLines(kind, lines, source)
+
+    logger.info('Stat file imported', { file: filePath, kind, imported: lines.length, skipped })
+    return { file: filePath, kind, imported: lines.length, skipped }
+  }
+
+  /**
+   * Import every new or changed stats/projections file in a directory. Files are tracked by
+   * size and modification time, so re-saving a file re-imports it. Failed files are tracked
+   * too and are only retried once they change.
+   * @param {string} dir - Directory to scan (defaults to STATS_IMPORT_DIR)
+   * @returns {Array} Import results for the files processed
+   */
+  async importDirectory(dir = this.importDir) {
+    if (this.isImporting) {
+      logger.warn('Stat import already in progress, skipping')
+      return []
+    }
+    if (!fs.existsSync(dir)) {
+      logger.debug('Stat import directory not found, skipping', { dir })
+      return []
+    }
+
+    this.isImporting = true
+    try {
+      const results = []
+      const fileNames = (await fs.promises.readdir(dir)).filter(name => inferImportOptions(name)).sort()
+
+      for (const fileName of fileNames) {
+        const filePath = path.resolve(dir, fileName)
+        const { size, mtimeMs } = await fs.promises.stat(filePath)
+        const fileMtime = Math.floor(mtimeMs)
+        const previous = await database.getStatImport(filePath)
+        if (previous && previous.file_size === size && previous.file_mtime === fileMtime) continue
+
+        const tracked = { file_path: filePath, file_size: size, file_mtime: fileMtime }
+        try {
+          const result = await this.importFile(filePath)
+          await database.recordStatImport({ ...tracked, kind: result.kind, rows_imported: result.imported })
+          results.push(result)
+        } catch (error) {
+          logger.error('Stat file import failed:', { file: filePath, error: error.message })
+          await database.recordStatImport({ ...tracked, kind: inferImportOptions(fileName).kind, rows_imported: 0, error: error.message })
+          results.push({ file: filePath, error: error.message })
+        }
+      }
+      return results
+    } finally {
+      this.isImporting = false
+    }
+  }
+}
+
+module.exports = new StatsService()
@@ -0,0 +1,382 @@
+const crypto = require('crypto')
+const http = require('http')
+const https = require('https')
+const axios = require('axios')
+const cron = require('node-cron')
+const database = require('../config/database')
+const sleeperService = require('./sleeperService')
+const playerSearchService = require('./playerSearchService')
+const leagueService = require('./leagueService')
+const logger = require('../config/logger')
+const { describeTransaction, transactionPlayerIds } = require('../utils/transactions')
+const { describePick } = require('../utils/draftBoard')
+const {
+  signPayload,
+  isRetryableStatus,
+  BLOCKED_DESTINATION,
+  isAllowedWebhookHost,
+  lookupPublicAddress,
+  describeDeliveryError
+} = require('../utils/webhooks')
+
+// Transaction rounds re-read each poll; two covers moves processed just after the week rolls over
+const RECENT_TRANSACTION_ROUNDS = 2
+
+class WebhookService {
+  constructor() {
+    this.pollSchedule = process.env.WEBHOOK_POLL_CRON || '*/2 * * * *'
+    this.deliverySchedule = process.env.WEBHOOK_DELIVERY_CRON || '*/15 * * * * *'
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000
+    this.deliveryRetentionDays = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30
+    this.isPolling = false
+    this.isDelivering = false
+    this.tasks = []
+    // Drafts seen complete need no further pick checks until restart
+    this.completedDrafts = new Set()
+
+    this.client = axios.create({
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+      // Redirects are reported as failures, never followed, so a receiver can't bounce us elsewhere
+      maxRedirects: 0,
+      // Connect only to public addresses, resolved per request, and never through an env proxy
+      httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+      httpsAgent: new https.Agent({ lookup: lookupPublicAddress }),
+      proxy: false,
+      // Every response is recorded in the delivery log rather than thrown
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sleeper-api-middleware/1.0.0'
+      }
+    })
+  }
+
+  initialize() {
+    logger.info(`Scheduling webhook event checks (${this.pollSchedule})`)
+
+    this.tasks.push(cron.schedule(this.pollSchedule, async () => {
+      await this.poll().catch((error) => {
+        logger.error('Scheduled webhook poll failed:', error)
+      })
+    }))
+
+    this.tasks.push(cron.schedule(this.deliverySchedule, async () => {
+      await this.processQueue().catch((error) => {
+        logger.error('Webhook delivery run failed:', error)
+      })
+    }))
+
+    this.tasks.push(cron.schedule('30 3 * * *', async () => {
+      await database.cleanupWebhookDeliveries(this.deliveryRetentionDays).catch((error) => {
+        logger.error('Webhook delivery cleanup failed:', error)
+      })
+    }))
+  }
+
+  stop() {
+    for (const task of this.tasks) {
+      task.stop()
+    }
+    this.tasks = []
+  }
+
+  // Detect new events for every league with an active webhook and queue them for delivery
+  async poll() {
+    if (this.isPolling) {
+      logger.warn('Webhook poll already in progress, skipping')
+      return
+    }
+
+    this.isPolling = true
+    try {
+      await database.pruneWebhookCursors()
+
+      const byLeague = new Map()
+      for (const webhook of await database.getActiveWebhooks()) {
+        if (!byLeague.has(webhook.league_id)) byLeague.set(webhook.league_id, [])
+        byLeague.get(webhook.league_id).push(webhook)
+      }
+
+      for (const [leagueId, webhooks] of byLeague) {
+        try {
+          const { events, cursors } = await this.detectLeagueEvents(leagueId, new Set(webhooks.flatMap(webhook => webhook.events)))
+          await this.enqueue(webhooks, leagueId, events, cursors)
+        } catch (error) {
+          logger.warn('Webhook event detection failed', { leagueId, error: error.message })
+        }
+      }
+    } finally {
+      this.isPolling = false
+    }
+
+    // Send what was just queued without waiting for the next delivery run
+    this.processQueue().catch((error) => {
+      logger.error('Webhook delivery run failed:', error)
+    })
+  }
+
+  /**
+   * New events for a league since its stored cursors. A source nobody subscribes to has its
+   * cursors dropped, and a missing cursor is set to the present without emitting a backlog.
+   * Cursor moves are returned rather than saved so they are only stored once the events are queued.
+   * @param {string} leagueId - Sleeper league ID
+   * @param {Set} wanted - Event names subscribed to by the league's webhooks
+   * @returns {Object} { events: [{ event, data }] oldest first, cursors: Map of cursor kind to new value }
+   */
+  async detectLeagueEvents(leagueId, wanted) {
+    const league = await sleeperService.getLeague(leagueId)
+    const wantsTransactions = wanted.has('transaction') || wanted.has('trade')
+    const wantsPicks = wanted.has('draft_pick')
+    const ownersByRosterId = wantsTransactions || wantsPicks ? await leagueService.getOwnersByRosterId(leagueId) : new Map()
+
+    const events = []
+    const cursors = new Map()
+    const sources = [
+      ['transactions', wantsTransactions, () => this.detectTransactions(leagueId, league, ownersByRosterId, cursors)],
+      ['draft', wantsPicks, () => this.detectDraftPicks(leagueId, ownersByRosterId, cursors)],
+      ['matchups_final', wanted.has('matchup_final'), () => this.detectFinalMatchups(leagueId, league, cursors)]
+    ]
+
+    for (const [kind, isWanted, detect] of sources) {
+      if (isWanted) {
+        events.push(...await detect())
+      } else {
+        await database.deleteWebhookCursors(leagueId, kind)
+      }
+    }
+    return { events, cursors }
+  }
+
+  async detectTransactions(leagueId, league, ownersByRosterId, cursors) {
+    const cursor = await database.getWebhookCursor(leagueId, 'transactions')
+    const weeks = (await sleeperService.getTransactionWeeks(league)).slice(-RECENT_TRANSACTION_ROUNDS)
+    const rounds = await Promise.all(weeks.map(week => sleeperService.getLeagueTransactions(leagueId, week)))
+
+    const completed = new Map()
+    for (const transaction of rounds.flat()) {
+      if (transaction.status === 'complete') completed.set(transaction.transaction_id, transaction)
+    }
+    const latest = Math.max(Number(cursor) || 0, ...[...completed.values()].map(transaction => transaction.status_updated || 0))
+
+    if (cursor === null) {
+      cursors.set('transactions', latest)
+      return []
+    }
+
+    const fresh = [...completed.values()]
+      .filter(transaction => (transaction.status_updated || 0) > Number(cursor))
+      .sort((a, b) => a.status_updated - b.status_updated)
+    const players = fresh.length > 0 ? await playerSearchService.getPlayersByIds(transactionPlayerIds(fresh)) : {}
+
+    cursors.set('transactions', latest)
+    return fresh.map(transaction => ({
+      event: transaction.type === 'trade' ? 'trade' : 'transaction',
+      data: describeTransaction(transaction, ownersByRosterId, players)
+    }))
+  }
+
+  async detectDraftPicks(leagueId, ownersByRosterId, cursors) {
+    const events = []
+
+    for (const draft of await sleeperService.getLeagueDrafts(leagueId)) {
+      if (this.completedDrafts.has(draft.draft_id)) continue
+
+      const kind = `draft:${draft.draft_id}`
+      const cursor = await database.getWebhookCursor(leagueId, kind)
+
+      // Drafts registered before they start report every pick
+      if (draft.status === 'pre_draft') {
+        if (cursor === null) cursors.set(kind, 0)
+        continue
+      }
+
+      const picks = await sleeperService.getDraftPicks(draft.draft_id)
+      const lastPickNo = Math.max(Number(cursor) || 0, ...picks.map(pick => pick.pick_no))
+
+      if (cursor !== null) {
+        const fresh = picks
+          .filter(pick => pick.pick_no > Number(cursor))
+          .sort((a, b) => a.pick_no - b.pick_no)
+        const players = fresh.length > 0 ? await playerSearchService.getPlayersByIds(fresh.map(pick => pick.player_id)) : {}
+
+        for (const pick of fresh) {
+          events.push({
+            event: 'draft_pick',
+            data: {
+              draft_id: draft.draft_id,
+              ...describePick(pick, players),
+              team_name: ownersByRosterId.get(pick.roster_id)?.team_name || null
+            }
+          })
+        }
+      }
+
+      cursors.set(kind, lastPickNo)
+      if (draft.status === 'complete') this.completedDrafts.add(draft.draft_id)
+    }
+
+    return events
+  }
+
+  async detectFinalMatchups(leagueId, league, cursors) {
+    const cursor = await database.getWebhookCursor(leagueId, 'matchups_final')
+    const lastScoredWeek = await sleeperService.getLastScoredWeek(league)
+
+    if (cursor === null) {
+      cursors.set('matchups_final', lastScoredWeek)
+      return []
+    }
+
+    const events = []
+    const startWeek = Math.max(Number(cursor) + 1, Number(league.settings?.start_week) || 1)
+    for (let week = startWeek; week <= lastScoredWeek; week++) {
+      const result = await leagueService.getMatchupPairs(leagueId, week)
+      if (result.pairs.length > 0) {
+        events.push({ event: 'matchup_final', data: result })
+      }
+    }
+
+    if (lastScoredWeek > Number(cursor)) {
+      cursors.set('matchups_final', lastScoredWeek)
+    }
+    return events
+  }
+
+  // Queue each event for every webhook of the league subscribed to it. The cursors move in the
+  // same transaction, so an event is either queued or detected again on the next poll.
+  async enqueue(webhooks, leagueId, events, cursors) {
+    await database.transaction(async () => {
+      for (const { event, data } of events) {
+        for (const webhook of webhooks.filter(webhook => webhook.events.includes(event))) {
+          await database.queueWebhookDelivery(webhook.id, this.buildPayload(event, leagueId, data))
+        }
+      }
+      for (const [kind, value] of cursors) {
+        await database.setWebhookCursor(leagueId, kind, value)
+      }
+    })
+  }
+
+  buildPayload(event, leagueId, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      league_id: leagueId,
+      created_at: new Date().toISOString(),
+      data
+    }
+  }
+
+  /**
+   * Attempt every due queued delivery. Webhooks are sent to in parallel and each in queue order;
+   * a failed attempt ends that webhook's run, so a dead receiver only holds up its own events.
+   * Retryable failures back off exponentially until WEBHOOK_MAX_ATTEMPTS attempts have been made.
+   */
+  async processQueue() {
+    if (this.isDelivering) return
+    this.isDelivering = true
+
+    try {
+      const byWebhook = new Map()
+      for (const queued of await database.getDueWebhookDeliveries()) {
+        if (!byWebhook.has(queued.webhook_id)) byWebhook.set(queued.webhook_id, [])
+        byWebhook.get(queued.webhook_id).push(queued)
+      }
+
+      await Promise.all([...byWebhook.values()].map(async (deliveries) => {
+        for (const queued of deliveries) {
+          if (!await this.deliverQueued(queued)) break
+        }
+      }))
+    } finally {
+      this.isDelivering = false
+    }
+  }
+
+  // One attempt at a queued delivery, then reschedule or drop it; resolves to whether it was delivered
+  async deliverQueued({ id, webhook_id: webhookId, url, secret, payload, attempts }) {
+    const webhook = { id: webhookId, url, secret }
+    const attempt = attempts + 1
+    const { retryable, ...result } = await this.sendAttempt(webhook, payload, attempt)
+
+    if (!result.success && retryable && attempt < this.maxAttempts) {
+      await database.rescheduleWebhookDelivery(id, attempt, this.retryDelay * Math.pow(2, attempt - 1))
+      return false
+    }
+
+    await database.removeQueuedWebhookDelivery(id)
+    if (!result.success) {
+      logger.warn('Webhook delivery failed', { webhookId, event: payload.event, ...result })
+    }
+    return result.success
+  }
+
+  /**
+   * POST a signed payload once and write the attempt to the delivery log. Network failures, 408, 429
+   * and 5xx are retryable; non-public destinations are not.
+   * @param {Object} webhook - Webhook row
+   * @param {Object} payload - From buildPayload
+   * @param {number} attempt - Attempt number for the log
+   * @returns {Object} { delivery_id, success, attempts, status_code, error, retryable }
+   */
+  async sendAttempt(webhook, payload, attempt) {
+    const body = JSON.stringify(payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const startedAt = Date.now()
+    let statusCode = null
+    let error = null
+    let blocked = false
+
+    try {
+      // IP literals skip the agents' lookup, so they are checked here
+      if (!isAllowedWebhookHost(new URL(webhook.url).hostname)) {
+        throw Object.assign(new Error('Webhook destination not allowed'), { code: BLOCKED_DESTINATION })
+      }
+      const response = await this.client.post(webhook.url, body, {
+        headers: {
+          'X-Webhook-Id': String(webhook.id),
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Delivery': payload.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        }
+      })
+      statusCode = response.status
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`
+    } catch (requestError) {
+      blocked = requestError.code === BLOCKED_DESTINATION
+      error = describeDeliveryError(requestError)
+    }
+
+    const success = error === null
+    await database.logWebhookDelivery({
+      webhook_id: webhook.id,
+      delivery_id: payload.id,
+      event: payload.event,
+      attempt,
+      success,
+      status_code: statusCode,
+      error,
+      duration_ms: Date.now() - startedAt
+    }).catch((logError) => logger.error('Failed to record webhook delivery:', logError))
+
+    return {
+      delivery_id: payload.id,
+      success,
+      attempts: attempt,
+      status_code: statusCode,
+      error,
+      retryable: !success && !blocked && isRetryableStatus(statusCode)
+    }
+  }
+
+  // Send a single ping attempt so a receiver can check its endpoint and signature verification
+  async sendTest(webhook) {
+    const payload = this.buildPayload('ping', webhook.league_id, { webhook_id: webhook.id, events: webhook.events })
+    const { retryable, ...result } = await this.sendAttempt(webhook, payload, 1)
+    return result
+  }
+}
+
+module.exports = new WebhookService()
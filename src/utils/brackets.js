@@ -0,0 +1,109 @@
+// Helpers for Sleeper playoff bracket entries ({ r, m, t1, t2, w, l, p, ... })
+
+/**
+ * Final placements decided by placement games in a bracket.
+ * A matchup with `p` decides place p for the winner and p + 1 for the loser.
+ * @param {Array} bracket - Sleeper bracket entries
+ * @returns {Map} roster_id -> place
+ */
+const bracketPlacements = (bracket = []) => {
+  const placements = new Map()
+  for (const matchup of bracket) {
+    if (!matchup.p || !matchup.w) continue
+    placements.set(matchup.w, matchup.p)
+    if (matchup.l) placements.set(matchup.l, matchup.p + 1)
+  }
+  return placements
+}
+
+// Roster ID that won the championship game, or null if it has not been played
+const findChampion = (bracket = []) => {
+  const final = bracket.find(matchup => matchup.p === 1)
+  return final?.w || null
+}
+
+// Roster IDs that appear in a bracket
+const bracketRosterIds = (bracket = []) => {
+  const rosterIds = new Set()
+  for (const matchup of bracket) {
+    for (const rosterId of [matchup.t1, matchup.t2]) {
+      if (typeof rosterId === 'number') rosterIds.add(rosterId)
+    }
+  }
+  return rosterIds
+}
+
+/**
+ * NFL weeks a playoff round is scored over.
+ * playoff_round_type: 0 = one week per round, 1 = two-week championship, 2 = two weeks per round
+ * @param {Object} league - Sleeper league
+ * @param {number} round - Bracket round (r), starting at 1
+ * @param {number} finalRound - Last round of the bracket
+ * @returns {number[]} Weeks
+ */
+const roundWeeks = (league, round, finalRound) => {
+  const start = Number(league.settings?.playoff_week_start) || 15
+  const roundType = Number(league.settings?.playoff_round_type) || 0
+
+  if (roundType === 2) {
+    const first = start + (round - 1) * 2
+    return [first, first + 1]
+  }
+
+  const week = start + round - 1
+  return roundType === 1 && round === finalRound ? [week, week + 1] : [week]
+}
+
+// Fill places [first, first + rosterIds.length) with decided places first, the rest by standings order
+const fillPlaces = (rosterIds, first, decided, standingsOrder) => {
+  const places = new Map()
+  for (const rosterId of rosterIds) {
+    const place = decided.get(rosterId)
+    if (place !== undefined) places.set(rosterId, first + place - 1)
+  }
+
+  const taken = new Set(places.values())
+  const remaining = [...rosterIds]
+    .filter(rosterId => !places.has(rosterId))
+    .sort((a, b) => standingsOrder.indexOf(a) - standingsOrder.indexOf(b))
+
+  let place = first
+  for (const rosterId of remaining) {
+    while (taken.has(place)) place++
+    places.set(rosterId, place)
+    taken.add(place)
+  }
+  return places
+}
+
+/**
+ * Final places 1..N for every roster. Winners bracket teams take the top places and
+ * losers bracket placement games rank the rest; teams without a placement game fill the
+ * open places in their group by regular-season order.
+ * @param {Object} options
+ * @param {Array} options.winnersBracket - Sleeper winners bracket
+ * @param {Array} options.losersBracket - Sleeper losers bracket
+ * @param {number[]} options.standingsOrder - Roster IDs by regular-season rank
+ * @returns {Array} [{ place, roster_id }]
+ */
+const resolveFinalPlacements = ({ winnersBracket = [], losersBracket = [], standingsOrder = [] }) => {
+  const playoffTeams = bracketRosterIds(winnersBracket)
+  const otherTeams = standingsOrder.filter(rosterId => !playoffTeams.has(rosterId))
+
+  const places = new Map([
+    ...fillPlaces(playoffTeams, 1, bracketPlacements(winnersBracket), standingsOrder),
+    ...fillPlaces(otherTeams, playoffTeams.size + 1, bracketPlacements(losersBracket), standingsOrder)
+  ])
+
+  return [...places]
+    .map(([rosterId, place]) => ({ place, roster_id: rosterId }))
+    .sort((a, b) => a.place - b.place)
+}
+
+module.exports = {
+  bracketPlacements,
+  findChampion,
+  bracketRosterIds,
+  roundWeeks,
+  resolveFinalPlacements
+}
@@ -0,0 +1,28 @@
+// Helpers for bounding concurrent requests against the Sleeper API
+
+/**
+ * Map over items with at most `limit` mapper calls in flight, preserving order
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await mapper(items[index], index)
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
+module.exports = {
+  mapWithConcurrency
+}
@@ -0,0 +1,85 @@
+// One league's current-week summary for a user's multi-league dashboard
+
+const { roundPoints, entryPoints, indexUsersById, describeOwner, findUserRoster, summarizePlayer } = require('./leagueHelpers')
+const { injuredStartersByRoster } = require('./injuries')
+
+/**
+ * Summarize a user's roster in one league for the current week: record, matchup score and
+ * opponent, pending trades involving the roster and injured starters (most severe first)
+ * @param {Object} options
+ * @param {Object} options.league - Sleeper league
+ * @param {Array} options.rosters - League rosters
+ * @param {Array} options.users - League users
+ * @param {Array} options.matchups - Matchup entries for the week
+ * @param {Array} options.transactions - Transactions for the week
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {string} options.sleeperUserId - The dashboard owner's Sleeper user ID
+ * @returns {Object} League summary (roster_id is null when the user has no roster)
+ */
+const summarizeLeagueWeek = ({ league, rosters = [], users = [], matchups = [], transactions = [], players = {}, sleeperUserId }) => {
+  const summary = {
+    league_id: league.league_id,
+    name: league.name,
+    status: league.status,
+    roster_id: null,
+    record: null,
+    matchup: null,
+    pending_trades: [],
+    injured_starters: []
+  }
+
+  const roster = findUserRoster(rosters, sleeperUserId)
+  if (!roster) return summary
+
+  const usersById = indexUsersById(users)
+  const settings = roster.settings || {}
+  summary.roster_id = roster.roster_id
+  summary.team_name = describeOwner(roster, usersById).team_name
+  summary.record = {
+    wins: settings.wins || 0,
+    losses: settings.losses || 0,
+    ties: settings.ties || 0,
+    points_for: roundPoints((settings.fpts || 0) + (settings.fpts_decimal || 0) / 100)
+  }
+
+  const entry = matchups.find(candidate => candidate.roster_id === roster.roster_id)
+  if (entry) {
+    const opponentEntry = entry.matchup_id === null || entry.matchup_id === undefined
+      ? null
+      : matchups.find(candidate => candidate.matchup_id === entry.matchup_id && candidate.roster_id !== roster.roster_id)
+    const opponentRoster = opponentEntry ? rosters.find(candidate => candidate.roster_id === opponentEntry.roster_id) : null
+
+    summary.matchup = {
+      matchup_id: entry.matchup_id ?? null,
+      points: roundPoints(entryPoints(entry)),
+      opponent: opponentEntry
+        ? {
+            roster_id: opponentEntry.roster_id,
+            ...describeOwner(opponentRoster || { roster_id: opponentEntry.roster_id }, usersById),
+            points: roundPoints(entryPoints(opponentEntry))
+          }
+        : null
+    }
+  }
+
+  summary.pending_trades = transactions
+    .filter(transaction => transaction.type === 'trade' && transaction.status === 'pending')
+    .filter(transaction => (transaction.roster_ids || []).includes(roster.roster_id))
+    .map(transaction => ({
+      transaction_id: transaction.transaction_id,
+      roster_ids: transaction.roster_ids,
+      created: transaction.created,
+      adds: Object.keys(transaction.adds || {}).map(playerId => summarizePlayer(playerId, players[playerId])),
+      drops: Object.keys(transaction.drops || {}).map(playerId => summarizePlayer(playerId, players[playerId]))
+    }))
+
+  // The week's lineup when there is a matchup entry, otherwise the roster's current one
+  const starters = entry?.starters || roster.starters || []
+  summary.injured_starters = injuredStartersByRoster({ rosters: [{ ...roster, starters }], users, players })[0].injured_starters
+
+  return summary
+}
+
+module.exports = {
+  summarizeLeagueWeek
+}
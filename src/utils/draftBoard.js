@@ -0,0 +1,207 @@
+// Draft board layout and ADP-based draft grades
+
+const { SLOT_ELIGIBILITY, roundPoints, summarizePlayer } = require('./leagueHelpers')
+
+const GRADE_THRESHOLDS = [
+  [1.5, 'A+'],
+  [1, 'A'],
+  [0.5, 'B+'],
+  [0, 'B'],
+  [-0.5, 'C+'],
+  [-1, 'C'],
+  [-1.5, 'D']
+]
+
+// Overall pick number for a round and draft slot, honoring snake order and third-round reversal
+const pickNumber = (draft, round, slot) => {
+  const teams = Number(draft.settings?.teams) || 0
+  let reversed = draft.type === 'snake' && round % 2 === 0
+  const reversalRound = Number(draft.settings?.reversal_round) || 0
+  if (draft.type === 'snake' && reversalRound > 0 && round >= reversalRound) {
+    reversed = !reversed
+  }
+  return (round - 1) * teams + (reversed ? teams - slot + 1 : slot)
+}
+
+// A single pick as pushed to live subscribers, falling back to the names Sleeper stores on the pick
+const describePick = (pick, players = {}) => ({
+  pick_no: pick.pick_no,
+  round: pick.round,
+  draft_slot: pick.draft_slot,
+  roster_id: pick.roster_id,
+  picked_by: pick.picked_by || null,
+  is_keeper: Boolean(pick.is_keeper),
+  player: pick.player_id ? summarizePlayer(pick.player_id, players[pick.player_id] || pick.metadata) : null
+})
+
+/**
+ * Lay draft picks out as a round x slot grid
+ * @param {Object} options
+ * @param {Object} options.draft - Sleeper draft
+ * @param {Array} options.picks - Picks made so far
+ * @param {Array} options.tradedPicks - Draft traded picks ({ round, roster_id, owner_id })
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {Map} options.ownersByRosterId - roster_id -> owner description
+ * @returns {Object} { slots, rounds }
+ */
+const buildDraftBoard = ({ draft, picks = [], tradedPicks = [], players = {}, ownersByRosterId = new Map() }) => {
+  const teams = Number(draft.settings?.teams) || 0
+  const roundCount = Number(draft.settings?.rounds) || 0
+  const slotToRosterId = draft.slot_to_roster_id || {}
+
+  const teamName = (rosterId) => ownersByRosterId.get(rosterId)?.team_name || (rosterId ? `Team ${rosterId}` : null)
+  const picksByCell = new Map(picks.map(pick => [`${pick.round}:${pick.draft_slot}`, pick]))
+  const tradedOwners = new Map(tradedPicks.map(pick => [`${pick.round}:${pick.roster_id}`, pick.owner_id]))
+
+  const slots = []
+  for (let slot = 1; slot <= teams; slot++) {
+    const rosterId = slotToRosterId[slot] ?? null
+    slots.push({ slot, roster_id: rosterId, ...(ownersByRosterId.get(rosterId) || { team_name: teamName(rosterId) }) })
+  }
+
+  const rounds = []
+  for (let round = 1; round <= roundCount; round++) {
+    rounds.push(slots.map(({ slot, roster_id: originalRosterId }) => {
+      const pick = picksByCell.get(`${round}:${slot}`)
+      const ownerRosterId = pick?.roster_id ?? tradedOwners.get(`${round}:${originalRosterId}`) ?? originalRosterId
+
+      // Fall back to the names Sleeper stores on the pick for players missing from the cache
+      const player = pick?.player_id ? summarizePlayer(pick.player_id, players[pick.player_id] || pick.metadata) : null
+
+      return {
+        round,
+        slot,
+        pick_no: pick?.pick_no ?? pickNumber(draft, round, slot),
+        original_roster_id: originalRosterId,
+        owner_roster_id: ownerRosterId,
+        owner_team_name: teamName(ownerRosterId),
+        traded: ownerRosterId !== originalRosterId,
+        player,
+        is_keeper: Boolean(pick?.is_keeper),
+        picked_by: pick?.picked_by || null
+      }
+    }))
+  }
+
+  return { slots, rounds }
+}
+
+/**
+ * League-wide starting demand per position, with flex slots split across their eligible positions
+ * @param {string[]} rosterPositions - League roster_positions
+ * @param {number} teams - Number of teams
+ * @returns {Object} position -> starters needed across the league
+ */
+const starterDemand = (rosterPositions = [], teams = 0) => {
+  const demand = {}
+  for (const slot of rosterPositions) {
+    const eligible = SLOT_ELIGIBILITY[slot]
+    if (!eligible) continue
+    for (const position of eligible) {
+      demand[position] = (demand[position] || 0) + teams / eligible.length
+    }
+  }
+  return demand
+}
+
+const letterGrade = (zScore) => {
+  const match = GRADE_THRESHOLDS.find(([threshold]) => zScore >= threshold)
+  return match ? match[1] : 'F'
+}
+
+/**
+ * Grade each team's picks against search_rank ADP, weighting starter-caliber picks at
+ * positions where league demand outstrips the drafted supply
+ * @param {Object} options
+ * @param {Object} options.draft - Sleeper draft
+ * @param {Array} options.picks - Picks made
+ * @param {string[]} options.adpOrder - Player IDs ordered by search_rank (the ADP pool)
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {string[]} options.rosterPositions - League roster_positions
+ * @param {Map} options.ownersByRosterId - roster_id -> owner description
+ * @returns {Object} { scarcity, teams }
+ */
+const gradeDraft = ({ draft, picks = [], adpOrder = [], players = {}, rosterPositions = [], ownersByRosterId = new Map() }) => {
+  const teamCount = Number(draft.settings?.teams) || 0
+  const adpRank = new Map(adpOrder.map((playerId, index) => [playerId, index + 1]))
+
+  // Position ranks within the ADP pool
+  const positionRank = new Map()
+  const positionCounts = {}
+  for (const playerId of adpOrder) {
+    const position = players[playerId]?.position
+    if (!position) continue
+    positionCounts[position] = (positionCounts[position] || 0) + 1
+    positionRank.set(playerId, positionCounts[position])
+  }
+
+  // Scarcity compares league starting demand with how many of the position the draft is expected to take
+  const demand = starterDemand(rosterPositions, teamCount)
+  const supply = {}
+  for (const playerId of adpOrder.slice(0, picks.length)) {
+    const position = players[playerId]?.position
+    if (position) supply[position] = (supply[position] || 0) + 1
+  }
+  const scarcity = {}
+  for (const position of new Set([...Object.keys(demand), ...Object.keys(supply)])) {
+    const ratio = (demand[position] || 0) / Math.max(1, supply[position] || 0)
+    scarcity[position] = roundPoints(Math.min(2, Math.max(0.5, ratio)))
+  }
+
+  const teams = new Map()
+  for (const pick of picks) {
+    if (!teams.has(pick.roster_id)) teams.set(pick.roster_id, [])
+    if (pick.is_keeper || !pick.player_id) continue
+
+    const player = summarizePlayer(pick.player_id, players[pick.player_id] || pick.metadata)
+    // Players outside the ADP pool rank just past its end
+    const rank = adpRank.get(pick.player_id) ?? adpOrder.length + 1
+    const posRank = positionRank.get(pick.player_id) ?? null
+    const starterCaliber = posRank !== null && posRank <= (demand[player.position] || 0)
+    // Positive when the player fell past their ADP, negative for a reach
+    const value = pick.pick_no - rank
+    const weight = starterCaliber ? (scarcity[player.position] || 1) : 0.5
+
+    teams.get(pick.roster_id).push({
+      pick_no: pick.pick_no,
+      round: pick.round,
+      ...player,
+      adp_rank: adpRank.get(pick.player_id) ?? null,
+      position_rank: posRank,
+      starter_caliber: starterCaliber,
+      value,
+      weighted_value: roundPoints(value * weight)
+    })
+  }
+
+  const scored = [...teams].map(([rosterId, teamPicks]) => {
+    const total = teamPicks.reduce((sum, pick) => sum + pick.weighted_value, 0)
+    return {
+      roster_id: rosterId,
+      ...(ownersByRosterId.get(rosterId) || { team_name: `Team ${rosterId}` }),
+      score: teamPicks.length > 0 ? roundPoints(total / teamPicks.length) : 0,
+      best_pick: teamPicks.reduce((best, pick) => (!best || pick.value > best.value ? pick : best), null),
+      biggest_reach: teamPicks.reduce((worst, pick) => (!worst || pick.value < worst.value ? pick : worst), null),
+      picks: teamPicks
+    }
+  })
+
+  const mean = scored.reduce((sum, team) => sum + team.score, 0) / Math.max(1, scored.length)
+  const deviation = Math.sqrt(scored.reduce((sum, team) => sum + (team.score - mean) ** 2, 0) / Math.max(1, scored.length))
+
+  return {
+    scarcity,
+    teams: scored
+      .map(team => ({ ...team, grade: letterGrade(deviation > 0 ? (team.score - mean) / deviation : 0) }))
+      .sort((a, b) => b.score - a.score)
+      .map((team, index) => ({ rank: index + 1, ...team }))
+  }
+}
+
+module.exports = {
+  pickNumber,
+  describePick,
+  buildDraftBoard,
+  starterDemand,
+  gradeDraft
+}
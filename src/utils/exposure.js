@@ -0,0 +1,69 @@
+// How many of a user's leagues roster and start each player
+
+const { roundPoints, summarizePlayer } = require('./leagueHelpers')
+
+const share = (count, total) => total === 0 ? 0 : roundPoints(count / total)
+
+const NO_SCHEDULE_NOTE = "Bye weeks need the season's NFL schedule imported (npm run schedule:import)"
+
+// Add one player's counts to a breakdown bucket
+const addToBucket = (buckets, key, fields, row) => {
+  if (!buckets.has(key)) buckets.set(key, { ...fields, players: 0, rostered: 0, started: 0 })
+  const bucket = buckets.get(key)
+  bucket.players++
+  bucket.rostered += row.rostered
+  bucket.started += row.started
+}
+
+/**
+ * Count each player's appearances across a user's rosters
+ * @param {Object} options
+ * @param {Array} options.leagueRosters - [{ league, roster }] for leagues where the user has a roster
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {Map} options.byeWeeks - NFL team -> bye week (empty when no schedule is loaded)
+ * @returns {Object} { leagues_counted, players, by_team, by_bye_week, bye_weeks_note }
+ *   (by_bye_week is empty and the note says why when no schedule is loaded)
+ */
+const computeExposure = ({ leagueRosters = [], players = {}, byeWeeks = new Map() }) => {
+  const rows = new Map()
+  for (const { league, roster } of leagueRosters) {
+    const starters = new Set(roster.starters || [])
+    for (const playerId of new Set(roster.players || [])) {
+      if (!playerId || playerId === '0') continue
+      if (!rows.has(playerId)) {
+        const player = summarizePlayer(playerId, players[playerId])
+        rows.set(playerId, { ...player, bye_week: byeWeeks.get(player.team) ?? null, rostered: 0, started: 0, leagues: [] })
+      }
+      const row = rows.get(playerId)
+      const starter = starters.has(playerId)
+      row.rostered++
+      if (starter) row.started++
+      row.leagues.push({ league_id: league.league_id, name: league.name, roster_id: roster.roster_id, starter })
+    }
+  }
+
+  const total = leagueRosters.length
+  const exposure = [...rows.values()]
+    .map(row => ({ ...row, rostered_pct: share(row.rostered, total), started_pct: share(row.started, total) }))
+    .sort((a, b) => b.rostered - a.rostered || b.started - a.started || (a.full_name || '').localeCompare(b.full_name || ''))
+
+  const byTeam = new Map()
+  const byByeWeek = new Map()
+  for (const row of exposure) {
+    addToBucket(byTeam, row.team, { team: row.team, bye_week: row.bye_week }, row)
+    addToBucket(byByeWeek, row.bye_week, { bye_week: row.bye_week }, row)
+  }
+
+  const scheduleLoaded = byeWeeks.size > 0
+  return {
+    leagues_counted: total,
+    players: exposure,
+    by_team: [...byTeam.values()].sort((a, b) => b.rostered - a.rostered || (a.team || '').localeCompare(b.team || '')),
+    by_bye_week: scheduleLoaded ? [...byByeWeek.values()].sort((a, b) => (a.bye_week ?? Infinity) - (b.bye_week ?? Infinity)) : [],
+    bye_weeks_note: scheduleLoaded ? null : NO_SCHEDULE_NOTE
+  }
+}
+
+module.exports = {
+  computeExposure
+}
@@ -0,0 +1,53 @@
+// NFL kickoff windows, used to decide how often live scores are worth polling
+
+const moment = require('moment-timezone')
+
+const NFL_TIMEZONE = 'America/New_York'
+
+// Day of week (0 = Sunday) -> [start, end] in Eastern hours; end past 24 runs into the next morning
+const GAME_WINDOWS = {
+  0: [9, 24.5], // Sunday, from London kickoffs through Sunday night
+  1: [19, 24.5], // Monday night
+  4: [19, 24.5], // Thursday night (and Thanksgiving afternoons below)
+  5: [12, 24], // Black Friday and occasional Friday games
+  6: [12, 24.5] // Late-season Saturdays
+}
+
+// Late-season weeks that add Saturday games
+const SATURDAY_GAMES_FROM_WEEK = 15
+
+// Thanksgiving week's Thursday slate starts early
+const THANKSGIVING_WEEK = 12
+
+/**
+ * Whether NFL games are likely in progress
+ * @param {Object} nflState - Sleeper NFL state ({ season_type, week })
+ * @param {Object} now - moment instance (defaults to the current time)
+ * @returns {boolean}
+ */
+const isGameWindow = (nflState, now = moment()) => {
+  if (!nflState || !['regular', 'post'].includes(nflState.season_type)) return false
+
+  const eastern = moment(now).tz(NFL_TIMEZONE)
+  const hour = eastern.hours() + eastern.minutes() / 60
+  const week = Number(nflState.week) || 0
+
+  const inWindow = (day, hourOfDay) => {
+    const window = GAME_WINDOWS[day]
+    if (!window) return false
+    if (day === 6 && nflState.season_type === 'regular' && week < SATURDAY_GAMES_FROM_WEEK) return false
+    if (day === 5 && week !== THANKSGIVING_WEEK && week < SATURDAY_GAMES_FROM_WEEK) return false
+
+    const start = day === 4 && week === THANKSGIVING_WEEK ? 12 : window[0]
+    return hourOfDay >= start && hourOfDay < window[1]
+  }
+
+  // Late games spill past midnight, so also check the previous day's window
+  const previousDay = (eastern.day() + 6) % 7
+  return inWindow(eastern.day(), hour) || inWindow(previousDay, hour + 24)
+}
+
+module.exports = {
+  NFL_TIMEZONE,
+  isGameWindow
+}
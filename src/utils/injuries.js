@@ -0,0 +1,69 @@
+// Injury report entries from the cached player blob
+
+const { summarizePlayer, indexUsersById, describeOwner } = require('./leagueHelpers')
+
+// Every designation that marks a player as injured (or otherwise sidelined), most severe first.
+// The injury report, dashboards and lineup availability all work from this one list.
+const INJURY_STATUSES = ['IR', 'PUP', 'Sus', 'COV', 'Out', 'Doubtful', 'Questionable']
+
+// Designations that keep a player out of a lineup: everything more severe than Doubtful
+const UNAVAILABLE_INJURY_STATUSES = INJURY_STATUSES.slice(0, INJURY_STATUSES.indexOf('Doubtful'))
+
+// Canonical status for a user-supplied one (case-insensitive), or null
+const normalizeInjuryStatus = (value) => {
+  return INJURY_STATUSES.find(status => status.toLowerCase() === String(value).trim().toLowerCase()) || null
+}
+
+const severity = (status) => {
+  const index = INJURY_STATUSES.indexOf(status)
+  return index === -1 ? INJURY_STATUSES.length : index
+}
+
+// A player's injury details alongside the usual player summary
+const describeInjury = (playerId, player) => ({
+  ...summarizePlayer(playerId, player),
+  injury_body_part: player?.injury_body_part || null,
+  injury_notes: player?.injury_notes || null,
+  injury_start_date: player?.injury_start_date || null,
+  practice_participation: player?.practice_participation || null,
+  practice_description: player?.practice_description || null
+})
+
+// Number of players per injury designation
+const countByStatus = (entries) => {
+  const counts = Object.fromEntries(INJURY_STATUSES.map(status => [status, 0]))
+  for (const entry of entries) {
+    if (entry.injury_status in counts) counts[entry.injury_status]++
+  }
+  return counts
+}
+
+/**
+ * Each roster's starters carrying one of the given injury designations, most severe first
+ * @param {Object} options
+ * @param {Array} options.rosters - League rosters (starters is the current lineup)
+ * @param {Array} options.users - League users
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {string[]} options.statuses - Designations to include
+ * @returns {Array} [{ roster_id, owner_id, display_name, team_name, injured_starters }]
+ */
+const injuredStartersByRoster = ({ rosters = [], users = [], players = {}, statuses = INJURY_STATUSES }) => {
+  const usersById = indexUsersById(users)
+  return rosters.map(roster => ({
+    roster_id: roster.roster_id,
+    ...describeOwner(roster, usersById),
+    injured_starters: (roster.starters || [])
+      .filter(playerId => statuses.includes(players[playerId]?.injury_status))
+      .map(playerId => describeInjury(playerId, players[playerId]))
+      .sort((a, b) => severity(a.injury_status) - severity(b.injury_status))
+  }))
+}
+
+module.exports = {
+  INJURY_STATUSES,
+  UNAVAILABLE_INJURY_STATUSES,
+  normalizeInjuryStatus,
+  describeInjury,
+  countByStatus,
+  injuredStartersByRoster
+}
@@ -0,0 +1,113 @@
+// Shared helpers for working with Sleeper league data
+
+// Player positions each Sleeper starting slot accepts
+const SLOT_ELIGIBILITY = {
+  QB: ['QB'],
+  RB: ['RB'],
+  WR: ['WR'],
+  TE: ['TE'],
+  K: ['K'],
+  DEF: ['DEF'],
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  REC_FLEX: ['WR', 'TE'],
+  WRRB_FLEX: ['RB', 'WR'],
+  DL: ['DL'],
+  LB: ['LB'],
+  DB: ['DB'],
+  IDP_FLEX: ['DL', 'LB', 'DB']
+}
+
+// Round fantasy points to two decimals, treating missing values as zero
+const roundPoints = (value) => {
+  return Math.round((Number(value) || 0) * 100) / 100
+}
+
+// A matchup entry's score; custom_points is set when the commissioner overrides it
+const entryPoints = (entry) => {
+  return Number(entry?.custom_points ?? entry?.points) || 0
+}
+
+// Index league users by user_id for owner lookups
+const indexUsersById = (users = []) => {
+  const usersById = new Map()
+  for (const user of users) {
+    usersById.set(user.user_id, user)
+  }
+  return usersById
+}
+
+// Resolve the owner and team name for a roster
+const describeOwner = (roster, usersById) => {
+  const owner = roster.owner_id ? usersById.get(roster.owner_id) : null
+  return {
+    owner_id: roster.owner_id || null,
+    display_name: owner?.display_name || null,
+    team_name: owner?.metadata?.team_name || owner?.display_name || `Team ${roster.roster_id}`
+  }
+}
+
+// The roster a Sleeper user owns or co-owns in a league
+const findUserRoster = (rosters = [], sleeperUserId) => {
+  if (!sleeperUserId) return null
+  return rosters.find(roster => roster.owner_id === sleeperUserId || (roster.co_owners || []).includes(sleeperUserId)) || null
+}
+
+// Group a week's matchup entries by matchup_id (entries without one are on bye)
+const groupByMatchupId = (matchups = []) => {
+  const groups = new Map()
+  for (const entry of matchups) {
+    if (entry.matchup_id === null || entry.matchup_id === undefined) continue
+    if (!groups.has(entry.matchup_id)) {
+      groups.set(entry.matchup_id, [])
+    }
+    groups.get(entry.matchup_id).push(entry)
+  }
+  return groups
+}
+
+// Compare two scores and return W, L or T from the first team's perspective
+const gameResult = (points, opponentPoints) => {
+  if (points > opponentPoints) return 'W'
+  if (points < opponentPoints) return 'L'
+  return 'T'
+}
+
+// Division names configured in league metadata, keyed by division number
+const divisionNamesFor = (league) => {
+  const divisionNames = {}
+  const divisionCount = Number(league.settings?.divisions) || 0
+  for (let division = 1; division <= divisionCount; division++) {
+    const name = league.metadata?.[`division_${division}`]
+    if (name) divisionNames[division] = name
+  }
+  return divisionNames
+}
+
+// Compact player description for inlining next to roster or transaction player IDs
+const summarizePlayer = (playerId, player) => {
+  if (!player) {
+    return { player_id: playerId, full_name: null, position: null, team: null, status: null, injury_status: null }
+  }
+  return {
+    player_id: playerId,
+    full_name: player.full_name || [player.first_name, player.last_name].filter(Boolean).join(' ') || null,
+    position: player.position || null,
+    team: player.team || null,
+    status: player.status || null,
+    injury_status: player.injury_status || null
+  }
+}
+
+module.exports = {
+  SLOT_ELIGIBILITY,
+  roundPoints,
+  entryPoints,
+  indexUsersById,
+  describeOwner,
+  findUserRoster,
+  groupByMatchupId,
+  gameResult,
+  divisionNamesFor,
+  summarizePlayer
+}
@@ -0,0 +1,177 @@
+// Season summaries and all-time records for leagues chained through previous_league_id
+
+const { computeStandings } = require('./standings')
+const { roundPoints, entryPoints, divisionNamesFor, groupByMatchupId, gameResult } = require('./leagueHelpers')
+const { bracketPlacements, findChampion } = require('./brackets')
+
+// Order teams by playoff placement where one was decided, then by regular-season rank
+const finalOrder = (standings, placements) => {
+  return [...standings].sort((a, b) => {
+    const placeA = placements.get(a.roster_id)
+    const placeB = placements.get(b.roster_id)
+    if (placeA && placeB) return placeA - placeB
+    if (placeA) return -1
+    if (placeB) return 1
+    return a.rank - b.rank
+  })
+}
+
+/**
+ * Summarize one season: champion, final standings and head-to-head games between owners
+ * @param {Object} options
+ * @param {Object} options.league - Sleeper league for the season
+ * @param {Array} options.rosters - Rosters for the season
+ * @param {Array} options.users - Users for the season
+ * @param {Array} options.weeklyMatchups - [{ week, matchups }] for completed regular-season weeks
+ * @param {Array} options.bracket - Winners bracket
+ * @returns {Object} Season summary
+ */
+const summarizeSeason = ({ league, rosters = [], users = [], weeklyMatchups = [], bracket = [] }) => {
+  const standings = computeStandings({
+    rosters,
+    users,
+    weeks: weeklyMatchups,
+    divisionNames: divisionNamesFor(league),
+    medianMatch: league.settings?.league_average_match === 1
+  })
+
+  const placements = bracketPlacements(bracket)
+  const championRosterId = findChampion(bracket)
+  const ownersByRosterId = new Map(rosters.map(roster => [roster.roster_id, roster.owner_id || null]))
+
+  const ordered = finalOrder(standings, placements).map((row, index) => ({
+    final_rank: index + 1,
+    regular_season_rank: row.rank,
+    roster_id: row.roster_id,
+    owner_id: row.owner_id,
+    display_name: row.display_name,
+    team_name: row.team_name,
+    wins: row.wins,
+    losses: row.losses,
+    ties: row.ties,
+    points_for: row.points_for
+  }))
+
+  const games = []
+  for (const { week, matchups } of weeklyMatchups) {
+    for (const entries of groupByMatchupId(matchups).values()) {
+      if (entries.length !== 2) continue
+      const [a, b] = entries
+      games.push({
+        week,
+        teams: [
+          { owner_id: ownersByRosterId.get(a.roster_id), points: roundPoints(entryPoints(a)) },
+          { owner_id: ownersByRosterId.get(b.roster_id), points: roundPoints(entryPoints(b)) }
+        ]
+      })
+    }
+  }
+
+  const describeRoster = (rosterId) => {
+    const row = ordered.find(team => team.roster_id === rosterId)
+    return row ? { roster_id: row.roster_id, owner_id: row.owner_id, display_name: row.display_name, team_name: row.team_name } : null
+  }
+
+  return {
+    season: league.season,
+    league_id: league.league_id,
+    name: league.name,
+    status: league.status,
+    champion: championRosterId ? describeRoster(championRosterId) : null,
+    runner_up: championRosterId ? describeRoster([...placements].find(([, place]) => place === 2)?.[0]) : null,
+    standings: ordered,
+    games,
+    ownersByRosterId
+  }
+}
+
+// Roster slots whose owner differs from the previous season
+const ownerChanges = (season, previousSeason) => {
+  if (!previousSeason) return []
+  const changes = []
+  for (const [rosterId, ownerId] of season.ownersByRosterId) {
+    const previousOwnerId = previousSeason.ownersByRosterId.get(rosterId) ?? null
+    if (previousOwnerId !== ownerId) {
+      changes.push({ roster_id: rosterId, previous_owner_id: previousOwnerId, owner_id: ownerId })
+    }
+  }
+  return changes
+}
+
+/**
+ * Combine season summaries (newest first) into owner continuity and all-time head-to-head records
+ * @param {Array} seasons - From summarizeSeason, newest first
+ * @returns {Object} { seasons, owners, head_to_head }
+ */
+const buildLeagueHistory = (seasons) => {
+  const owners = new Map()
+  const headToHead = new Map()
+
+  // Walk oldest to newest so display names end up as the most recent ones
+  for (const season of [...seasons].reverse()) {
+    for (const row of season.standings) {
+      if (!row.owner_id) continue
+      if (!owners.has(row.owner_id)) {
+        owners.set(row.owner_id, {
+          user_id: row.owner_id,
+          display_name: row.display_name,
+          seasons: [],
+          championships: 0,
+          best_finish: null,
+          wins: 0,
+          losses: 0,
+          ties: 0,
+          points_for: 0
+        })
+      }
+      const owner = owners.get(row.owner_id)
+      owner.display_name = row.display_name || owner.display_name
+      owner.seasons.push(season.season)
+      owner.wins += row.wins
+      owner.losses += row.losses
+      owner.ties += row.ties
+      owner.points_for = roundPoints(owner.points_for + row.points_for)
+      owner.best_finish = owner.best_finish === null ? row.final_rank : Math.min(owner.best_finish, row.final_rank)
+      if (season.champion?.owner_id === row.owner_id) owner.championships++
+    }
+
+    for (const { teams } of season.games) {
+      if (!teams[0].owner_id || !teams[1].owner_id || teams[0].owner_id === teams[1].owner_id) continue
+      const [first, second] = [...teams].sort((a, b) => a.owner_id.localeCompare(b.owner_id))
+      const key = `${first.owner_id}:${second.owner_id}`
+      if (!headToHead.has(key)) {
+        headToHead.set(key, {
+          user_ids: [first.owner_id, second.owner_id],
+          games: 0,
+          wins: [0, 0],
+          ties: 0,
+          points: [0, 0]
+        })
+      }
+      const record = headToHead.get(key)
+      const result = gameResult(first.points, second.points)
+      record.games++
+      if (result === 'W') record.wins[0]++
+      else if (result === 'L') record.wins[1]++
+      else record.ties++
+      record.points = [roundPoints(record.points[0] + first.points), roundPoints(record.points[1] + second.points)]
+    }
+  }
+
+  return {
+    seasons: seasons.map((season, index) => {
+      const { games, ownersByRosterId, ...summary } = season
+      return { ...summary, owner_changes: ownerChanges(season, seasons[index + 1]) }
+    }),
+    owners: [...owners.values()].sort((a, b) => b.championships - a.championships || b.wins - a.wins),
+    head_to_head: [...headToHead.values()].map(record => ({
+      ...record,
+      display_names: record.user_ids.map(userId => owners.get(userId)?.display_name || null)
+    }))
+  }
+}
+
+module.exports = {
+  summarizeSeason,
+  buildLeagueHistory
+}
@@ -0,0 +1,162 @@
+// Optimal starting lineups from league roster_positions and per-player scoring averages
+
+const { SLOT_ELIGIBILITY, roundPoints, summarizePlayer } = require('./leagueHelpers')
+const { UNAVAILABLE_INJURY_STATUSES } = require('./injuries')
+
+// roster_positions entries that are not starting slots
+const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI']
+
+// Starting slots in roster order; Sleeper's starters array lines up with these
+const startingSlots = (rosterPositions = []) => rosterPositions.filter(slot => !NON_STARTING_SLOTS.includes(slot))
+
+// Positions a player can fill (multi-position players are listed in fantasy_positions)
+const playerPositions = (player) => {
+  if (Array.isArray(player?.fantasy_positions) && player.fantasy_positions.length > 0) {
+    return player.fantasy_positions
+  }
+  return player?.position ? [player.position] : []
+}
+
+const isEligible = (candidate, slot) => {
+  const eligible = SLOT_ELIGIBILITY[slot] || []
+  return candidate.positions.some(position => eligible.includes(position))
+}
+
+// Why a player cannot start this week, or null when they can
+const unavailableReason = (player, byeTeams) => {
+  if (!player) return 'unknown_player'
+  if (!player.team) return 'no_team'
+  if (byeTeams.has(player.team)) return 'bye'
+  if (UNAVAILABLE_INJURY_STATUSES.includes(player.injury_status)) return 'injury'
+  return null
+}
+
+/**
+ * Points per game for every player in the given weeks of league matchups. Every week with a
+ * players_points entry counts, zero-point weeks included; weeks without one are left out.
+ * @param {Array} weeklyMatchups - [{ week, matchups }]
+ * @returns {Map} player_id -> { average, games }
+ */
+const averagePointsByPlayer = (weeklyMatchups = []) => {
+  const totals = new Map()
+  for (const { matchups } of weeklyMatchups) {
+    for (const entry of matchups || []) {
+      for (const [playerId, points] of Object.entries(entry.players_points || {})) {
+        const total = totals.get(playerId) || { points: 0, games: 0 }
+        total.points += Number(points) || 0
+        total.games++
+        totals.set(playerId, total)
+      }
+    }
+  }
+  return new Map([...totals].map(([playerId, { points, games }]) => [playerId, { average: roundPoints(points / games), games }]))
+}
+
+// Most restrictive slots first so flex slots get whoever is left
+const fillOrder = (slots) => {
+  return slots
+    .map((slot, index) => index)
+    .sort((a, b) => (SLOT_ELIGIBILITY[slots[a]]?.length ?? Infinity) - (SLOT_ELIGIBILITY[slots[b]]?.length ?? Infinity))
+}
+
+const fillSlots = (slots, candidates, lineup = new Array(slots.length).fill(null)) => {
+  const used = new Set(lineup.filter(Boolean).map(candidate => candidate.player_id))
+  for (const index of fillOrder(slots)) {
+    if (lineup[index]) continue
+    const pick = candidates.find(candidate => !used.has(candidate.player_id) && isEligible(candidate, slots[index]))
+    if (pick) {
+      used.add(pick.player_id)
+      lineup[index] = pick
+    }
+  }
+  return lineup
+}
+
+/**
+ * Fill every starting slot with the highest-averaging available players and compare with the
+ * current lineup. Players chosen for both lineups keep their current slot where possible so
+ * only real swaps are reported.
+ * @param {Object} options
+ * @param {string[]} options.rosterPositions - League roster_positions
+ * @param {string[]} options.playerIds - Players on the roster (reserve and taxi excluded)
+ * @param {string[]} options.currentStarters - Current starters, aligned with the starting slots
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {Map} options.averages - From averagePointsByPlayer
+ * @param {Set} options.byeTeams - NFL teams on bye this week
+ * @returns {Object} { current_points, optimal_points, improvement, lineup, swaps, unavailable }
+ */
+const optimizeLineup = ({ rosterPositions = [], playerIds = [], currentStarters = [], players = {}, averages = new Map(), byeTeams = new Set() }) => {
+  const slots = startingSlots(rosterPositions)
+
+  const describe = (playerId) => ({
+    ...summarizePlayer(playerId, players[playerId]),
+    positions: playerPositions(players[playerId]),
+    projected_points: averages.get(playerId)?.average ?? 0,
+    games: averages.get(playerId)?.games ?? 0,
+    unavailable_reason: unavailableReason(players[playerId], byeTeams)
+  })
+
+  const candidates = [...new Set([...playerIds, ...currentStarters])]
+    .filter(playerId => playerId && playerId !== '0')
+    .map(describe)
+  const byId = new Map(candidates.map(candidate => [candidate.player_id, candidate]))
+
+  // Highest average first; players without games fall back to search_rank order
+  const searchRank = (candidate) => players[candidate.player_id]?.search_rank ?? Infinity
+  const available = candidates
+    .filter(candidate => !candidate.unavailable_reason && playerIds.includes(candidate.player_id))
+    .sort((a, b) => b.projected_points - a.projected_points || searchRank(a) - searchRank(b))
+
+  const greedy = fillSlots(slots, available)
+  const chosen = greedy.filter(Boolean)
+  const chosenIds = new Set(chosen.map(candidate => candidate.player_id))
+
+  // Keep chosen current starters in place, then seat the rest; fall back if that cannot seat everyone
+  const kept = slots.map((slot, index) => {
+    const candidate = byId.get(currentStarters[index])
+    return candidate && chosenIds.has(candidate.player_id) && isEligible(candidate, slot) ? candidate : null
+  })
+  const aligned = fillSlots(slots, chosen, kept)
+  const lineup = aligned.filter(Boolean).length === chosen.length ? aligned : greedy
+
+  const current = slots.map((slot, index) => byId.get(currentStarters[index]) || null)
+  // Starters who cannot play score nothing
+  const expected = (candidate) => candidate && !candidate.unavailable_reason ? candidate.projected_points : 0
+  const currentPoints = roundPoints(current.reduce((sum, candidate) => sum + expected(candidate), 0))
+  const optimalPoints = roundPoints(lineup.reduce((sum, candidate) => sum + expected(candidate), 0))
+
+  const publicPlayer = (candidate) => {
+    if (!candidate) return null
+    const { positions, unavailable_reason: reason, ...player } = candidate
+    return reason ? { ...player, unavailable_reason: reason } : player
+  }
+
+  return {
+    current_points: currentPoints,
+    optimal_points: optimalPoints,
+    improvement: roundPoints(optimalPoints - currentPoints),
+    lineup: slots.map((slot, index) => ({
+      slot,
+      player: publicPlayer(lineup[index]),
+      current: publicPlayer(current[index])
+    })),
+    swaps: slots
+      .map((slot, index) => ({ slot, bench: current[index], start: lineup[index] }))
+      .filter(({ bench, start }) => bench?.player_id !== start?.player_id)
+      .map(({ slot, bench, start }) => ({
+        slot,
+        bench: publicPlayer(bench),
+        start: publicPlayer(start),
+        gain: roundPoints(expected(start) - expected(bench))
+      })),
+    unavailable: candidates.filter(candidate => candidate.unavailable_reason).map(publicPlayer)
+  }
+}
+
+module.exports = {
+  startingSlots,
+  playerPositions,
+  fillSlots,
+  averagePointsByPlayer,
+  optimizeLineup
+}
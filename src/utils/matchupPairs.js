@@ -0,0 +1,98 @@
+// Build head-to-head matchup pairs from a week's flat Sleeper matchup entries
+
+const {
+  roundPoints,
+  entryPoints,
+  indexUsersById,
+  describeOwner,
+  groupByMatchupId,
+  summarizePlayer
+} = require('./leagueHelpers')
+
+// Resolve one team's side of a matchup
+const buildTeam = (entry, roster, usersById, players, { final, averages, teamsYetToPlay }) => {
+  const playerPoints = entry.players_points || {}
+  const starterIds = entry.starters || []
+  const starterSet = new Set(starterIds)
+
+  const describe = (playerId) => ({
+    ...summarizePlayer(playerId, players[playerId]),
+    points: roundPoints(playerPoints[playerId])
+  })
+
+  const starters = starterIds.map(playerId => (!playerId || playerId === '0') ? null : describe(playerId))
+  const bench = (entry.players || []).filter(playerId => !starterSet.has(playerId)).map(describe)
+  const points = roundPoints(entryPoints(entry))
+
+  // Until the week is final: points so far plus the season average of every starter still to play.
+  // Without a loaded schedule a starter who hasn't scored yet is taken to be still to play.
+  const yetToPlay = (starter) => teamsYetToPlay ? teamsYetToPlay.has(starter.team) : !starter.points
+  const remaining = starters
+    .filter(starter => starter && yetToPlay(starter))
+    .reduce((sum, starter) => sum + (averages.get(starter.player_id)?.average || 0), 0)
+  const projectedPoints = final ? points : roundPoints(points + remaining)
+
+  return {
+    roster_id: entry.roster_id,
+    ...describeOwner(roster || { roster_id: entry.roster_id }, usersById),
+    points,
+    projected_points: projectedPoints,
+    bench_points: roundPoints(bench.reduce((sum, player) => sum + player.points, 0)),
+    starters,
+    bench
+  }
+}
+
+// Leader and margin between two scores, or a null leader for a tie
+const compareTeams = (teamA, teamB, key) => {
+  if (!teamB) return { rosterId: null, margin: null }
+  const margin = roundPoints(Math.abs(teamA[key] - teamB[key]))
+  if (teamA[key] === teamB[key]) return { rosterId: null, margin }
+  return { rosterId: teamA[key] > teamB[key] ? teamA.roster_id : teamB.roster_id, margin }
+}
+
+/**
+ * Group matchup entries into pairs with owners, per-player points and projections
+ * @param {Object} options
+ * @param {Array} options.matchups - Flat Sleeper matchup entries for one week
+ * @param {Array} options.rosters - League rosters
+ * @param {Array} options.users - League users
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {boolean} options.final - Whether the week has finished scoring
+ * @param {Map} options.averages - Points per game by player ID (from averagePointsByPlayer)
+ * @param {Set} options.teamsYetToPlay - NFL teams whose game this week hasn't kicked off, or null without a schedule
+ * @returns {Object} { pairs, byes }
+ */
+const buildMatchupPairs = ({ matchups = [], rosters = [], users = [], players = {}, final = false, averages = new Map(), teamsYetToPlay = null }) => {
+  const rostersById = new Map(rosters.map(roster => [roster.roster_id, roster]))
+  const usersById = indexUsersById(users)
+
+  const pairs = [...groupByMatchupId(matchups).entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([matchupId, entries]) => {
+      const teams = entries.map(entry => buildTeam(entry, rostersById.get(entry.roster_id), usersById, players, { final, averages, teamsYetToPlay }))
+      const leader = compareTeams(teams[0], teams[1], 'points')
+      const projected = compareTeams(teams[0], teams[1], 'projected_points')
+
+      return {
+        matchup_id: matchupId,
+        status: final ? 'final' : 'in_progress',
+        winner_roster_id: final ? leader.rosterId : null,
+        leader_roster_id: leader.rosterId,
+        margin: leader.margin,
+        projected_winner_roster_id: projected.rosterId,
+        projected_margin: projected.margin,
+        teams
+      }
+    })
+
+  const byes = matchups
+    .filter(entry => entry.matchup_id === null || entry.matchup_id === undefined)
+    .map(entry => entry.roster_id)
+
+  return { pairs, byes }
+}
+
+module.exports = {
+  buildMatchupPairs
+}
@@ -0,0 +1,116 @@
+// Name normalization and fuzzy matching primitives used by the player search index
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v'])
+
+// Common fantasy nicknames that point at a single player, mapped to Sleeper's search_full_name
+const PLAYER_NICKNAMES = {
+  cmc: 'christianmccaffrey',
+  arsb: 'amonrastbrown',
+  jsn: 'jaxonsmithnjigba',
+  obj: 'odellbeckham',
+  ajb: 'ajbrown',
+  kw3: 'kennethwalker',
+  jt: 'jonathantaylor',
+  mhj: 'marvinharrison',
+  btj: 'brianthomas',
+  tmac: 'terrymclaurin',
+  hollywood: 'marquisebrown'
+}
+
+// Lowercase, strip punctuation and generational suffixes
+const normalizeName = (value) => {
+  if (!value) return ''
+  return String(value)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token && !NAME_SUFFIXES.has(token))
+    .join(' ')
+}
+
+// Padded character trigrams, so short names and word boundaries still produce grams
+const trigrams = (value) => {
+  const grams = new Set()
+  const padded = `  ${value} `
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3))
+  }
+  return grams
+}
+
+// Dice coefficient between two trigram sets
+const trigramSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  for (const gram of a) {
+    if (b.has(gram)) shared++
+  }
+  return (2 * shared) / (a.size + b.size)
+}
+
+// Classic Levenshtein edit distance (two-row implementation)
+const editDistance = (a, b) => {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Edit distance scaled to 0..1, where 1 is identical
+const editSimilarity = (a, b) => {
+  const longest = Math.max(a.length, b.length)
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest
+}
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+}
+
+// Soundex phonetic key for a single name token ("mahommes" and "mahomes" -> "m520")
+const phoneticKey = (token) => {
+  const letters = String(token).toLowerCase().replace(/[^a-z]/g, '')
+  if (!letters) return ''
+
+  let key = letters[0]
+  let lastCode = SOUNDEX_CODES[letters[0]] || ''
+  for (let i = 1; i < letters.length && key.length < 4; i++) {
+    const letter = letters[i]
+    const code = SOUNDEX_CODES[letter] || ''
+    if (code && code !== lastCode) {
+      key += code
+    }
+    // h and w do not separate letters with the same code
+    if (letter !== 'h' && letter !== 'w') {
+      lastCode = code
+    }
+  }
+  return key.padEnd(4, '0')
+}
+
+module.exports = {
+  PLAYER_NICKNAMES,
+  normalizeName,
+  trigrams,
+  trigramSimilarity,
+  editSimilarity,
+  phoneticKey
+}
@@ -0,0 +1,62 @@
+// Helpers for diffing daily player snapshots
+
+// Player fields whose changes are recorded between refreshes
+const TRACKED_PLAYER_FIELDS = [
+  'team',
+  'status',
+  'injury_status',
+  'injury_body_part',
+  'practice_participation',
+  'depth_chart_position',
+  'depth_chart_order',
+  'position',
+  'number',
+  'active'
+]
+
+// Store values as text so every field fits one column; missing values become null
+const serializeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  return String(value)
+}
+
+/**
+ * Compare two player snapshots ({ [playerId]: player }) and list field-level changes
+ * @param {Object} previous - Snapshot from the previous refresh
+ * @param {Object} next - Snapshot from the current refresh
+ * @param {string[]} fields - Fields to compare
+ * @returns {Array} [{ player_id, field, old_value, new_value }]
+ */
+const diffPlayerSnapshots = (previous, next, fields = TRACKED_PLAYER_FIELDS) => {
+  const changes = []
+
+  for (const [playerId, player] of Object.entries(next)) {
+    const before = previous[playerId]
+
+    if (!before) {
+      changes.push({ player_id: playerId, field: 'player', old_value: null, new_value: 'added' })
+      continue
+    }
+
+    for (const field of fields) {
+      const oldValue = serializeValue(before[field])
+      const newValue = serializeValue(player[field])
+      if (oldValue !== newValue) {
+        changes.push({ player_id: playerId, field, old_value: oldValue, new_value: newValue })
+      }
+    }
+  }
+
+  for (const playerId of Object.keys(previous)) {
+    if (!next[playerId]) {
+      changes.push({ player_id: playerId, field: 'player', old_value: 'present', new_value: 'removed' })
+    }
+  }
+
+  return changes
+}
+
+module.exports = {
+  TRACKED_PLAYER_FIELDS,
+  diffPlayerSnapshots
+}
@@ -0,0 +1,151 @@
+// Power rankings from all-play records, scoring and recent form
+
+const { roundPoints, entryPoints, indexUsersById, describeOwner, groupByMatchupId, gameResult } = require('./leagueHelpers')
+
+// Share of the composite power score each signal contributes
+const POWER_WEIGHTS = {
+  allPlay: 0.5,
+  pointsFor: 0.3,
+  recent: 0.2
+}
+
+// Weeks of all-play results counted as recent form
+const RECENT_WEEKS = 3
+
+const allPlayPct = ({ wins, losses, ties }) => {
+  const games = wins + losses + ties
+  return games === 0 ? 0 : (wins + ties * 0.5) / games
+}
+
+// Fraction of the other teams a value beats (ties count half), 0..1
+const percentileOf = (value, values) => {
+  if (values.length < 2) return 1
+  const below = values.filter(other => other < value).length
+  const equal = values.filter(other => other === value).length - 1
+  return (below + equal * 0.5) / (values.length - 1)
+}
+
+// Score and rank every team from its cumulative stats
+const scoreTeams = (teams) => {
+  const pointsFor = teams.map(team => team.pointsFor)
+  const scored = teams.map(team => {
+    const recent = team.weeks.slice(-RECENT_WEEKS).reduce((record, week) => ({
+      wins: record.wins + week.allPlay.wins,
+      losses: record.losses + week.allPlay.losses,
+      ties: record.ties + week.allPlay.ties
+    }), { wins: 0, losses: 0, ties: 0 })
+
+    const pointsForPercentile = percentileOf(team.pointsFor, pointsFor)
+    const recentPct = allPlayPct(recent)
+    const score = POWER_WEIGHTS.allPlay * allPlayPct(team.allPlay) +
+      POWER_WEIGHTS.pointsFor * pointsForPercentile +
+      POWER_WEIGHTS.recent * recentPct
+    return { team, pointsForPercentile, recentPct, score: roundPoints(score * 100) }
+  })
+
+  scored.sort((a, b) => b.score - a.score || b.team.pointsFor - a.team.pointsFor)
+  return scored.map((entry, index) => ({ ...entry, rank: index + 1 }))
+}
+
+/**
+ * Rank teams by all-play record (every team vs every other team each week), points-for percentile
+ * and recent all-play form, with expected wins, luck and a week-by-week trajectory
+ * @param {Object} options
+ * @param {Array} options.rosters - League rosters
+ * @param {Array} options.users - League users
+ * @param {Array} options.weeklyMatchups - [{ week, matchups }] for completed weeks
+ * @returns {Array} Power ranking rows, best first
+ */
+const computePowerRankings = ({ rosters = [], users = [], weeklyMatchups = [] }) => {
+  const usersById = indexUsersById(users)
+  const teams = new Map(rosters.map(roster => [roster.roster_id, {
+    roster_id: roster.roster_id,
+    owner: describeOwner(roster, usersById),
+    record: { wins: 0, losses: 0, ties: 0 },
+    allPlay: { wins: 0, losses: 0, ties: 0 },
+    expectedWins: 0,
+    actualWins: 0,
+    pointsFor: 0,
+    weeks: [],
+    trajectory: []
+  }]))
+
+  for (const { week, matchups } of [...weeklyMatchups].sort((a, b) => a.week - b.week)) {
+    const entries = (matchups || []).filter(entry => teams.has(entry.roster_id))
+    if (entries.length === 0) continue
+
+    const results = new Map()
+    for (const pair of groupByMatchupId(entries).values()) {
+      if (pair.length !== 2) continue
+      results.set(pair[0].roster_id, gameResult(entryPoints(pair[0]), entryPoints(pair[1])))
+      results.set(pair[1].roster_id, gameResult(entryPoints(pair[1]), entryPoints(pair[0])))
+    }
+
+    const scores = entries.map(entryPoints)
+    for (const entry of entries) {
+      const team = teams.get(entry.roster_id)
+      const points = entryPoints(entry)
+      const allPlay = {
+        wins: scores.filter(score => score < points).length,
+        losses: scores.filter(score => score > points).length,
+        ties: scores.filter(score => score === points).length - 1
+      }
+      const result = results.get(entry.roster_id) || null
+
+      team.allPlay.wins += allPlay.wins
+      team.allPlay.losses += allPlay.losses
+      team.allPlay.ties += allPlay.ties
+      team.expectedWins += allPlayPct(allPlay)
+      team.pointsFor += points
+      if (result === 'W') {
+        team.record.wins++
+        team.actualWins++
+      } else if (result === 'L') {
+        team.record.losses++
+      } else if (result === 'T') {
+        team.record.ties++
+        team.actualWins += 0.5
+      }
+      team.weeks.push({ week, points, result, allPlay })
+    }
+
+    // Snapshot every team's standing after this week for the trajectory
+    for (const { team, score, rank } of scoreTeams([...teams.values()])) {
+      const latest = team.weeks[team.weeks.length - 1]
+      if (latest?.week !== week) continue
+      team.trajectory.push({
+        week,
+        points: roundPoints(latest.points),
+        result: latest.result,
+        all_play_wins: latest.allPlay.wins,
+        all_play_losses: latest.allPlay.losses,
+        expected_wins: roundPoints(team.expectedWins),
+        actual_wins: team.actualWins,
+        power_score: score,
+        power_rank: rank
+      })
+    }
+  }
+
+  return scoreTeams([...teams.values()]).map(({ team, pointsForPercentile, recentPct, score, rank }) => ({
+    power_rank: rank,
+    roster_id: team.roster_id,
+    ...team.owner,
+    record: team.record,
+    all_play: { ...team.allPlay, pct: roundPoints(allPlayPct(team.allPlay)) },
+    expected_wins: roundPoints(team.expectedWins),
+    actual_wins: team.actualWins,
+    luck: roundPoints(team.actualWins - team.expectedWins),
+    points_for: roundPoints(team.pointsFor),
+    points_for_percentile: roundPoints(pointsForPercentile),
+    recent_all_play_pct: roundPoints(recentPct),
+    power_score: score,
+    trajectory: team.trajectory
+  }))
+}
+
+module.exports = {
+  POWER_WEIGHTS,
+  RECENT_WEEKS,
+  computePowerRankings
+}
@@ -0,0 +1,177 @@
+// NFL schedule files (CSV or JSON), bye weeks and whether a roster can field a lineup around them
+
+const path = require('path')
+const { parseCSV } = require('./statsImport')
+const { validateTeam } = require('./validation')
+const { startingSlots, playerPositions, fillSlots } = require('./lineup')
+const { summarizePlayer } = require('./leagueHelpers')
+
+// Team codes other schedule sources use for Sleeper's abbreviations
+const TEAM_ALIASES = {
+  LA: 'LAR',
+  STL: 'LAR',
+  SD: 'LAC',
+  OAK: 'LV',
+  JAC: 'JAX',
+  WSH: 'WAS'
+}
+
+// Import files named like schedule_2024.csv
+const SCHEDULE_FILE_PATTERN = /^schedule[-_](\d{4}).*\.(csv|json)$/i
+
+const normalizeTeam = (value) => {
+  const team = String(value ?? '').trim().toUpperCase()
+  const resolved = TEAM_ALIASES[team] || team
+  return validateTeam(resolved) ? resolved : null
+}
+
+// Season and format implied by a schedule file's name
+const inferScheduleOptions = (filePath) => {
+  const match = path.basename(filePath).match(SCHEDULE_FILE_PATTERN)
+  return match ? { season: match[1], format: match[2].toLowerCase() } : null
+}
+
+/**
+ * Parse a schedule file into regular season games. Rows need week, home_team (or home) and
+ * away_team (or away); season falls back to the given default. Rows with a game_type other
+ * than REG are postseason or preseason and are dropped.
+ * @param {string} content - File content
+ * @param {string} format - csv or json
+ * @param {Object} defaults - { season }
+ * @returns {Object} { games, skipped }
+ */
+const parseScheduleFile = (content, format, { season = null } = {}) => {
+  let records
+  if (format === 'csv') {
+    records = parseCSV(content)
+  } else {
+    const data = JSON.parse(content)
+    records = Array.isArray(data) ? data : data?.games || []
+  }
+
+  const games = []
+  let skipped = 0
+  for (const record of records) {
+    if (record.game_type && String(record.game_type).toUpperCase() !== 'REG') continue
+
+    const gameSeason = String(record.season ?? season ?? '').trim()
+    const week = Number(record.week)
+    const homeTeam = normalizeTeam(record.home_team ?? record.home)
+    const awayTeam = normalizeTeam(record.away_team ?? record.away)
+
+    if (!/^\d{4}$/.test(gameSeason) || !Number.isInteger(week) || week < 1 || week > 18 || !homeTeam || !awayTeam) {
+      skipped++
+      continue
+    }
+    games.push({
+      season: gameSeason,
+      week,
+      home_team: homeTeam,
+      away_team: awayTeam,
+      kickoff: record.kickoff || record.gameday || null
+    })
+  }
+
+  return { games, skipped }
+}
+
+/**
+ * Weeks each team has no game, between the first and last week of the schedule
+ * @param {Array} games - One season's games
+ * @returns {Map} team -> bye weeks, ascending
+ */
+const byeWeeksByTeam = (games = []) => {
+  const weeks = [...new Set(games.map(game => game.week))].sort((a, b) => a - b)
+  const playing = new Map()
+  for (const game of games) {
+    for (const team of [game.home_team, game.away_team]) {
+      if (!playing.has(team)) playing.set(team, new Set())
+      playing.get(team).add(game.week)
+    }
+  }
+
+  const byes = new Map()
+  if (weeks.length === 0) return byes
+  for (const [team, played] of [...playing].sort(([a], [b]) => a.localeCompare(b))) {
+    const teamByes = []
+    for (let week = weeks[0]; week <= weeks[weeks.length - 1]; week++) {
+      if (!played.has(week)) teamByes.push(week)
+    }
+    byes.set(team, teamByes)
+  }
+  return byes
+}
+
+// Teams on bye in a week
+const teamsOnBye = (byeWeeks, week) => {
+  return [...byeWeeks].filter(([, weeks]) => weeks.includes(Number(week))).map(([team]) => team)
+}
+
+// Teams whose game in a week hasn't kicked off, or null when the week isn't in the schedule.
+// Games without a kickoff count as not started; a date-only kickoff counts from the start of that day.
+const teamsYetToPlay = (games = [], week, now = Date.now()) => {
+  const weekGames = games.filter(game => Number(game.week) === Number(week))
+  if (weekGames.length === 0) return null
+
+  const remaining = new Set()
+  for (const game of weekGames) {
+    const kickoff = Date.parse(game.kickoff)
+    if (Number.isNaN(kickoff) || kickoff > now) {
+      remaining.add(game.home_team)
+      remaining.add(game.away_team)
+    }
+  }
+  return remaining
+}
+
+/**
+ * For every bye week, which of a roster's players are out and which starting slots can't be
+ * filled by the rest. Players without an NFL team never count as available.
+ * @param {Object} options
+ * @param {string[]} options.rosterPositions - League roster_positions
+ * @param {string[]} options.playerIds - Players on the roster (reserve and taxi excluded)
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {Map} options.byeWeeks - From byeWeeksByTeam
+ * @param {number} options.fromWeek - First week to check
+ * @returns {Array} [{ week, teams_on_bye, players_on_bye, open_slots, full_lineup }]
+ */
+const rosterByeConflicts = ({ rosterPositions = [], playerIds = [], players = {}, byeWeeks = new Map(), fromWeek = 1 }) => {
+  const slots = startingSlots(rosterPositions)
+  // Least versatile players first so flex-eligible ones stay free for flex slots
+  const candidates = playerIds
+    .filter(playerId => players[playerId]?.team)
+    .map(playerId => ({ player_id: playerId, team: players[playerId].team, positions: playerPositions(players[playerId]) }))
+    .sort((a, b) => a.positions.length - b.positions.length)
+
+  const weeks = [...new Set([...byeWeeks.values()].flat())]
+    .filter(week => week >= fromWeek)
+    .sort((a, b) => a - b)
+
+  return weeks.map(week => {
+    const onBye = new Set(teamsOnBye(byeWeeks, week))
+    const available = candidates.filter(candidate => !onBye.has(candidate.team))
+    const lineup = fillSlots(slots, available)
+    const openSlots = slots.filter((slot, index) => !lineup[index])
+
+    return {
+      week,
+      teams_on_bye: [...onBye],
+      players_on_bye: candidates
+        .filter(candidate => onBye.has(candidate.team))
+        .map(candidate => summarizePlayer(candidate.player_id, players[candidate.player_id])),
+      open_slots: openSlots,
+      full_lineup: openSlots.length === 0
+    }
+  })
+}
+
+module.exports = {
+  TEAM_ALIASES,
+  normalizeTeam,
+  inferScheduleOptions,
+  parseScheduleFile,
+  byeWeeksByTeam,
+  teamsOnBye,
+  teamsYetToPlay,
+  rosterByeConflicts
+}
@@ -0,0 +1,141 @@
+// Fantasy points from stat lines under Sleeper scoring_settings
+
+const { roundPoints, entryPoints, groupByMatchupId, gameResult, summarizePlayer } = require('./leagueHelpers')
+
+// Common reception formats, applied on top of a league's scoring_settings
+const SCORING_PRESETS = {
+  standard: { rec: 0 },
+  half_ppr: { rec: 0.5 },
+  ppr: { rec: 1 }
+}
+
+// Per-reception bonuses that only apply to one position; the stat line carries plain `rec`
+const POSITION_RECEPTION_BONUSES = {
+  bonus_rec_rb: 'RB',
+  bonus_rec_wr: 'WR',
+  bonus_rec_te: 'TE'
+}
+
+/**
+ * Score one stat line. Sleeper stat keys and scoring_settings keys share names (pass_yd, rec,
+ * pts_allow_0, ...), so every setting with a matching stat contributes stat x value.
+ * @param {Object} stats - Stat line keyed by Sleeper stat name
+ * @param {Object} scoringSettings - Sleeper scoring_settings
+ * @param {string} position - Player position, for position-specific bonuses
+ * @returns {number} Fantasy points
+ */
+const scoreStatLine = (stats = {}, scoringSettings = {}, position = null) => {
+  let points = 0
+  for (const [key, value] of Object.entries(scoringSettings)) {
+    const bonusPosition = POSITION_RECEPTION_BONUSES[key]
+    if (bonusPosition) {
+      if (bonusPosition === position) points += (Number(stats.rec) || 0) * value
+      continue
+    }
+    points += (Number(stats[key]) || 0) * value
+  }
+  return roundPoints(points)
+}
+
+/**
+ * Alternative settings: a preset and/or explicit overrides layered over the league's settings
+ * @param {Object} baseSettings - League scoring_settings
+ * @param {Object} options - { preset, overrides }
+ * @returns {Object} Scoring settings
+ */
+const resolveScoringSettings = (baseSettings = {}, { preset, overrides = {} } = {}) => ({
+  ...baseSettings,
+  ...(preset ? SCORING_PRESETS[preset] : {}),
+  ...overrides
+})
+
+// Settings whose values differ between two scoring systems
+const scoringDifferences = (before = {}, after = {}) => {
+  const differences = {}
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[key] ?? 0
+    const to = after[key] ?? 0
+    if (from !== to) differences[key] = { from, to }
+  }
+  return differences
+}
+
+// Winning roster of a two-team matchup on the given points key, or null for a tie
+const winnerOf = ([a, b], key) => {
+  const result = gameResult(a[key], b[key])
+  if (result === 'T') return null
+  return result === 'W' ? a.roster_id : b.roster_id
+}
+
+/**
+ * Rescore a week's starters under alternative settings and compare matchup outcomes.
+ * Starters without a local stat line keep their actual points and are flagged.
+ * @param {Object} options
+ * @param {Array} options.matchups - Sleeper matchup entries for the week
+ * @param {Object} options.statLines - player_id -> stat line
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @param {Object} options.scoringSettings - Alternative scoring_settings
+ * @param {Map} options.ownersByRosterId - roster_id -> owner description
+ * @returns {Object} { teams, matchups, changed_outcomes, missing_stats }
+ */
+const rescoreWeek = ({ matchups = [], statLines = {}, players = {}, scoringSettings = {}, ownersByRosterId = new Map() }) => {
+  const missing = new Set()
+
+  const teams = matchups.map(entry => {
+    const starters = (entry.starters || [])
+      .filter(playerId => playerId && playerId !== '0')
+      .map(playerId => {
+        const player = summarizePlayer(playerId, players[playerId])
+        const actual = roundPoints(entry.players_points?.[playerId])
+        const stats = statLines[playerId]
+        if (!stats) missing.add(playerId)
+        return {
+          ...player,
+          actual_points: actual,
+          alternative_points: stats ? scoreStatLine(stats, scoringSettings, player.position) : actual,
+          stats_missing: !stats
+        }
+      })
+
+    const actualPoints = roundPoints(entryPoints(entry))
+    const alternativePoints = roundPoints(starters.reduce((sum, starter) => sum + starter.alternative_points, 0))
+    return {
+      roster_id: entry.roster_id,
+      matchup_id: entry.matchup_id ?? null,
+      ...(ownersByRosterId.get(entry.roster_id) || { team_name: `Team ${entry.roster_id}` }),
+      actual_points: actualPoints,
+      alternative_points: alternativePoints,
+      difference: roundPoints(alternativePoints - actualPoints),
+      starters
+    }
+  })
+
+  const pairs = []
+  for (const [matchupId, entries] of groupByMatchupId(teams)) {
+    if (entries.length !== 2) continue
+    const actualWinner = winnerOf(entries, 'actual_points')
+    const alternativeWinner = winnerOf(entries, 'alternative_points')
+    pairs.push({
+      matchup_id: matchupId,
+      roster_ids: entries.map(team => team.roster_id),
+      actual_winner_roster_id: actualWinner,
+      alternative_winner_roster_id: alternativeWinner,
+      outcome_changed: actualWinner !== alternativeWinner
+    })
+  }
+
+  return {
+    teams,
+    matchups: pairs,
+    changed_outcomes: pairs.filter(pair => pair.outcome_changed).length,
+    missing_stats: [...missing]
+  }
+}
+
+module.exports = {
+  SCORING_PRESETS,
+  scoreStatLine,
+  resolveScoringSettings,
+  scoringDifferences,
+  rescoreWeek
+}
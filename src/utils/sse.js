@@ -0,0 +1,56 @@
+// Server-sent events helpers
+
+/**
+ * Switch a response into an event stream
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data, id), comment(text), close() }
+ */
+const openEventStream = (res) => {
+  res.status(200)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+
+  let closed = false
+
+  const write = (chunk) => {
+    if (closed) return
+    res.write(chunk)
+    if (typeof res.flush === 'function') res.flush()
+  }
+
+  return {
+    send(event, data, id) {
+      const lines = []
+      if (id !== undefined && id !== null) lines.push(`id: ${id}`)
+      lines.push(`event: ${event}`)
+      for (const line of JSON.stringify(data).split('\n')) {
+        lines.push(`data: ${line}`)
+      }
+      write(`${lines.join('\n')}\n\n`)
+    },
+
+    comment(text = '') {
+      write(`: ${text}\n\n`)
+    },
+
+    close() {
+      if (closed) return
+      closed = true
+      res.end()
+    },
+
+    get closed() {
+      return closed
+    }
+  }
+}
+
+module.exports = {
+  openEventStream
+}
@@ -0,0 +1,199 @@
+const {
+  roundPoints,
+  indexUsersById,
+  describeOwner,
+  groupByMatchupId,
+  gameResult,
+  entryPoints
+} = require('./leagueHelpers')
+
+// Helpers for computing season standings from weekly matchup results
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 })
+
+const addResult = (record, result) => {
+  if (result === 'W') record.wins++
+  else if (result === 'L') record.losses++
+  else record.ties++
+}
+
+const winPct = (record) => {
+  const games = record.wins + record.losses + record.ties
+  return games === 0 ? 0 : (record.wins + record.ties * 0.5) / games
+}
+
+// Current streak based on head-to-head results in week order, e.g. "W3"
+const currentStreak = (results) => {
+  if (results.length === 0) return null
+
+  const last = results[results.length - 1]
+  let length = 0
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) {
+    length++
+  }
+  return `${last}${length}`
+}
+
+// Median of all scores in a week, used for leagues that play an extra game vs the median
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+}
+
+// Head-to-head record of a team against the other members of a tie group
+const headToHeadWithin = (team, group) => {
+  const record = emptyRecord()
+  for (const other of group) {
+    if (other.roster_id === team.roster_id) continue
+    const vs = team.headToHead.get(other.roster_id)
+    if (!vs) continue
+    record.wins += vs.wins
+    record.losses += vs.losses
+    record.ties += vs.ties
+  }
+  return record
+}
+
+// Head-to-head only breaks a tie when every tied team has played every other
+const everyonePlayedEachOther = (group) => {
+  return group.every(team => group.every(other => {
+    return other.roster_id === team.roster_id || team.headToHead.has(other.roster_id)
+  }))
+}
+
+// Order a group of teams with identical win percentage
+const breakTie = (group) => {
+  if (group.length === 1) {
+    return [{ team: group[0], tiebreaker: null }]
+  }
+
+  const useHeadToHead = everyonePlayedEachOther(group)
+  const h2hPct = new Map(group.map(team => [team.roster_id, winPct(headToHeadWithin(team, group))]))
+
+  const ordered = [...group].sort((a, b) => {
+    if (useHeadToHead) {
+      const diff = h2hPct.get(b.roster_id) - h2hPct.get(a.roster_id)
+      if (diff !== 0) return diff
+    }
+    if (b.pointsFor !== a.pointsFor) return b.pointsFor - a.pointsFor
+    return a.pointsAgainst - b.pointsAgainst
+  })
+
+  const distinctH2h = new Set(h2hPct.values()).size > 1
+  const tiebreaker = useHeadToHead && distinctH2h ? 'head_to_head' : 'points_for'
+  return ordered.map(team => ({ team, tiebreaker }))
+}
+
+/**
+ * Compute standings from completed weeks of matchups
+ * @param {Object} options
+ * @param {Array} options.rosters - League rosters
+ * @param {Array} options.users - League users
+ * @param {Array} options.weeks - [{ week, matchups }] for every completed week
+ * @param {Object} options.divisionNames - Division number to display name
+ * @param {boolean} options.medianMatch - Whether the league plays an extra game vs the weekly median
+ * @returns {Array} Ranked standings rows
+ */
+const computeStandings = ({ rosters = [], users = [], weeks = [], divisionNames = {}, medianMatch = false }) => {
+  const usersById = indexUsersById(users)
+  const teams = new Map()
+
+  for (const roster of rosters) {
+    teams.set(roster.roster_id, {
+      roster_id: roster.roster_id,
+      ...describeOwner(roster, usersById),
+      division: roster.settings?.division || null,
+      record: emptyRecord(),
+      divisionRecord: emptyRecord(),
+      pointsFor: 0,
+      pointsAgainst: 0,
+      results: [],
+      headToHead: new Map()
+    })
+  }
+
+  const orderedWeeks = [...weeks].sort((a, b) => a.week - b.week)
+
+  for (const { matchups } of orderedWeeks) {
+    for (const entries of groupByMatchupId(matchups).values()) {
+      if (entries.length !== 2) continue
+
+      const [home, away] = entries
+      const pairs = [[home, away], [away, home]]
+
+      for (const [entry, opponent] of pairs) {
+        const team = teams.get(entry.roster_id)
+        if (!team) continue
+
+        const points = entryPoints(entry)
+        const opponentPoints = entryPoints(opponent)
+        const result = gameResult(points, opponentPoints)
+
+        addResult(team.record, result)
+        team.results.push(result)
+        team.pointsFor += points
+        team.pointsAgainst += opponentPoints
+
+        if (!team.headToHead.has(opponent.roster_id)) {
+          team.headToHead.set(opponent.roster_id, emptyRecord())
+        }
+        addResult(team.headToHead.get(opponent.roster_id), result)
+
+        const opponentTeam = teams.get(opponent.roster_id)
+        if (team.division && opponentTeam && team.division === opponentTeam.division) {
+          addResult(team.divisionRecord, result)
+        }
+      }
+    }
+
+    if (medianMatch) {
+      const scored = matchups.filter(entry => teams.has(entry.roster_id))
+      if (scored.length > 1) {
+        const weekMedian = median(scored.map(entryPoints))
+        for (const entry of scored) {
+          addResult(teams.get(entry.roster_id).record, gameResult(entryPoints(entry), weekMedian))
+        }
+      }
+    }
+  }
+
+  // Group by win percentage, then apply tiebreakers within each group
+  const byPct = [...teams.values()].sort((a, b) => winPct(b.record) - winPct(a.record))
+  const ranked = []
+  let group = []
+
+  for (const team of byPct) {
+    if (group.length > 0 && winPct(group[0].record) !== winPct(team.record)) {
+      ranked.push(...breakTie(group))
+      group = []
+    }
+    group.push(team)
+  }
+  if (group.length > 0) {
+    ranked.push(...breakTie(group))
+  }
+
+  return ranked.map(({ team, tiebreaker }, index) => ({
+    rank: index + 1,
+    roster_id: team.roster_id,
+    owner_id: team.owner_id,
+    display_name: team.display_name,
+    team_name: team.team_name,
+    division: team.division,
+    division_name: team.division ? divisionNames[team.division] || `Division ${team.division}` : null,
+    wins: team.record.wins,
+    losses: team.record.losses,
+    ties: team.record.ties,
+    win_pct: Math.round(winPct(team.record) * 1000) / 1000,
+    points_for: roundPoints(team.pointsFor),
+    points_against: roundPoints(team.pointsAgainst),
+    streak: currentStreak(team.results),
+    division_record: team.division ? { ...team.divisionRecord } : null,
+    tiebreaker
+  }))
+}
+
+module.exports = {
+  computeStandings
+}
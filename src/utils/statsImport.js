@@ -0,0 +1,143 @@
+// Parse provider stat and projection files (CSV or JSON) into weekly stat lines
+
+const path = require('path')
+
+const STAT_LINE_KINDS = ['stats', 'projections']
+
+// Columns that identify a row rather than hold a stat
+const ID_COLUMNS = ['player_id', 'season', 'week']
+
+// Import files named like stats_2024_week7.csv or projections-2024-07.json
+const FILE_NAME_PATTERN = /^(stats|projections)[-_](\d{4})(?:[-_](?:w|wk|week)?(\d{1,2}))?.*\.(csv|json)$/i
+
+/**
+ * Split CSV text into records keyed by the header row. Handles quoted fields with commas,
+ * escaped quotes ("") and CRLF line endings.
+ * @param {string} text - CSV content
+ * @returns {Object[]} Records
+ */
+const parseCSV = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...body] = rows.filter(values => values.some(value => value.trim() !== ''))
+  const columns = header.map(column => column.trim())
+  return body.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index]])))
+}
+
+// Kind, season, week and format implied by an import file's name
+const inferImportOptions = (filePath) => {
+  const match = path.basename(filePath).match(FILE_NAME_PATTERN)
+  if (!match) return null
+  return {
+    kind: match[1].toLowerCase(),
+    season: match[2],
+    week: match[3] ? Number(match[3]) : null,
+    format: match[4].toLowerCase()
+  }
+}
+
+// Numeric stat values only; blanks and text columns (names, teams) are dropped
+const numericStats = (values) => {
+  const stats = {}
+  for (const [key, value] of Object.entries(values || {})) {
+    if (ID_COLUMNS.includes(key) || value === '' || value === null || value === undefined) continue
+    const number = Number(value)
+    if (Number.isFinite(number)) stats[key] = number
+  }
+  return stats
+}
+
+// A record's own value, with blank CSV cells treated as missing
+const cellValue = (value) => {
+  return typeof value === 'string' && value.trim() === '' ? null : value
+}
+
+/**
+ * Normalize parsed records into { player_id, season, week, stats } lines. Records may carry
+ * their own season/week or fall back to the defaults, and stats either nested under `stats`
+ * or as flat columns.
+ * @param {Object[]} records - Parsed rows
+ * @param {Object} defaults - { season, week }
+ * @returns {Object} { lines, skipped }
+ */
+const normalizeStatRecords = (records, { season = null, week = null } = {}) => {
+  const lines = []
+  let skipped = 0
+
+  for (const record of records) {
+    const lineSeason = String(cellValue(record.season) ?? season ?? '').trim()
+    const lineWeek = Number(cellValue(record.week) ?? week)
+    const playerId = String(record.player_id ?? '').trim()
+    const stats = numericStats(record.stats && typeof record.stats === 'object' ? record.stats : record)
+
+    if (!playerId || !/^\d{4}$/.test(lineSeason) || !Number.isInteger(lineWeek) || lineWeek < 1 || lineWeek > 22 || Object.keys(stats).length === 0) {
+      skipped++
+      continue
+    }
+    lines.push({ player_id: playerId, season: lineSeason, week: lineWeek, stats })
+  }
+
+  return { lines, skipped }
+}
+
+/**
+ * Parse a stats or projections file. JSON may be an array of records or an object keyed by
+ * player_id (Sleeper's own stats shape), which needs season and week from the defaults.
+ * @param {string} content - File content
+ * @param {string} format - csv or json
+ * @param {Object} defaults - { season, week }
+ * @returns {Object} { lines, skipped }
+ */
+const parseStatsFile = (content, format, defaults = {}) => {
+  if (format === 'csv') {
+    return normalizeStatRecords(parseCSV(content), defaults)
+  }
+
+  const data = JSON.parse(content)
+  const records = Array.isArray(data)
+    ? data
+    : Object.entries(data || {}).map(([playerId, stats]) => ({ player_id: playerId, stats }))
+  return normalizeStatRecords(records, defaults)
+}
+
+module.exports = {
+  STAT_LINE_KINDS,
+  parseCSV,
+  inferImportOptions,
+  normalizeStatRecords,
+  parseStatsFile
+}
@@ -0,0 +1,97 @@
+// Score both sides of completed trades from weekly matchup production
+
+const { roundPoints } = require('./leagueHelpers')
+
+// week -> roster_id -> matchup entry
+const indexMatchupsByRoster = (weeklyMatchups = []) => {
+  const index = new Map()
+  for (const { week, matchups } of weeklyMatchups) {
+    index.set(week, new Map((matchups || []).map(entry => [entry.roster_id, entry])))
+  }
+  return index
+}
+
+// Points a player scored for a roster from a given week on, counting only weeks they were on it
+const productionForRoster = (playerId, rosterId, fromWeek, matchupIndex) => {
+  let points = 0
+  let startedPoints = 0
+  let weeks = 0
+  let starts = 0
+
+  for (const [week, entries] of matchupIndex) {
+    if (week < fromWeek) continue
+    const entry = entries.get(rosterId)
+    if (!entry || !(entry.players || []).includes(playerId)) continue
+
+    const scored = Number(entry.players_points?.[playerId]) || 0
+    weeks++
+    points += scored
+    if ((entry.starters || []).includes(playerId)) {
+      starts++
+      startedPoints += scored
+    }
+  }
+
+  return {
+    weeks_on_roster: weeks,
+    starts,
+    points: roundPoints(points),
+    started_points: roundPoints(startedPoints)
+  }
+}
+
+// Current owner of a traded pick, keyed the way Sleeper's traded_picks endpoint identifies picks
+const pickKey = (pick) => `${pick.season}:${pick.round}:${pick.original_roster_id ?? pick.roster_id}`
+
+/**
+ * Attach post-trade production and current pick ownership to a described trade
+ * @param {Object} trade - Trade from describeTransaction
+ * @param {Map} matchupIndex - From indexMatchupsByRoster
+ * @param {Array} tradedPicks - Sleeper traded_picks for the league
+ * @returns {Object} Trade with per-side production and a leader by started points
+ */
+const analyzeTrade = (trade, matchupIndex, tradedPicks = []) => {
+  const currentOwners = new Map(tradedPicks.map(pick => [pickKey(pick), pick.owner_id]))
+
+  const sides = trade.teams.map(team => {
+    const playersReceived = team.adds.map(player => ({
+      ...player,
+      ...productionForRoster(player.player_id, team.roster_id, trade.week, matchupIndex)
+    }))
+
+    return {
+      roster_id: team.roster_id,
+      owner_id: team.owner_id,
+      display_name: team.display_name,
+      team_name: team.team_name,
+      players_received: playersReceived,
+      picks_received: team.picks_received.map(pick => ({
+        ...pick,
+        current_owner_roster_id: currentOwners.get(pickKey(pick)) ?? team.roster_id
+      })),
+      faab_received: team.faab_received,
+      points_since_trade: roundPoints(playersReceived.reduce((sum, player) => sum + player.points, 0)),
+      started_points_since_trade: roundPoints(playersReceived.reduce((sum, player) => sum + player.started_points, 0))
+    }
+  })
+
+  // The side whose received players contributed the most started points leads
+  const ranked = [...sides].sort((a, b) => b.started_points_since_trade - a.started_points_since_trade)
+  const tied = ranked.length < 2 || ranked[0].started_points_since_trade === ranked[1].started_points_since_trade
+
+  return {
+    transaction_id: trade.transaction_id,
+    week: trade.week,
+    status_updated_at: trade.status_updated_at,
+    summary: trade.summary,
+    leader_roster_id: tied ? null : ranked[0].roster_id,
+    margin: ranked.length < 2 ? 0 : roundPoints(ranked[0].started_points_since_trade - ranked[1].started_points_since_trade),
+    sides
+  }
+}
+
+module.exports = {
+  indexMatchupsByRoster,
+  productionForRoster,
+  analyzeTrade
+}
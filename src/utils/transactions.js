@@ -0,0 +1,141 @@
+// Turn raw Sleeper transactions into per-team, human-readable descriptions
+
+const { summarizePlayer } = require('./leagueHelpers')
+
+const TRANSACTION_TYPES = ['trade', 'waiver', 'free_agent', 'commissioner']
+
+// Processed moves are 'complete'; waiver claims that lost out (or were invalid) are 'failed'
+const TRANSACTION_STATUSES = ['complete', 'failed']
+
+const ordinal = (value) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' }
+  const lastTwo = value % 100
+  return `${value}${(lastTwo >= 11 && lastTwo <= 13) ? 'th' : suffixes[value % 10] || 'th'}`
+}
+
+const describePlayerName = (player) => {
+  if (!player.full_name) return `Unknown player (${player.player_id})`
+  const detail = [player.position, player.team].filter(Boolean).join(', ')
+  return detail ? `${player.full_name} (${detail})` : player.full_name
+}
+
+const joinList = (items) => {
+  if (items.length <= 1) return items.join('')
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+}
+
+// One-line summary of what each team gained and gave up
+const summarizeTeams = (type, teams) => {
+  if (type === 'trade') {
+    return teams
+      .map(team => {
+        const received = [
+          ...team.adds.map(describePlayerName),
+          ...team.picks_received.map(pick => `${pick.season} ${ordinal(pick.round)} round pick`),
+          ...(team.faab_received > 0 ? [`$${team.faab_received} FAAB`] : [])
+        ]
+        return `${team.team_name} receives ${received.length > 0 ? joinList(received) : 'nothing'}`
+      })
+      .join('; ')
+  }
+
+  return teams
+    .map(team => {
+      const actions = []
+      if (team.adds.length > 0) actions.push(`added ${joinList(team.adds.map(describePlayerName))}`)
+      if (team.drops.length > 0) actions.push(`dropped ${joinList(team.drops.map(describePlayerName))}`)
+      return `${team.team_name} ${actions.length > 0 ? joinList(actions) : 'made no roster moves'}`
+    })
+    .join('; ')
+}
+
+/**
+ * Resolve player IDs and roster owners on a raw transaction
+ * @param {Object} transaction - Raw Sleeper transaction
+ * @param {Map} ownersByRosterId - roster_id -> { owner_id, display_name, team_name }
+ * @param {Object} players - Player objects keyed by player ID
+ * @returns {Object} Transaction with `teams` and `summary`
+ */
+const describeTransaction = (transaction, ownersByRosterId, players) => {
+  const rosterIds = new Set(transaction.roster_ids || [])
+  for (const rosterId of [...Object.values(transaction.adds || {}), ...Object.values(transaction.drops || {})]) {
+    rosterIds.add(rosterId)
+  }
+
+  const teams = [...rosterIds].map(rosterId => {
+    const owner = ownersByRosterId.get(rosterId) || { owner_id: null, display_name: null, team_name: `Team ${rosterId}` }
+    const playersFor = (moves) => Object.entries(moves || {})
+      .filter(([, movedRosterId]) => movedRosterId === rosterId)
+      .map(([playerId]) => summarizePlayer(playerId, players[playerId]))
+
+    const describePick = (pick) => ({
+      season: pick.season,
+      round: pick.round,
+      original_roster_id: pick.roster_id,
+      original_team_name: ownersByRosterId.get(pick.roster_id)?.team_name || `Team ${pick.roster_id}`
+    })
+
+    return {
+      roster_id: rosterId,
+      ...owner,
+      adds: playersFor(transaction.adds),
+      drops: playersFor(transaction.drops),
+      picks_received: (transaction.draft_picks || []).filter(pick => pick.owner_id === rosterId).map(describePick),
+      picks_sent: (transaction.draft_picks || []).filter(pick => pick.previous_owner_id === rosterId).map(describePick),
+      faab_received: (transaction.waiver_budget || [])
+        .filter(budget => budget.receiver === rosterId)
+        .reduce((sum, budget) => sum + budget.amount, 0),
+      faab_sent: (transaction.waiver_budget || [])
+        .filter(budget => budget.sender === rosterId)
+        .reduce((sum, budget) => sum + budget.amount, 0)
+    }
+  })
+
+  return {
+    transaction_id: transaction.transaction_id,
+    type: transaction.type,
+    status: transaction.status,
+    week: transaction.leg,
+    created: transaction.created,
+    status_updated: transaction.status_updated,
+    status_updated_at: transaction.status_updated ? new Date(transaction.status_updated).toISOString() : null,
+    waiver_bid: transaction.settings?.waiver_bid ?? null,
+    roster_ids: transaction.roster_ids || [],
+    teams,
+    summary: summarizeTeams(transaction.type, teams)
+  }
+}
+
+/**
+ * Filter raw transactions by status, type, roster and status_updated range
+ * @param {Array} transactions - Raw Sleeper transactions
+ * @param {Object} filters - { statuses, types, rosterId, since, until } (dates as ms timestamps;
+ *   statuses defaults to completed moves only)
+ * @returns {Array} Matching transactions
+ */
+const filterTransactions = (transactions, { statuses = ['complete'], types, rosterId, since, until } = {}) => {
+  return transactions.filter(transaction => {
+    if (!statuses.includes(transaction.status)) return false
+    if (types && types.length > 0 && !types.includes(transaction.type)) return false
+    if (rosterId !== undefined && !(transaction.roster_ids || []).includes(rosterId)) return false
+    if (since !== undefined && (transaction.status_updated || 0) < since) return false
+    if (until !== undefined && (transaction.status_updated || 0) > until) return false
+    return true
+  })
+}
+
+// Player IDs referenced by a list of transactions
+const transactionPlayerIds = (transactions) => {
+  return transactions.flatMap(transaction => [
+    ...Object.keys(transaction.adds || {}),
+    ...Object.keys(transaction.drops || {})
+  ])
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUSES,
+  describeTransaction,
+  filterTransactions,
+  transactionPlayerIds
+}
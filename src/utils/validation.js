@@ -48,6 +48,15 @@ const sanitizeSearchTerm = (term) => {
   return term.trim().toLowerCase().replace(/<[^>]*>/g, '').replace(/[<>]/g, '').substring(0, 50)
 }
 
+// Accept comma-separated or repeated query parameters as a list
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
 module.exports = {
   validatePlayerId,
   validateLeagueId,
@@ -56,5 +65,6 @@ module.exports = {
   validateWeek,
   validatePosition,
   validateTeam,
-  sanitizeSearchTerm
+  sanitizeSearchTerm,
+  toList
 }
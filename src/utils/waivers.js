@@ -0,0 +1,123 @@
+// Free agent rankings from trending adds, search_rank and a roster's positional needs
+
+const { SLOT_ELIGIBILITY, roundPoints, summarizePlayer } = require('./leagueHelpers')
+const { startingSlots } = require('./lineup')
+const { UNAVAILABLE_INJURY_STATUSES } = require('./injuries')
+
+// Share of the composite score each signal contributes
+const WAIVER_WEIGHTS = {
+  trending: 0.4,
+  rank: 0.4,
+  need: 0.2
+}
+
+// Healthy players wanted per starting spot (a starter plus a backup)
+const DEPTH_PER_STARTER = 2
+
+// Positions a league can start, from its roster_positions
+const leaguePositions = (rosterPositions = []) => {
+  return [...new Set(startingSlots(rosterPositions).flatMap(slot => SLOT_ELIGIBILITY[slot] || []))]
+}
+
+const describeNeed = (wanted, healthy) => ({ wanted, healthy, need: roundPoints(Math.max(0, wanted - healthy) / wanted) })
+
+/**
+ * How short a roster is at each starting spot: 0 when it holds the wanted depth of healthy
+ * players, up to 1 when it has none. Single-position slots are counted per position. Each flex
+ * slot type is counted once, under its slot name, and filled by the healthy players its positions
+ * have beyond their own slots' depth (narrowest flex first).
+ * @param {Object} options
+ * @param {string[]} options.rosterPositions - League roster_positions
+ * @param {string[]} options.playerIds - Players on the roster (reserve excluded)
+ * @param {Object} options.players - Player objects keyed by player ID
+ * @returns {Object} position -> { wanted, healthy, need }, flex slot -> { positions, wanted, healthy, need }
+ */
+const positionalNeeds = ({ rosterPositions = [], playerIds = [], players = {} }) => {
+  const healthy = {}
+  for (const playerId of playerIds) {
+    const player = players[playerId]
+    if (!player || UNAVAILABLE_INJURY_STATUSES.includes(player.injury_status)) continue
+    if (player.position) healthy[player.position] = (healthy[player.position] || 0) + 1
+  }
+
+  const dedicated = {}
+  const flex = {}
+  for (const slot of startingSlots(rosterPositions)) {
+    const eligible = SLOT_ELIGIBILITY[slot]
+    if (!eligible) continue
+    const counts = eligible.length === 1 ? dedicated : flex
+    const key = eligible.length === 1 ? eligible[0] : slot
+    counts[key] = (counts[key] || 0) + 1
+  }
+
+  const needs = {}
+  const surplus = { ...healthy }
+  for (const [position, slots] of Object.entries(dedicated)) {
+    const wanted = slots * DEPTH_PER_STARTER
+    const count = healthy[position] || 0
+    needs[position] = describeNeed(wanted, count)
+    surplus[position] = Math.max(0, count - wanted)
+  }
+
+  const flexOrder = Object.keys(flex).sort((a, b) => SLOT_ELIGIBILITY[a].length - SLOT_ELIGIBILITY[b].length)
+  for (const slot of flexOrder) {
+    const positions = SLOT_ELIGIBILITY[slot]
+    const wanted = flex[slot] * DEPTH_PER_STARTER
+    let filled = 0
+    for (const position of positions) {
+      const used = Math.min(surplus[position] || 0, wanted - filled)
+      surplus[position] = (surplus[position] || 0) - used
+      filled += used
+    }
+    needs[slot] = { positions, ...describeNeed(wanted, filled) }
+  }
+  return needs
+}
+
+// A player's need: the largest of their positions' own needs and the flex slots they can fill
+const playerNeed = (player, needs) => {
+  const positions = [player.position, ...(player.fantasy_positions || [])]
+  const canFill = ([key, entry]) => entry.positions ? entry.positions.some(position => positions.includes(position)) : positions.includes(key)
+  return Math.max(0, ...Object.entries(needs).filter(canFill).map(([, entry]) => entry.need || 0))
+}
+
+/**
+ * Rank free agents by a weighted mix of trending adds (relative to the most added), search_rank
+ * percentile within the pool and the roster's need at the player's position
+ * @param {Object} options
+ * @param {Array} options.candidates - Free agent player objects, best search_rank first
+ * @param {Map} options.trendingAdds - player_id -> recent add count
+ * @param {Object} options.needs - From positionalNeeds (empty without a roster)
+ * @returns {Array} Ranked recommendations
+ */
+const rankWaiverCandidates = ({ candidates = [], trendingAdds = new Map(), needs = {} }) => {
+  const maxAdds = Math.max(0, ...candidates.map(player => trendingAdds.get(player.player_id) || 0))
+  const ranked = candidates.filter(player => Number.isFinite(player.search_rank))
+  const rankPercentile = new Map(ranked.map((player, index) => [player.player_id, 1 - index / ranked.length]))
+
+  return candidates
+    .map(player => {
+      const adds = trendingAdds.get(player.player_id) || 0
+      const trending = maxAdds > 0 ? adds / maxAdds : 0
+      const rank = rankPercentile.get(player.player_id) || 0
+      const need = playerNeed(player, needs)
+      const score = WAIVER_WEIGHTS.trending * trending + WAIVER_WEIGHTS.rank * rank + WAIVER_WEIGHTS.need * need
+
+      return {
+        ...summarizePlayer(player.player_id, player),
+        search_rank: player.search_rank ?? null,
+        trending_adds: adds,
+        need: roundPoints(need),
+        score: roundPoints(score * 100)
+      }
+    })
+    .sort((a, b) => b.score - a.score || (a.search_rank ?? Infinity) - (b.search_rank ?? Infinity))
+    .map((player, index) => ({ rank: index + 1, ...player }))
+}
+
+module.exports = {
+  WAIVER_WEIGHTS,
+  leaguePositions,
+  positionalNeeds,
+  rankWaiverCandidates
+}
@@ -0,0 +1,90 @@
+// Outbound webhook events and payload signing
+
+const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['transaction', 'trade', 'draft_pick', 'matchup_final']
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can also reject replayed payloads
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Network errors (no status), timeouts, rate limits and server errors are worth another attempt
+const isRetryableStatus = (statusCode) => {
+  return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500
+}
+
+// Loopback, private, link-local, unique-local and other non-routable ranges a webhook may not reach
+const blockedAddresses = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6')
+}
+
+// Error code for a destination refused by the address checks
+const BLOCKED_DESTINATION = 'EWEBHOOKBLOCKED'
+
+// URL hostnames keep the brackets around IPv6 literals
+const unbracket = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1')
+
+// True for a routable IP address; IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPublicAddress = (address) => {
+  const family = net.isIP(unbracket(address))
+  return family !== 0 && !blockedAddresses.check(unbracket(address), family === 6 ? 'ipv6' : 'ipv4')
+}
+
+// Hostnames are resolved at delivery time; IP literals and localhost can be refused up front
+const isAllowedWebhookHost = (hostname) => {
+  const host = unbracket(String(hostname).toLowerCase().replace(/\.$/, ''))
+  if (host === 'localhost' || host.endsWith('.localhost')) return false
+  return net.isIP(host) === 0 || isPublicAddress(host)
+}
+
+// dns.lookup for the delivery agents: a name resolving to any blocked address fails the connection,
+// which also covers a receiver re-pointing its DNS after the webhook was registered
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error)
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }]
+    if (addresses.some(entry => !isPublicAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`)
+      blocked.code = BLOCKED_DESTINATION
+      return callback(blocked)
+    }
+    callback(null, address, family)
+  })
+}
+
+// Failure reason stored in the delivery log and returned by test sends. Upstream error messages
+// are not passed through so they can't be used to probe hosts or read internal responses.
+const describeDeliveryError = (error) => {
+  if (error.code === BLOCKED_DESTINATION) return 'Destination address not allowed'
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Timed out'
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'].includes(error.code)) {
+    return 'Connection failed'
+  }
+  return 'Request failed'
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signPayload,
+  isRetryableStatus,
+  BLOCKED_DESTINATION,
+  isPublicAddress,
+  isAllowedWebhookHost,
+  lookupPublicAddress,
+  describeDeliveryError
+}
@@ -0,0 +1,76 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getLeague: jest.fn(),
+  getLeaguePlayoffBracket: jest.fn(),
+  getLeagueLosersBracket: jest.fn(),
+  getLeagueRosters: jest.fn(),
+  getLeagueUsers: jest.fn(),
+  getLeagueStandings: jest.fn(),
+  getSeasonMatchups: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+const sleeperService = require('../../src/services/sleeperService')
+const leagueService = require('../../src/services/leagueService')
+const { roundWeeks, resolveFinalPlacements } = require('../../src/utils/brackets')
+
+describe('bracket helpers', () => {
+  test('maps playoff rounds to weeks for each round type', () => {
+    const league = (roundType) => ({ settings: { playoff_week_start: 15, playoff_round_type: roundType } })
+
+    expect(roundWeeks(league(0), 3, 3)).toEqual([17])
+    expect(roundWeeks(league(1), 2, 3)).toEqual([16])
+    expect(roundWeeks(league(1), 3, 3)).toEqual([17, 18])
+    expect(roundWeeks(league(2), 2, 2)).toEqual([17, 18])
+  })
+
+  test('resolves places 1..N from both brackets and regular-season order', () => {
+    const winnersBracket = [
+      { r: 1, m: 1, t1: 1, t2: 4, w: 1, l: 4 },
+      { r: 1, m: 2, t1: 2, t2: 3, w: 3, l: 2 },
+      { r: 2, m: 3, t1: 1, t2: 3, w: 3, l: 1, p: 1 }
+    ]
+    const losersBracket = [{ r: 1, m: 1, t1: 5, t2: 6, w: 6, l: 5, p: 1 }]
+
+    const placements = resolveFinalPlacements({
+      winnersBracket,
+      losersBracket,
+      standingsOrder: [1, 2, 3, 4, 5, 6, 7]
+    })
+
+    expect(placements.map(row => row.roster_id)).toEqual([3, 1, 2, 4, 6, 5, 7])
+    expect(placements.map(row => row.place)).toEqual([1, 2, 3, 4, 5, 6, 7])
+  })
+})
+
+describe('LeagueService.getExpandedBracket', () => {
+  test('scores each round from commissioner-adjusted points', async () => {
+    sleeperService.getLeague.mockResolvedValue({ season: '2024', settings: { playoff_week_start: 15, playoff_round_type: 0 } })
+    sleeperService.getLeaguePlayoffBracket.mockResolvedValue([{ r: 1, m: 1, t1: 1, t2: 2, w: 2, l: 1, p: 1 }])
+    sleeperService.getLeagueLosersBracket.mockResolvedValue([])
+    sleeperService.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }])
+    sleeperService.getLeagueUsers.mockResolvedValue([])
+    sleeperService.getLeagueStandings.mockResolvedValue({ standings: [{ roster_id: 1 }, { roster_id: 2 }] })
+    sleeperService.getSeasonMatchups.mockResolvedValue([{
+      week: 15,
+      matchups: [
+        { roster_id: 1, matchup_id: 1, points: 110, custom_points: 95.5 },
+        { roster_id: 2, matchup_id: 1, points: 100 }
+      ]
+    }])
+
+    const { matches } = await leagueService.getExpandedBracket('123')
+
+    expect(sleeperService.getSeasonMatchups).toHaveBeenCalledWith('123', [15])
+    expect(matches[0].teams.map(team => [team.roster_id, team.points])).toEqual([[1, 95.5], [2, 100]])
+  })
+})
@@ -0,0 +1,82 @@
+const { summarizeLeagueWeek } = require('../../src/utils/dashboard')
+
+const league = { league_id: 'L1', name: 'Dynasty Bros', status: 'in_season' }
+
+const rosters = [
+  { roster_id: 1, owner_id: 'me', starters: ['qb1', 'rb1'], settings: { wins: 4, losses: 2, ties: 0, fpts: 650, fpts_decimal: 42 } },
+  { roster_id: 2, owner_id: 'rival', starters: ['qb2'], settings: { wins: 3, losses: 3 } },
+  { roster_id: 3, owner_id: 'other', co_owners: ['friend'], starters: [], settings: {} }
+]
+
+const users = [
+  { user_id: 'me', display_name: 'me', metadata: { team_name: 'Mine' } },
+  { user_id: 'rival', display_name: 'rival' }
+]
+
+const matchups = [
+  { roster_id: 1, matchup_id: 4, points: 88.5, starters: ['qb1', 'rb1', 'wr1'] },
+  { roster_id: 2, matchup_id: 4, points: 91.25, starters: ['qb2'] },
+  { roster_id: 3, matchup_id: null, points: 70, starters: [] }
+]
+
+const players = {
+  qb1: { full_name: 'Healthy Quarterback', position: 'QB', team: 'KC' },
+  rb1: { full_name: 'Hurt Runner', position: 'RB', team: 'SF', injury_status: 'Questionable' },
+  wr1: { full_name: 'Out Receiver', position: 'WR', team: 'MIA', injury_status: 'Out' },
+  te1: { full_name: 'Traded Tight End', position: 'TE', team: 'DET' }
+}
+
+describe('dashboard', () => {
+  test('summarizes record, matchup and injured starters', () => {
+    const summary = summarizeLeagueWeek({ league, rosters, users, matchups, players, sleeperUserId: 'me' })
+
+    expect(summary).toMatchObject({
+      league_id: 'L1',
+      roster_id: 1,
+      team_name: 'Mine',
+      record: { wins: 4, losses: 2, ties: 0, points_for: 650.42 }
+    })
+    expect(summary.matchup).toEqual({
+      matchup_id: 4,
+      points: 88.5,
+      opponent: { roster_id: 2, owner_id: 'rival', display_name: 'rival', team_name: 'rival', points: 91.25 }
+    })
+    // Most severe first, with the same injury details as the injury report
+    expect(summary.injured_starters.map(player => [player.player_id, player.injury_status])).toEqual([['wr1', 'Out'], ['rb1', 'Questionable']])
+    expect(summary.injured_starters[0]).toHaveProperty('practice_participation', null)
+  })
+
+  test('shows commissioner-adjusted custom_points as the matchup score', () => {
+    const adjusted = matchups.map(entry => entry.roster_id === 2 ? { ...entry, custom_points: 80 } : entry)
+    const summary = summarizeLeagueWeek({ league, rosters, users, matchups: adjusted, players, sleeperUserId: 'me' })
+
+    expect(summary.matchup).toMatchObject({ points: 88.5, opponent: { roster_id: 2, points: 80 } })
+  })
+
+  test('lists only pending trades involving the user', () => {
+    const transactions = [
+      { transaction_id: 't1', type: 'trade', status: 'pending', roster_ids: [1, 2], adds: { te1: 1 }, drops: { te1: 2 } },
+      { transaction_id: 't2', type: 'trade', status: 'complete', roster_ids: [1, 2] },
+      { transaction_id: 't3', type: 'trade', status: 'pending', roster_ids: [2, 3] },
+      { transaction_id: 't4', type: 'waiver', status: 'pending', roster_ids: [1] }
+    ]
+    const summary = summarizeLeagueWeek({ league, rosters, users, matchups, transactions, players, sleeperUserId: 'me' })
+
+    expect(summary.pending_trades).toHaveLength(1)
+    expect(summary.pending_trades[0]).toMatchObject({ transaction_id: 't1', roster_ids: [1, 2] })
+    expect(summary.pending_trades[0].adds[0].full_name).toBe('Traded Tight End')
+  })
+
+  test('finds co-owned rosters and reports byes without an opponent', () => {
+    const summary = summarizeLeagueWeek({ league, rosters, users, matchups, players, sleeperUserId: 'friend' })
+
+    expect(summary.roster_id).toBe(3)
+    expect(summary.matchup).toEqual({ matchup_id: null, points: 70, opponent: null })
+  })
+
+  test('returns an empty summary when the user has no roster', () => {
+    const summary = summarizeLeagueWeek({ league, rosters, users, matchups, players, sleeperUserId: 'stranger' })
+
+    expect(summary).toMatchObject({ roster_id: null, record: null, matchup: null, pending_trades: [], injured_starters: [] })
+  })
+})
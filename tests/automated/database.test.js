@@ -0,0 +1,151 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sqlite3 = require('sqlite3')
+
+process.env.DATABASE_PATH = ':memory:'
+
+const players = (count, team) => Object.fromEntries(
+  Array.from({ length: count }, (_, index) => [String(index + 1), { full_name: `Player ${index + 1}`, position: 'WR', team }])
+)
+
+describe('Database', () => {
+  let database
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    database = require('../../src/config/database')
+    await database.connect()
+  })
+
+  afterAll(async () => {
+    await database.close()
+    console.log.mockRestore()
+  })
+
+  test('queues overlapping transactions instead of nesting them', async () => {
+    const order = []
+    const first = database.transaction(async () => {
+      order.push('first:start')
+      await database.run('INSERT INTO cache_metadata (key, value) VALUES (?, ?)', ['tx-1', 'a'])
+      await new Promise(resolve => setTimeout(resolve, 20))
+      order.push('first:end')
+    })
+    const second = database.transaction(async () => {
+      order.push('second:start')
+      await database.run('INSERT INTO cache_metadata (key, value) VALUES (?, ?)', ['tx-2', 'b'])
+    })
+
+    await Promise.all([first, second])
+
+    expect(order).toEqual(['first:start', 'first:end', 'second:start'])
+    const rows = await database.all("SELECT key FROM cache_metadata WHERE key LIKE 'tx-%' ORDER BY key")
+    expect(rows.map(row => row.key)).toEqual(['tx-1', 'tx-2'])
+  })
+
+  test('keeps writes made outside a transaction when it rolls back', async () => {
+    const failing = database.transaction(async () => {
+      await database.run('INSERT INTO cache_metadata (key, value) VALUES (?, ?)', ['rolled-back', 'x'])
+      await new Promise(resolve => setTimeout(resolve, 20))
+      throw new Error('boom')
+    })
+    const outside = database.run('INSERT INTO cache_metadata (key, value) VALUES (?, ?)', ['kept', 'y'])
+
+    await expect(failing).rejects.toThrow('boom')
+    await outside
+
+    const rows = await database.all("SELECT key FROM cache_metadata WHERE key IN ('rolled-back', 'kept')")
+    expect(rows.map(row => row.key)).toEqual(['kept'])
+  })
+
+  test('readers see a complete player snapshot while it is being replaced', async () => {
+    await database.replacePlayers(players(300, 'KC'))
+
+    const replacing = database.replacePlayers(players(500, 'BUF'))
+    const counts = []
+    while (counts.length < 20) {
+      const row = await database.get('SELECT COUNT(*) as total, COUNT(DISTINCT team) as teams FROM players')
+      counts.push([row.total, row.teams])
+    }
+    await replacing
+
+    for (const [total, teams] of counts) {
+      expect([300, 500]).toContain(total)
+      expect(teams).toBe(1)
+    }
+    const after = await database.get('SELECT COUNT(*) as total FROM players WHERE team = ?', ['BUF'])
+    expect(after.total).toBe(500)
+  })
+
+  test('holds back queued webhook events behind an earlier delivery that is backing off', async () => {
+    const payload = (id) => ({ id, event: 'trade', league_id: '1', data: {} })
+    const slow = await database.createWebhook('user-1', { league_id: '1', url: 'https://slow.test', secret: 's', events: ['trade'] })
+    const fast = await database.createWebhook('user-1', { league_id: '1', url: 'https://fast.test', secret: 's', events: ['trade'] })
+    const { id: firstId } = await database.queueWebhookDelivery(slow.id, payload('slow-1'))
+    await database.queueWebhookDelivery(slow.id, payload('slow-2'))
+    await database.queueWebhookDelivery(fast.id, payload('fast-1'))
+
+    expect((await database.getDueWebhookDeliveries()).map(queued => queued.payload.id)).toEqual(['slow-1', 'slow-2', 'fast-1'])
+
+    await database.rescheduleWebhookDelivery(firstId, 1, 60000)
+    const due = await database.getDueWebhookDeliveries()
+    expect(due.map(queued => [queued.payload.id, queued.url])).toEqual([['fast-1', 'https://fast.test']])
+
+    await database.deleteWebhook(slow.id, 'user-1')
+    const remaining = await database.get('SELECT COUNT(*) as total FROM webhook_queue WHERE webhook_id = ?', [slow.id])
+    expect(remaining.total).toBe(0)
+  })
+})
+
+describe('Database legacy players migration', () => {
+  let database
+  let tempDir
+
+  // Open a raw connection and run statements in order
+  const withRawDatabase = async (dbPath, statements) => {
+    const db = new sqlite3.Database(dbPath)
+    for (const [sql, params = []] of statements) {
+      await new Promise((resolve, reject) => db.run(sql, params, err => err ? reject(err) : resolve()))
+    }
+    await new Promise(resolve => db.close(resolve))
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'players-migration-'))
+    const dbPath = path.join(tempDir, 'legacy.sqlite')
+
+    await withRawDatabase(dbPath, [
+      ['CREATE TABLE players (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)'],
+      ['CREATE INDEX idx_players_updated_at ON players(updated_at)'],
+      ['INSERT INTO players (id, data) VALUES (?, ?)', ['all_players', JSON.stringify({
+        4046: { first_name: 'Patrick', last_name: 'Mahomes', position: 'QB', team: 'KC', search_rank: 20, fantasy_positions: ['QB'] },
+        6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', injury_status: 'Questionable' }
+      })]]
+    ])
+
+    database = require('../../src/config/database')
+    database.dbPath = dbPath
+    await database.connect()
+  })
+
+  afterAll(async () => {
+    await database.close()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    console.log.mockRestore()
+  })
+
+  test('normalizes the blob into one row per player and drops the legacy table', async () => {
+    const rows = await database.all('SELECT player_id, full_name, position, team, injury_status, search_rank, fantasy_positions FROM players ORDER BY player_id')
+    expect(rows).toEqual([
+      { player_id: '4046', full_name: 'Patrick Mahomes', position: 'QB', team: 'KC', injury_status: null, search_rank: 20, fantasy_positions: '["QB"]' },
+      { player_id: '6794', full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', injury_status: 'Questionable', search_rank: null, fantasy_positions: '[]' }
+    ])
+
+    const tables = await database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'players%' ORDER BY name")
+    expect(tables.map(table => table.name)).toEqual(['players'])
+
+    const indexes = await database.all("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'players' AND name LIKE 'idx_%'")
+    expect(indexes.map(index => index.name)).toContain('idx_players_team')
+  })
+})
@@ -0,0 +1,64 @@
+const { pickNumber, buildDraftBoard, starterDemand, gradeDraft } = require('../../src/utils/draftBoard')
+
+describe('draft board helpers', () => {
+  const draft = {
+    type: 'snake',
+    settings: { teams: 2, rounds: 2 },
+    slot_to_roster_id: { 1: 1, 2: 2 }
+  }
+  const owners = new Map([
+    [1, { owner_id: 'u1', display_name: 'alpha', team_name: 'Alpha Dogs' }],
+    [2, { owner_id: 'u2', display_name: 'bravo', team_name: 'bravo' }]
+  ])
+  const players = {
+    4034: { full_name: 'Christian McCaffrey', position: 'RB', team: 'SF' },
+    4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC' },
+    6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN' },
+    7564: { full_name: "Ja'Marr Chase", position: 'WR', team: 'CIN' }
+  }
+
+  test('numbers picks for snake drafts and third-round reversal', () => {
+    expect([1, 2].map(slot => pickNumber(draft, 2, slot))).toEqual([4, 3])
+    const thirdRoundReversal = { ...draft, settings: { teams: 2, reversal_round: 3 } }
+    expect([1, 2].map(slot => pickNumber(thirdRoundReversal, 3, slot))).toEqual([6, 5])
+    expect(pickNumber({ ...draft, type: 'linear' }, 2, 1)).toBe(3)
+  })
+
+  test('lays out the grid with traded pick ownership', () => {
+    const { slots, rounds } = buildDraftBoard({
+      draft,
+      picks: [{ round: 1, draft_slot: 1, pick_no: 1, roster_id: 1, player_id: '4034', picked_by: 'u1' }],
+      tradedPicks: [{ season: '2024', round: 2, roster_id: 1, previous_owner_id: 1, owner_id: 2 }],
+      players,
+      ownersByRosterId: owners
+    })
+
+    expect(slots.map(slot => slot.team_name)).toEqual(['Alpha Dogs', 'bravo'])
+    expect(rounds[0][0]).toMatchObject({ pick_no: 1, player: { full_name: 'Christian McCaffrey' }, traded: false })
+    expect(rounds[1][0]).toMatchObject({ pick_no: 4, original_roster_id: 1, owner_roster_id: 2, owner_team_name: 'bravo', traded: true, player: null })
+  })
+
+  test('splits flex demand and grades picks against ADP', () => {
+    expect(starterDemand(['QB', 'RB', 'FLEX', 'BN'], 2)).toEqual({ QB: 2, RB: 2 + 2 / 3, WR: 2 / 3, TE: 2 / 3 })
+
+    const report = gradeDraft({
+      draft,
+      picks: [
+        { round: 1, pick_no: 1, roster_id: 1, player_id: '7564' },
+        { round: 1, pick_no: 2, roster_id: 2, player_id: '4034' },
+        { round: 2, pick_no: 3, roster_id: 2, player_id: '6794' },
+        { round: 2, pick_no: 4, roster_id: 1, player_id: '4046' }
+      ],
+      adpOrder: ['4034', '6794', '7564', '4046'],
+      players,
+      rosterPositions: ['QB', 'WR'],
+      ownersByRosterId: owners
+    })
+
+    const [first, second] = report.teams
+    expect(first).toMatchObject({ rank: 1, roster_id: 2, grade: 'A' })
+    expect(first.best_pick).toMatchObject({ player_id: '4034', adp_rank: 1, value: 1 })
+    expect(second).toMatchObject({ roster_id: 1, grade: 'C' })
+    expect(second.biggest_reach).toMatchObject({ player_id: '7564', value: -2, weighted_value: -2 })
+  })
+})
@@ -0,0 +1,121 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getDraft: jest.fn(),
+  getDraftPicks: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+const sleeperService = require('../../src/services/sleeperService')
+const playerSearchService = require('../../src/services/playerSearchService')
+const draftStreamService = require('../../src/services/draftStreamService')
+const { openEventStream } = require('../../src/utils/sse')
+
+const createSubscriber = () => ({
+  events: [],
+  closed: false,
+  send(event, data) {
+    this.events.push([event, data])
+  },
+  close() {
+    this.closed = true
+  }
+})
+
+// Let the poll's promise chain settle after advancing fake timers
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve()
+}
+
+describe('DraftStreamService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    jest.clearAllMocks()
+    playerSearchService.getPlayersByIds.mockResolvedValue({
+      4034: { full_name: 'Christian McCaffrey', position: 'RB', team: 'SF' },
+      6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN' }
+    })
+  })
+
+  afterEach(() => {
+    draftStreamService.stopAll()
+    jest.useRealTimers()
+  })
+
+  test('shares one poller per draft and pushes only new picks', async () => {
+    sleeperService.getDraft.mockResolvedValue({ status: 'drafting' })
+    sleeperService.getDraftPicks
+      .mockResolvedValueOnce([{ pick_no: 1, round: 1, roster_id: 1, player_id: '4034' }])
+      .mockResolvedValue([
+        { pick_no: 1, round: 1, roster_id: 1, player_id: '4034' },
+        { pick_no: 2, round: 1, roster_id: 2, player_id: '6794' }
+      ])
+
+    const first = createSubscriber()
+    const second = createSubscriber()
+    const unsubscribeFirst = await draftStreamService.subscribe('d1', first)
+    await draftStreamService.subscribe('d1', second)
+
+    expect(first.events[0]).toEqual(['snapshot', expect.objectContaining({ picks: [expect.objectContaining({ pick_no: 1 })] })])
+
+    jest.advanceTimersByTime(draftStreamService.pollInterval)
+    await flush()
+
+    expect(sleeperService.getDraftPicks).toHaveBeenCalledTimes(2)
+    expect(first.events[1]).toEqual(['pick', expect.objectContaining({ pick_no: 2, player: expect.objectContaining({ full_name: 'Justin Jefferson' }) })])
+    expect(second.events[1]).toEqual(first.events[1])
+
+    // Nothing new on the next poll
+    jest.advanceTimersByTime(draftStreamService.pollInterval)
+    await flush()
+    expect(first.events).toHaveLength(2)
+
+    unsubscribeFirst()
+    expect(draftStreamService.getStats()).toEqual([expect.objectContaining({ draft_id: 'd1', subscribers: 1 })])
+  })
+
+  test('closes subscribers immediately for a completed draft', async () => {
+    sleeperService.getDraft.mockResolvedValue({ status: 'complete' })
+    sleeperService.getDraftPicks.mockResolvedValue([])
+
+    const subscriber = createSubscriber()
+    await draftStreamService.subscribe('d2', subscriber)
+
+    expect(subscriber.events.map(([event]) => event)).toEqual(['snapshot', 'complete'])
+    expect(subscriber.closed).toBe(true)
+    expect(draftStreamService.getStats()).toEqual([])
+  })
+})
+
+describe('openEventStream', () => {
+  test('writes named events and disables buffering', () => {
+    const res = {
+      headers: {},
+      status: jest.fn(),
+      set: jest.fn(function (headers) { Object.assign(this.headers, headers) }),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      flush: jest.fn(),
+      end: jest.fn()
+    }
+
+    const stream = openEventStream(res)
+    stream.send('pick', { pick_no: 3 }, 3)
+    stream.close()
+    stream.send('pick', { pick_no: 4 }, 4)
+
+    expect(res.headers).toMatchObject({ 'Content-Type': 'text/event-stream', 'X-Accel-Buffering': 'no' })
+    expect(res.write).toHaveBeenCalledTimes(1)
+    expect(res.write).toHaveBeenCalledWith('id: 3\nevent: pick\ndata: {"pick_no":3}\n\n')
+    expect(res.flush).toHaveBeenCalled()
+    expect(res.end).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,57 @@
+const { computeExposure } = require('../../src/utils/exposure')
+
+const leagueRosters = [
+  { league: { league_id: 'L1', name: 'One' }, roster: { roster_id: 1, players: ['a', 'b', 'c'], starters: ['a', 'b'] } },
+  { league: { league_id: 'L2', name: 'Two' }, roster: { roster_id: 5, players: ['a', 'c'], starters: ['c', '0'] } },
+  { league: { league_id: 'L3', name: 'Three' }, roster: { roster_id: 2, players: ['a', 'd'], starters: ['a'] } }
+]
+
+const players = {
+  a: { full_name: 'Alpha', position: 'RB', team: 'KC' },
+  b: { full_name: 'Bravo', position: 'WR', team: 'KC' },
+  c: { full_name: 'Charlie', position: 'QB', team: 'BUF' },
+  d: { full_name: 'Delta', position: 'TE', team: 'BUF' }
+}
+
+describe('exposure', () => {
+  test('counts rostered and started leagues per player, most exposed first', () => {
+    const exposure = computeExposure({ leagueRosters, players })
+
+    expect(exposure.leagues_counted).toBe(3)
+    expect(exposure.players.map(row => [row.player_id, row.rostered, row.started])).toEqual([
+      ['a', 3, 2],
+      ['c', 2, 1],
+      ['b', 1, 1],
+      ['d', 1, 0]
+    ])
+    expect(exposure.players[0]).toMatchObject({ full_name: 'Alpha', rostered_pct: 1, started_pct: 0.67 })
+    expect(exposure.players[1].leagues).toEqual([
+      { league_id: 'L1', name: 'One', roster_id: 1, starter: false },
+      { league_id: 'L2', name: 'Two', roster_id: 5, starter: true }
+    ])
+  })
+
+  test('breaks exposure down by NFL team and bye week', () => {
+    const byeWeeks = new Map([['KC', 6], ['BUF', 12]])
+    const exposure = computeExposure({ leagueRosters, players, byeWeeks })
+
+    expect(exposure.players[0].bye_week).toBe(6)
+    expect(exposure.by_team).toEqual([
+      { team: 'KC', bye_week: 6, players: 2, rostered: 4, started: 3 },
+      { team: 'BUF', bye_week: 12, players: 2, rostered: 3, started: 1 }
+    ])
+    expect(exposure.by_bye_week).toEqual([
+      { bye_week: 6, players: 2, rostered: 4, started: 3 },
+      { bye_week: 12, players: 2, rostered: 3, started: 1 }
+    ])
+    expect(exposure.bye_weeks_note).toBeNull()
+  })
+
+  test('leaves bye weeks unknown without a schedule', () => {
+    const exposure = computeExposure({ leagueRosters, players })
+
+    expect(exposure.players.every(player => player.bye_week === null)).toBe(true)
+    expect(exposure.by_bye_week).toEqual([])
+    expect(exposure.bye_weeks_note).toMatch(/schedule:import/)
+  })
+})
@@ -0,0 +1,93 @@
+const EventEmitter = require('events')
+
+process.env.DATABASE_PATH = ':memory:'
+
+const mockCacheService = new EventEmitter()
+mockCacheService.refreshPlayerCache = jest.fn()
+
+jest.mock('../../src/services/cacheService', () => mockCacheService)
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+const { UNAVAILABLE_INJURY_STATUSES, normalizeInjuryStatus, countByStatus, injuredStartersByRoster } = require('../../src/utils/injuries')
+
+const players = {
+  100: { full_name: 'Hamstring Back', position: 'RB', team: 'KC', search_rank: 10, injury_status: 'Questionable', injury_body_part: 'Hamstring', practice_participation: 'Limited' },
+  200: { full_name: 'Ankle Receiver', position: 'WR', team: 'BUF', search_rank: 5, injury_status: 'Out', injury_body_part: 'Ankle', practice_participation: 'DNP' },
+  300: { full_name: 'Knee Tight End', position: 'TE', team: 'KC', search_rank: 50, injury_status: 'IR', injury_body_part: 'Knee' },
+  400: { full_name: 'Healthy Quarterback', position: 'QB', team: 'KC', search_rank: 1 },
+  500: { full_name: 'Released Runner', position: 'RB', team: null, search_rank: 300, injury_status: 'Out' },
+  600: { full_name: 'Sidelined Kicker', position: 'K', team: 'SF', search_rank: 200, injury_status: 'NA' }
+}
+
+describe('injuries', () => {
+  let database
+  let playerSearchService
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    database = require('../../src/config/database')
+    await database.connect()
+    await database.replacePlayers(players)
+    playerSearchService = require('../../src/services/playerSearchService')
+  })
+
+  afterAll(async () => {
+    await database.close()
+    console.log.mockRestore()
+  })
+
+  test('lists injured players on NFL teams, best search_rank first', async () => {
+    const injured = await playerSearchService.getInjuredPlayers({ statuses: ['IR', 'PUP', 'Out', 'Doubtful', 'Questionable'] })
+
+    expect(injured.map(player => player.player_id)).toEqual(['200', '100', '300'])
+    expect(injured[0]).toMatchObject({ injury_body_part: 'Ankle', practice_participation: 'DNP' })
+  })
+
+  test('filters the injury report by team, position and status', async () => {
+    const byTeam = await playerSearchService.getInjuredPlayers({ statuses: ['Out', 'IR', 'Questionable'], teams: ['KC'] })
+    expect(byTeam.map(player => player.player_id)).toEqual(['100', '300'])
+
+    const byPosition = await playerSearchService.getInjuredPlayers({ statuses: ['Out', 'IR', 'Questionable'], positions: ['TE'] })
+    expect(byPosition.map(player => player.player_id)).toEqual(['300'])
+
+    const byStatus = await playerSearchService.getInjuredPlayers({ statuses: ['Out'] })
+    expect(byStatus.map(player => player.player_id)).toEqual(['200'])
+  })
+
+  test('normalizes status filters and counts by status', () => {
+    expect(normalizeInjuryStatus('questionable')).toBe('Questionable')
+    expect(normalizeInjuryStatus('ir')).toBe('IR')
+    expect(normalizeInjuryStatus('sus')).toBe('Sus')
+    expect(normalizeInjuryStatus('Healthy')).toBeNull()
+
+    expect(countByStatus([{ injury_status: 'Out' }, { injury_status: 'Out' }, { injury_status: 'IR' }]))
+      .toEqual({ IR: 1, PUP: 0, Sus: 0, COV: 0, Out: 2, Doubtful: 0, Questionable: 0 })
+    expect(UNAVAILABLE_INJURY_STATUSES).toEqual(['IR', 'PUP', 'Sus', 'COV', 'Out'])
+  })
+
+  test('lists injured starters per roster, most severe first', () => {
+    const rosters = [
+      { roster_id: 1, owner_id: 'u1', starters: ['100', '400', '300', '0'], players: ['100', '200', '300', '400'] },
+      { roster_id: 2, owner_id: 'u2', starters: ['400'] }
+    ]
+    const users = [{ user_id: 'u1', display_name: 'one', metadata: { team_name: 'Team One' } }]
+
+    const result = injuredStartersByRoster({ rosters, users, players })
+
+    expect(result[0]).toMatchObject({ roster_id: 1, team_name: 'Team One' })
+    expect(result[0].injured_starters.map(player => [player.player_id, player.injury_status, player.injury_body_part])).toEqual([
+      ['300', 'IR', 'Knee'],
+      ['100', 'Questionable', 'Hamstring']
+    ])
+    expect(result[1].injured_starters).toEqual([])
+
+    const irOnly = injuredStartersByRoster({ rosters, users, players, statuses: ['IR'] })
+    expect(irOnly[0].injured_starters.map(player => player.player_id)).toEqual(['300'])
+  })
+})
@@ -0,0 +1,99 @@
+const { summarizeSeason, buildLeagueHistory } = require('../../src/utils/leagueHistory')
+
+describe('league history', () => {
+  const users = [
+    { user_id: 'u1', display_name: 'alpha' },
+    { user_id: 'u2', display_name: 'bravo' },
+    { user_id: 'u3', display_name: 'charlie' },
+    { user_id: 'u4', display_name: 'delta' }
+  ]
+  const weeklyMatchups = [
+    {
+      week: 1,
+      matchups: [
+        { roster_id: 1, matchup_id: 1, points: 120 },
+        { roster_id: 2, matchup_id: 1, points: 100 },
+        { roster_id: 3, matchup_id: 2, points: 90 },
+        { roster_id: 4, matchup_id: 2, points: 95 }
+      ]
+    }
+  ]
+
+  const season2023 = summarizeSeason({
+    league: { league_id: '100', season: '2023', status: 'complete', settings: {} },
+    rosters: [
+      { roster_id: 1, owner_id: 'u1' },
+      { roster_id: 2, owner_id: 'u2' },
+      { roster_id: 3, owner_id: 'u3' },
+      { roster_id: 4, owner_id: 'u4' }
+    ],
+    users,
+    weeklyMatchups,
+    bracket: [
+      { r: 1, m: 1, t1: 1, t2: 4, w: 1, l: 4 },
+      { r: 1, m: 2, t1: 2, t2: 3, w: 3, l: 2 },
+      { r: 2, m: 3, t1: 1, t2: 3, w: 3, l: 1, p: 1 },
+      { r: 2, m: 4, t1: 4, t2: 2, w: 2, l: 4, p: 3 }
+    ]
+  })
+
+  // In 2024 bravo and delta swapped roster slots
+  const season2024 = summarizeSeason({
+    league: { league_id: '200', season: '2024', status: 'in_season', settings: {} },
+    rosters: [
+      { roster_id: 1, owner_id: 'u1' },
+      { roster_id: 2, owner_id: 'u4' },
+      { roster_id: 3, owner_id: 'u3' },
+      { roster_id: 4, owner_id: 'u2' }
+    ],
+    users,
+    weeklyMatchups,
+    bracket: []
+  })
+
+  test('orders final standings by playoff placement and finds the champion', () => {
+    expect(season2023.champion).toMatchObject({ roster_id: 3, owner_id: 'u3' })
+    expect(season2023.runner_up).toMatchObject({ roster_id: 1 })
+    expect(season2023.standings.map(row => [row.final_rank, row.roster_id])).toEqual([[1, 3], [2, 1], [3, 2], [4, 4]])
+    expect(season2024.champion).toBeNull()
+  })
+
+  test('tracks owner changes, career totals and head-to-head across seasons', () => {
+    const history = buildLeagueHistory([season2024, season2023])
+
+    expect(history.seasons[0].owner_changes).toEqual([
+      { roster_id: 2, previous_owner_id: 'u2', owner_id: 'u4' },
+      { roster_id: 4, previous_owner_id: 'u4', owner_id: 'u2' }
+    ])
+    expect(history.seasons[1].owner_changes).toEqual([])
+    expect(history.seasons[0]).not.toHaveProperty('games')
+
+    const charlie = history.owners.find(owner => owner.user_id === 'u3')
+    expect(charlie).toMatchObject({ seasons: ['2023', '2024'], championships: 1, best_finish: 1, losses: 2 })
+
+    // alpha beat bravo in 2023 (roster 2) but beat delta in 2024 (roster 2 changed hands)
+    const alphaBravo = history.head_to_head.find(record => record.user_ids.join() === 'u1,u2')
+    expect(alphaBravo).toMatchObject({ games: 1, wins: [1, 0], display_names: ['alpha', 'bravo'] })
+    const alphaDelta = history.head_to_head.find(record => record.user_ids.join() === 'u1,u4')
+    expect(alphaDelta).toMatchObject({ games: 1, wins: [1, 0], points: [120, 100] })
+  })
+
+  test('counts commissioner-adjusted custom_points in head-to-head records', () => {
+    const season = summarizeSeason({
+      league: { league_id: '300', season: '2025', status: 'in_season', settings: {} },
+      rosters: [{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }],
+      users,
+      weeklyMatchups: [{
+        week: 1,
+        matchups: [
+          { roster_id: 1, matchup_id: 1, points: 100, custom_points: 90 },
+          { roster_id: 2, matchup_id: 1, points: 95 }
+        ]
+      }],
+      bracket: []
+    })
+
+    const [record] = buildLeagueHistory([season]).head_to_head
+    expect(record).toMatchObject({ user_ids: ['u1', 'u2'], wins: [0, 1], points: [90, 95] })
+  })
+})
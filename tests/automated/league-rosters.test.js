@@ -0,0 +1,58 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getLeagueRosters: jest.fn(),
+  getLeagueUsers: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+const sleeperService = require('../../src/services/sleeperService')
+const playerSearchService = require('../../src/services/playerSearchService')
+const leagueService = require('../../src/services/leagueService')
+
+describe('LeagueService.getExpandedRosters', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    sleeperService.getLeagueRosters.mockResolvedValue([
+      { roster_id: 1, owner_id: 'u1', players: ['4046', 'KC', '999'], starters: ['4046', '0'], reserve: null, taxi: ['999'] }
+    ])
+    sleeperService.getLeagueUsers.mockResolvedValue([
+      { user_id: 'u1', display_name: 'alpha', metadata: { team_name: 'Alpha Dogs' } }
+    ])
+    playerSearchService.getPlayersByIds.mockResolvedValue({
+      4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC', status: 'Active', injury_status: 'Questionable' },
+      KC: { first_name: 'Kansas City', last_name: 'Chiefs', position: 'DEF', team: 'KC' }
+    })
+  })
+
+  test('inlines players and owners', async () => {
+    const [roster] = await leagueService.getExpandedRosters('123')
+
+    expect(playerSearchService.getPlayersByIds).toHaveBeenCalledWith(['4046', 'KC', '999', '4046', '999'])
+    expect(roster.players).toEqual([
+      { player_id: '4046', full_name: 'Patrick Mahomes', position: 'QB', team: 'KC', status: 'Active', injury_status: 'Questionable' },
+      { player_id: 'KC', full_name: 'Kansas City Chiefs', position: 'DEF', team: 'KC', status: null, injury_status: null },
+      { player_id: '999', full_name: null, position: null, team: null, status: null, injury_status: null }
+    ])
+    expect(roster.starters[1]).toBeNull()
+    expect(roster.reserve).toBeNull()
+    expect(roster.taxi).toHaveLength(1)
+    expect(roster.owner).toEqual({ owner_id: 'u1', display_name: 'alpha', team_name: 'Alpha Dogs' })
+  })
+
+  test('only fetches what was asked for', async () => {
+    const [roster] = await leagueService.getExpandedRosters('123', { players: false, owners: true })
+
+    expect(playerSearchService.getPlayersByIds).not.toHaveBeenCalled()
+    expect(roster.players).toEqual(['4046', 'KC', '999'])
+    expect(roster.owner.team_name).toBe('Alpha Dogs')
+  })
+})
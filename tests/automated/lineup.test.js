@@ -0,0 +1,73 @@
+const { startingSlots, averagePointsByPlayer, optimizeLineup } = require('../../src/utils/lineup')
+
+const players = {
+  qb1: { full_name: 'Starting QB', position: 'QB', team: 'KC', search_rank: 5 },
+  qb2: { full_name: 'Backup QB', position: 'QB', team: 'BUF', search_rank: 40 },
+  rb1: { full_name: 'Bye RB', position: 'RB', team: 'SF', search_rank: 2 },
+  rb2: { full_name: 'Healthy RB', position: 'RB', team: 'DAL', search_rank: 30 },
+  rb3: { full_name: 'Rookie RB', position: 'RB', team: 'NYJ', search_rank: 60 },
+  wr1: { full_name: 'Injured WR', position: 'WR', team: 'MIN', injury_status: 'Out', search_rank: 3 },
+  wr2: { full_name: 'Second WR', position: 'WR', team: 'MIA', search_rank: 20 },
+  te1: { full_name: 'Move TE', position: 'TE', fantasy_positions: ['TE', 'QB'], team: 'NO', search_rank: 50 }
+}
+
+describe('lineup', () => {
+  test('startingSlots drops bench, IR and taxi slots', () => {
+    expect(startingSlots(['QB', 'RB', 'FLEX', 'BN', 'BN', 'IR', 'TAXI'])).toEqual(['QB', 'RB', 'FLEX'])
+  })
+
+  test('averagePointsByPlayer counts zero-point weeks and skips weeks without an entry', () => {
+    const averages = averagePointsByPlayer([
+      { week: 1, matchups: [{ roster_id: 1, players_points: { qb1: 20, rb1: 0 } }] },
+      { week: 2, matchups: [{ roster_id: 1, players_points: { qb1: 25.5, rb1: 12 } }] },
+      { week: 3, matchups: [{ roster_id: 1, players_points: { rb1: 3 } }] }
+    ])
+    expect(averages.get('qb1')).toEqual({ average: 22.75, games: 2 })
+    expect(averages.get('rb1')).toEqual({ average: 5, games: 3 })
+  })
+
+  test('fills slots with available players and reports swaps against the current lineup', () => {
+    const averages = new Map([
+      ['qb1', { average: 22, games: 5 }],
+      ['qb2', { average: 15, games: 5 }],
+      ['rb1', { average: 18, games: 5 }],
+      ['rb2', { average: 11, games: 5 }],
+      ['wr1', { average: 16, games: 5 }],
+      ['wr2', { average: 9, games: 5 }],
+      ['te1', { average: 8, games: 5 }]
+    ])
+
+    const result = optimizeLineup({
+      rosterPositions: ['QB', 'RB', 'WR', 'TE', 'FLEX', 'SUPER_FLEX', 'BN', 'BN'],
+      playerIds: Object.keys(players),
+      currentStarters: ['qb1', 'rb1', 'wr1', 'te1', 'wr2', '0'],
+      players,
+      averages,
+      byeTeams: new Set(['SF'])
+    })
+
+    expect(result.lineup.map(slot => [slot.slot, slot.player?.player_id])).toEqual([
+      ['QB', 'qb1'],
+      ['RB', 'rb2'],
+      ['WR', 'wr2'],
+      ['TE', 'te1'],
+      // Players without games rank by search_rank behind those with averages
+      ['FLEX', 'rb3'],
+      ['SUPER_FLEX', 'qb2']
+    ])
+    expect(result.swaps.map(swap => [swap.slot, swap.bench?.player_id ?? null, swap.start?.player_id])).toEqual([
+      ['RB', 'rb1', 'rb2'],
+      ['WR', 'wr1', 'wr2'],
+      ['FLEX', 'wr2', 'rb3'],
+      ['SUPER_FLEX', null, 'qb2']
+    ])
+    expect(result.swaps[0]).toMatchObject({ gain: 11, bench: { unavailable_reason: 'bye' } })
+    expect(result.current_points).toBe(39)
+    expect(result.optimal_points).toBe(65)
+    expect(result.improvement).toBe(26)
+    expect(result.unavailable.map(player => [player.player_id, player.unavailable_reason])).toEqual([
+      ['rb1', 'bye'],
+      ['wr1', 'injury']
+    ])
+  })
+})
@@ -0,0 +1,70 @@
+const { buildMatchupPairs } = require('../../src/utils/matchupPairs')
+
+describe('buildMatchupPairs', () => {
+  const rosters = [
+    { roster_id: 1, owner_id: 'u1', settings: { wins: 2, losses: 0, fpts: 240, fpts_decimal: 50 } },
+    { roster_id: 2, owner_id: 'u2', settings: { wins: 1, losses: 1, fpts: 200 } },
+    { roster_id: 3, owner_id: 'u3', settings: {} }
+  ]
+  const users = [
+    { user_id: 'u1', display_name: 'alpha', metadata: { team_name: 'Alpha Dogs' } },
+    { user_id: 'u2', display_name: 'bravo' }
+  ]
+  const players = {
+    4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC' },
+    6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', injury_status: 'Questionable' }
+  }
+  const matchups = [
+    { roster_id: 2, matchup_id: 1, points: 95.5, starters: ['6794'], players: ['6794', '111'], players_points: { 6794: 20.1, 111: 4 } },
+    { roster_id: 1, matchup_id: 1, points: 90, starters: ['4046', '0'], players: ['4046', '222'], players_points: { 4046: 30, 222: 12.25 } },
+    { roster_id: 3, matchup_id: null, points: 0, starters: [], players: [] }
+  ]
+
+  test('pairs teams with owners, starters and bench points', () => {
+    const { pairs, byes } = buildMatchupPairs({ matchups, rosters, users, players, final: true })
+
+    expect(byes).toEqual([3])
+    expect(pairs).toHaveLength(1)
+    expect(pairs[0]).toMatchObject({ matchup_id: 1, status: 'final', winner_roster_id: 2, margin: 5.5 })
+
+    const [bravo, alpha] = pairs[0].teams
+    expect(bravo).toMatchObject({ roster_id: 2, team_name: 'bravo', points: 95.5, bench_points: 4 })
+    expect(bravo.starters[0]).toMatchObject({ full_name: 'Justin Jefferson', injury_status: 'Questionable', points: 20.1 })
+    expect(alpha.starters[1]).toBeNull()
+    expect(alpha.bench).toEqual([expect.objectContaining({ player_id: '222', full_name: null, points: 12.25 })])
+  })
+
+  describe('while the week is in progress', () => {
+    const inProgress = [
+      { roster_id: 2, matchup_id: 1, points: 20.1, starters: ['6794', '1234'], players: ['6794', '1234'], players_points: { 6794: 20.1, 1234: 0 } },
+      { roster_id: 1, matchup_id: 1, points: 8, starters: ['4046', '5000'], players: ['4046', '5000'], players_points: { 4046: 0, 5000: 8 } }
+    ]
+    const averages = new Map([
+      ['6794', { average: 18, games: 4 }],
+      ['1234', { average: 10, games: 4 }],
+      ['4046', { average: 25, games: 4 }],
+      ['5000', { average: 12, games: 4 }]
+    ])
+
+    test('projects points so far plus the averages of starters yet to score', () => {
+      const [pair] = buildMatchupPairs({ matchups: inProgress, rosters, users, players, final: false, averages }).pairs
+
+      expect(pair).toMatchObject({
+        status: 'in_progress',
+        winner_roster_id: null,
+        leader_roster_id: 2,
+        projected_winner_roster_id: 1,
+        projected_margin: 2.9
+      })
+      expect(pair.teams.map(team => team.projected_points)).toEqual([30.1, 33])
+    })
+
+    test('uses the schedule to tell starters still to play from ones who scored nothing', () => {
+      // MIN has yet to kick off; KC's game is underway, so Mahomes' 0 stands
+      const [pair] = buildMatchupPairs({ matchups: inProgress, rosters, users, players, final: false, averages, teamsYetToPlay: new Set(['MIN']) }).pairs
+
+      expect(pair.teams.map(team => team.projected_points)).toEqual([38.1, 8])
+      expect(pair).toMatchObject({ projected_winner_roster_id: 2, projected_margin: 30.1 })
+    })
+  })
+})
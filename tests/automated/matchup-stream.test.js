@@ -0,0 +1,126 @@
+const moment = require('moment-timezone')
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getLeague: jest.fn(),
+  getLeagueMatchups: jest.fn(),
+  getNFLState: jest.fn(),
+  getLastScoredWeek: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+jest.mock('../../src/services/leagueService', () => ({
+  getOwnersByRosterId: jest.fn()
+}))
+
+const sleeperService = require('../../src/services/sleeperService')
+const playerSearchService = require('../../src/services/playerSearchService')
+const leagueService = require('../../src/services/leagueService')
+const matchupStreamService = require('../../src/services/matchupStreamService')
+const { isGameWindow } = require('../../src/utils/gameWindows')
+
+const eastern = (value) => moment.tz(value, 'America/New_York')
+
+describe('isGameWindow', () => {
+  const regular = (week) => ({ season_type: 'regular', week })
+
+  test('covers Sunday, Monday and Thursday slates including late finishes', () => {
+    expect(isGameWindow(regular(5), eastern('2024-10-06 13:05'))).toBe(true)
+    expect(isGameWindow(regular(5), eastern('2024-10-07 00:15'))).toBe(true)
+    expect(isGameWindow(regular(5), eastern('2024-10-07 09:00'))).toBe(false)
+    expect(isGameWindow(regular(5), eastern('2024-10-07 20:30'))).toBe(true)
+    expect(isGameWindow(regular(5), eastern('2024-10-10 20:30'))).toBe(true)
+    expect(isGameWindow(regular(5), eastern('2024-10-10 14:00'))).toBe(false)
+  })
+
+  test('adds Thanksgiving afternoons and late-season Saturdays only', () => {
+    expect(isGameWindow(regular(12), eastern('2024-11-28 13:00'))).toBe(true)
+    expect(isGameWindow(regular(8), eastern('2024-10-26 13:00'))).toBe(false)
+    expect(isGameWindow(regular(16), eastern('2024-12-21 16:30'))).toBe(true)
+    expect(isGameWindow({ season_type: 'off', week: 1 }, eastern('2024-10-06 13:05'))).toBe(false)
+  })
+})
+
+describe('MatchupStreamService', () => {
+  const subscriber = () => ({
+    events: [],
+    closed: false,
+    send(event, data) {
+      this.events.push([event, data])
+    },
+    close() {
+      this.closed = true
+    }
+  })
+
+  const entries = (points) => [
+    { roster_id: 1, matchup_id: 1, points: points[0], starters: ['4046'], players_points: { 4046: points[0] } },
+    { roster_id: 2, matchup_id: 1, points: points[1], starters: ['6794'], players_points: { 6794: points[1] } }
+  ]
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    jest.clearAllMocks()
+    leagueService.getOwnersByRosterId.mockResolvedValue(new Map([[1, { team_name: 'Alpha Dogs' }]]))
+    playerSearchService.getPlayersByIds.mockResolvedValue({ 4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC' } })
+    sleeperService.getLeague.mockResolvedValue({ league_id: 'l1', season: '2024' })
+    sleeperService.getNFLState.mockResolvedValue({ season_type: 'regular', week: 5 })
+    sleeperService.getLastScoredWeek.mockResolvedValue(4)
+  })
+
+  afterEach(() => {
+    matchupStreamService.stopAll()
+    jest.useRealTimers()
+  })
+
+  test('pushes only score deltas from a shared poller', async () => {
+    sleeperService.getLeagueMatchups
+      .mockResolvedValueOnce(entries([10, 5]))
+      .mockResolvedValueOnce(entries([16.5, 5]))
+
+    const first = subscriber()
+    const second = subscriber()
+    await matchupStreamService.subscribe('l1', 5, first)
+    await matchupStreamService.subscribe('l1', 5, second)
+
+    expect(first.events[0][0]).toBe('snapshot')
+    expect(first.events[0][1].teams[0]).toMatchObject({ team_name: 'Alpha Dogs', points: 10, starters: [expect.objectContaining({ full_name: 'Patrick Mahomes' })] })
+
+    await jest.advanceTimersByTimeAsync(matchupStreamService.idlePollInterval)
+
+    expect(sleeperService.getLeagueMatchups).toHaveBeenCalledTimes(2)
+    expect(first.events.slice(1)).toEqual([
+      ['score', {
+        roster_id: 1,
+        matchup_id: 1,
+        team_name: 'Alpha Dogs',
+        points: 16.5,
+        previous_points: 10,
+        delta: 6.5,
+        players: [{ player_id: '4046', full_name: 'Patrick Mahomes', points: 16.5, delta: 6.5 }]
+      }]
+    ])
+    expect(second.events.slice(1)).toEqual(first.events.slice(1))
+  })
+
+  test('sends final and closes once the week has been scored', async () => {
+    sleeperService.getLeagueMatchups.mockResolvedValue(entries([100, 90]))
+    sleeperService.getLastScoredWeek.mockResolvedValue(5)
+
+    const client = subscriber()
+    await matchupStreamService.subscribe('l1', 5, client)
+
+    expect(client.events.map(([event]) => event)).toEqual(['snapshot', 'final'])
+    expect(client.closed).toBe(true)
+    expect(matchupStreamService.getStats()).toEqual([])
+  })
+})
@@ -0,0 +1,109 @@
+process.env.DATABASE_PATH = ':memory:'
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getAllPlayers: jest.fn(),
+  getTrendingPlayers: jest.fn()
+}))
+
+const { diffPlayerSnapshots } = require('../../src/utils/playerChanges')
+
+describe('diffPlayerSnapshots', () => {
+  test('reports field changes, additions and removals', () => {
+    const previous = {
+      1: { team: 'NYJ', status: 'Active', injury_status: null, depth_chart_order: 1 },
+      2: { team: 'KC', status: 'Active' }
+    }
+    const next = {
+      1: { team: 'NYJ', status: 'Active', injury_status: 'Questionable', depth_chart_order: 2 },
+      3: { team: 'BUF', status: 'Active' }
+    }
+
+    expect(diffPlayerSnapshots(previous, next)).toEqual([
+      { player_id: '1', field: 'injury_status', old_value: null, new_value: 'Questionable' },
+      { player_id: '1', field: 'depth_chart_order', old_value: '1', new_value: '2' },
+      { player_id: '3', field: 'player', old_value: null, new_value: 'added' },
+      { player_id: '2', field: 'player', old_value: 'present', new_value: 'removed' }
+    ])
+  })
+})
+
+describe('CacheService player change log', () => {
+  let database
+  let cacheService
+  let sleeperService
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    database = require('../../src/config/database')
+    cacheService = require('../../src/services/cacheService')
+    sleeperService = require('../../src/services/sleeperService')
+    await database.connect()
+    sleeperService.getTrendingPlayers.mockResolvedValue([])
+  })
+
+  afterAll(async () => {
+    await database.close()
+    console.log.mockRestore()
+  })
+
+  test('callers during a refresh wait for it instead of returning early', async () => {
+    let finishFetch
+    sleeperService.getAllPlayers.mockReturnValueOnce(new Promise(resolve => { finishFetch = resolve }))
+
+    const first = cacheService.refreshPlayerCache()
+    const second = cacheService.refreshPlayerCache()
+    let secondDone = false
+    second.then(() => { secondDone = true })
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(secondDone).toBe(false)
+
+    finishFetch({ 1: { first_name: 'Only', last_name: 'Player', position: 'QB', team: 'KC' } })
+    await Promise.all([first, second])
+
+    expect(sleeperService.getAllPlayers).toHaveBeenCalledTimes(1)
+    expect((await database.get('SELECT COUNT(*) as count FROM players')).count).toBe(1)
+    await database.run('DELETE FROM players')
+  })
+
+  test('records changes between refreshes but not on the first load', async () => {
+    sleeperService.getAllPlayers.mockResolvedValueOnce({
+      4046: { first_name: 'Patrick', last_name: 'Mahomes', full_name: 'Patrick Mahomes', position: 'QB', team: 'KC', status: 'Active' },
+      6794: { first_name: 'Justin', last_name: 'Jefferson', full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', status: 'Active' }
+    })
+    await cacheService.refreshPlayerCache()
+    expect(await cacheService.getPlayerChanges({ since: '2000-01-01T00:00:00Z' })).toEqual([])
+
+    sleeperService.getAllPlayers.mockResolvedValueOnce({
+      4046: { first_name: 'Patrick', last_name: 'Mahomes', full_name: 'Patrick Mahomes', position: 'QB', team: 'KC', status: 'Active', injury_status: 'Questionable' },
+      6794: { first_name: 'Justin', last_name: 'Jefferson', full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', status: 'Active' }
+    })
+    await cacheService.refreshPlayerCache()
+
+    const changes = await cacheService.getPlayerChanges({ since: '2000-01-01T00:00:00Z', fields: ['injury_status'] })
+    expect(changes).toEqual([
+      expect.objectContaining({
+        player_id: '4046',
+        player_name: 'Patrick Mahomes',
+        field: 'injury_status',
+        old_value: null,
+        new_value: 'Questionable',
+        changed_at: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/)
+      })
+    ])
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    expect(await cacheService.getPlayerChanges({ since: future })).toEqual([])
+
+    const history = await cacheService.getPlayerHistory('4046')
+    expect(history).toHaveLength(1)
+    expect(await cacheService.getPlayerHistory('6794')).toEqual([])
+  })
+})
@@ -0,0 +1,136 @@
+const EventEmitter = require('events')
+
+process.env.DATABASE_PATH = ':memory:'
+
+const mockCacheService = new EventEmitter()
+mockCacheService.refreshPlayerCache = jest.fn()
+
+jest.mock('../../src/services/cacheService', () => mockCacheService)
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+const players = {
+  4046: { first_name: 'Patrick', last_name: 'Mahomes', search_full_name: 'patrickmahomes', position: 'QB', team: 'KC', search_rank: 20 },
+  7564: { first_name: "Ja'Marr", last_name: 'Chase', search_full_name: 'jamarrchase', position: 'WR', team: 'CIN', search_rank: 3 },
+  4034: { first_name: 'Christian', last_name: 'McCaffrey', search_full_name: 'christianmccaffrey', position: 'RB', team: 'SF', search_rank: 1 },
+  4984: { first_name: 'Josh', last_name: 'Allen', search_full_name: 'joshallen', position: 'QB', team: 'BUF', search_rank: 15 },
+  1234: { first_name: 'Josh', last_name: 'Allen', search_full_name: 'joshallen', position: 'LB', team: 'JAX', search_rank: 400 },
+  9999: { first_name: 'Chase', last_name: 'Brown', search_full_name: 'chasebrown', position: 'RB', team: 'CIN', search_rank: 80 },
+  9997: { first_name: 'Tank', last_name: 'Dell', search_full_name: 'tankdell', position: 'WR', team: 'HOU', search_rank: 120 },
+  9226: { first_name: 'Tank', last_name: 'Bigsby', search_full_name: 'tankbigsby', position: 'RB', team: 'JAX', search_rank: 110 }
+}
+
+describe('PlayerSearchService', () => {
+  let database
+  let playerSearchService
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    database = require('../../src/config/database')
+    await database.connect()
+    await database.replacePlayers(players)
+    playerSearchService = require('../../src/services/playerSearchService')
+  })
+
+  afterAll(async () => {
+    await database.close()
+    console.log.mockRestore()
+  })
+
+  test('finds misspelled names through fuzzy and phonetic matching', async () => {
+    const [chase] = await playerSearchService.searchPlayersByName('Jamar Chase', 5)
+    expect(chase).toMatchObject({ player_id: '7564' })
+    expect(['fuzzy', 'phonetic']).toContain(chase.matched_on)
+
+    const [mahomes] = await playerSearchService.searchPlayersByName('Mahommes', 5)
+    expect(mahomes).toMatchObject({ player_id: '4046', matched_on: 'phonetic' })
+    expect(mahomes.score).toBeGreaterThan(60)
+  })
+
+  test('resolves nicknames', async () => {
+    const [player] = await playerSearchService.searchPlayersByName('CMC', 5)
+    expect(player).toMatchObject({ player_id: '4034', matched_on: 'nickname', score: 98 })
+  })
+
+  test('matches shared first names like "Tank" by name rather than through a nickname', async () => {
+    const results = await playerSearchService.searchPlayersByName('Tank', 5)
+    expect(results.map(player => [player.player_id, player.matched_on])).toEqual([['9226', 'exact'], ['9997', 'exact']])
+  })
+
+  test('ranks across all candidates before truncating', async () => {
+    const results = await playerSearchService.searchPlayersByName('josh allen', 1)
+    expect(results).toHaveLength(1)
+    expect(results[0]).toMatchObject({ player_id: '4984', matched_on: 'exact', score: 100 })
+
+    const chaseResults = await playerSearchService.searchPlayersByName('chase', 5)
+    expect(chaseResults.map(player => player.player_id).slice(0, 2)).toEqual(['7564', '9999'])
+  })
+
+  test('rebuilds the index when the player cache is refreshed', async () => {
+    await database.replacePlayers({
+      ...players,
+      11111: { first_name: 'Brock', last_name: 'Purdy', search_full_name: 'brockpurdy', position: 'QB', team: 'SF', search_rank: 40 }
+    })
+
+    const rebuild = jest.spyOn(playerSearchService, 'rebuildSearchIndex')
+    mockCacheService.emit('playersRefreshed')
+    await rebuild.mock.results[0].value
+
+    const [purdy] = await playerSearchService.searchPlayersByName('Brock Purdey', 5)
+    expect(purdy).toMatchObject({ player_id: '11111', team: 'SF' })
+  })
+
+  test('queries positions, teams and IDs from the normalized table', async () => {
+    const quarterbacks = await playerSearchService.searchPlayersByPosition('qb', 10)
+    expect(quarterbacks.map(player => player.player_id)).toEqual(['4984', '4046', '11111'])
+
+    const bengals = await playerSearchService.searchPlayersByTeam('cin', 10)
+    expect(bengals.map(player => player.player_id)).toEqual(['9999', '7564'])
+
+    expect(await playerSearchService.searchPlayerById('4046')).toMatchObject({ last_name: 'Mahomes' })
+    expect(await playerSearchService.searchPlayerById('nope')).toBeNull()
+  })
+
+  test('combines filters and paginates compound queries with a cursor', async () => {
+    const firstPage = await playerSearchService.queryPlayers(
+      { positions: ['QB', 'RB'], teams: ['KC', 'SF', 'CIN'] },
+      { sort: 'search_rank', limit: 2 }
+    )
+    expect(firstPage.total).toBe(4)
+    expect(firstPage.players.map(player => player.player_id)).toEqual(['4034', '4046'])
+    expect(firstPage.nextCursor).toEqual(expect.any(String))
+
+    const secondPage = await playerSearchService.queryPlayers(
+      { positions: ['QB', 'RB'], teams: ['KC', 'SF', 'CIN'] },
+      { sort: 'search_rank', limit: 2, cursor: firstPage.nextCursor }
+    )
+    expect(secondPage.players.map(player => player.player_id)).toEqual(['11111', '9999'])
+    expect(secondPage.nextCursor).toBeNull()
+
+    const byName = await playerSearchService.queryPlayers({ name: 'Josh Allen', positions: ['LB'] })
+    expect(byName.players.map(player => player.player_id)).toEqual(['1234'])
+
+    await expect(playerSearchService.queryPlayers({}, { cursor: 'not-a-cursor' }))
+      .rejects.toMatchObject({ status: 400 })
+  })
+
+  test('waits for the cache refresh before querying an empty table', async () => {
+    const snapshot = await database.all('SELECT player_id, data FROM players')
+    await database.run('DELETE FROM players')
+    playerSearchService.playersAvailable = false
+
+    mockCacheService.refreshPlayerCache.mockImplementationOnce(async () => {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      await database.replacePlayers(Object.fromEntries(snapshot.map(row => [row.player_id, JSON.parse(row.data)])))
+    })
+
+    const result = await playerSearchService.queryPlayers({ teams: ['CIN'] })
+    expect(result.total).toBe(2)
+    expect(playerSearchService.playersAvailable).toBe(true)
+  })
+})
@@ -0,0 +1,94 @@
+const { computePowerRankings } = require('../../src/utils/powerRankings')
+
+const rosters = [1, 2, 3, 4].map(rosterId => ({ roster_id: rosterId, owner_id: `u${rosterId}` }))
+const users = [{ user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Aces' } }]
+
+const weeklyMatchups = [
+  {
+    week: 1,
+    matchups: [
+      { roster_id: 1, matchup_id: 1, points: 120 },
+      { roster_id: 2, matchup_id: 1, points: 100 },
+      { roster_id: 3, matchup_id: 2, points: 90 },
+      { roster_id: 4, matchup_id: 2, points: 80 }
+    ]
+  },
+  {
+    week: 2,
+    matchups: [
+      { roster_id: 1, matchup_id: 1, points: 70 },
+      { roster_id: 3, matchup_id: 1, points: 110 },
+      { roster_id: 2, matchup_id: 2, points: 130 },
+      { roster_id: 4, matchup_id: 2, points: 60 }
+    ]
+  }
+]
+
+describe('power rankings', () => {
+  test('ranks by all-play record, points-for percentile and recent form', () => {
+    const rankings = computePowerRankings({ rosters, users, weeklyMatchups })
+
+    expect(rankings.map(row => row.roster_id)).toEqual([2, 1, 3, 4])
+    expect(rankings.map(row => row.power_score)).toEqual([88.33, 56.67, 55, 0])
+
+    const aces = rankings.find(row => row.roster_id === 1)
+    expect(aces.team_name).toBe('Aces')
+    expect(aces.record).toEqual({ wins: 1, losses: 1, ties: 0 })
+    expect(aces.all_play).toEqual({ wins: 4, losses: 2, ties: 0, pct: 0.67 })
+    expect(aces.points_for).toBe(190)
+    expect(aces.points_for_percentile).toBe(0.33)
+  })
+
+  test('reports expected wins and luck against the all-play record', () => {
+    const rankings = computePowerRankings({ rosters, users, weeklyMatchups })
+    const byRoster = Object.fromEntries(rankings.map(row => [row.roster_id, row]))
+
+    expect(byRoster[2]).toMatchObject({ expected_wins: 1.67, actual_wins: 1, luck: -0.67 })
+    expect(byRoster[3]).toMatchObject({ expected_wins: 1, actual_wins: 2, luck: 1 })
+    expect(byRoster[4]).toMatchObject({ expected_wins: 0, actual_wins: 0, luck: 0 })
+  })
+
+  test('tracks each team week by week', () => {
+    const rankings = computePowerRankings({ rosters, users, weeklyMatchups })
+    const trajectory = rankings.find(row => row.roster_id === 1).trajectory
+
+    expect(trajectory).toEqual([
+      { week: 1, points: 120, result: 'W', all_play_wins: 3, all_play_losses: 0, expected_wins: 1, actual_wins: 1, power_score: 100, power_rank: 1 },
+      { week: 2, points: 70, result: 'L', all_play_wins: 1, all_play_losses: 2, expected_wins: 1.33, actual_wins: 1, power_score: 56.67, power_rank: 2 }
+    ])
+  })
+
+  test('splits all-play ties', () => {
+    const rankings = computePowerRankings({
+      rosters: rosters.slice(0, 2),
+      weeklyMatchups: [{
+        week: 1,
+        matchups: [
+          { roster_id: 1, matchup_id: 1, points: 100 },
+          { roster_id: 2, matchup_id: 1, points: 100 }
+        ]
+      }]
+    })
+
+    expect(rankings[0].record).toEqual({ wins: 0, losses: 0, ties: 1 })
+    expect(rankings[0].all_play).toEqual({ wins: 0, losses: 0, ties: 1, pct: 0.5 })
+    expect(rankings[0].luck).toBe(0)
+  })
+
+  test('uses commissioner-adjusted custom_points over points', () => {
+    const rankings = computePowerRankings({
+      rosters: rosters.slice(0, 2),
+      weeklyMatchups: [{
+        week: 1,
+        matchups: [
+          { roster_id: 1, matchup_id: 1, points: 100, custom_points: 90 },
+          { roster_id: 2, matchup_id: 1, points: 95 }
+        ]
+      }]
+    })
+
+    const byRoster = Object.fromEntries(rankings.map(row => [row.roster_id, row]))
+    expect(byRoster[1]).toMatchObject({ points_for: 90, record: { wins: 0, losses: 1, ties: 0 } })
+    expect(byRoster[2]).toMatchObject({ points_for: 95, record: { wins: 1, losses: 0, ties: 0 } })
+  })
+})
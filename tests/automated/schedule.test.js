@@ -0,0 +1,79 @@
+const { inferScheduleOptions, parseScheduleFile, byeWeeksByTeam, teamsOnBye, teamsYetToPlay, rosterByeConflicts } = require('../../src/utils/schedule')
+
+// Four teams over three weeks; each team sits out one week
+const games = [
+  { season: '2024', week: 1, home_team: 'KC', away_team: 'BUF' },
+  { season: '2024', week: 2, home_team: 'KC', away_team: 'SF' },
+  { season: '2024', week: 2, home_team: 'BUF', away_team: 'MIA' },
+  { season: '2024', week: 3, home_team: 'SF', away_team: 'MIA' }
+]
+
+describe('schedule', () => {
+  test('parses CSV schedules, mapping team codes and dropping non-regular season games', () => {
+    const csv = [
+      'season,game_type,week,gameday,away_team,home_team',
+      '2024,REG,1,2024-09-05,BAL,KC',
+      '2024,REG,1,2024-09-08,LA,DET',
+      '2024,REG,2,2024-09-15,XYZ,KC',
+      '2024,WC,19,2025-01-11,LAC,HOU'
+    ].join('\n')
+
+    const { games: parsed, skipped } = parseScheduleFile(csv, 'csv')
+
+    expect(skipped).toBe(1)
+    expect(parsed).toEqual([
+      { season: '2024', week: 1, home_team: 'KC', away_team: 'BAL', kickoff: '2024-09-05' },
+      { season: '2024', week: 1, home_team: 'DET', away_team: 'LAR', kickoff: '2024-09-08' }
+    ])
+  })
+
+  test('parses JSON game lists with a default season', () => {
+    const json = JSON.stringify({ games: [{ week: 4, home: 'wsh', away: 'jac' }] })
+
+    expect(parseScheduleFile(json, 'json', { season: '2023' }).games).toEqual([
+      { season: '2023', week: 4, home_team: 'WAS', away_team: 'JAX', kickoff: null }
+    ])
+    expect(inferScheduleOptions('data/schedule_2024.csv')).toEqual({ season: '2024', format: 'csv' })
+  })
+
+  test('derives bye weeks from weeks without a game', () => {
+    const byeWeeks = byeWeeksByTeam(games)
+
+    expect(Object.fromEntries(byeWeeks)).toEqual({ BUF: [3], KC: [3], MIA: [1], SF: [1] })
+    expect(teamsOnBye(byeWeeks, 3)).toEqual(['BUF', 'KC'])
+  })
+
+  test('lists teams whose game has not kicked off', () => {
+    const week = [
+      { week: 5, home_team: 'KC', away_team: 'BUF', kickoff: '2024-10-06T17:00:00Z' },
+      { week: 5, home_team: 'SF', away_team: 'MIA', kickoff: '2024-10-07T00:20:00Z' },
+      { week: 5, home_team: 'DET', away_team: 'LAR', kickoff: null }
+    ]
+
+    expect([...teamsYetToPlay(week, 5, Date.parse('2024-10-06T20:00:00Z'))].sort()).toEqual(['DET', 'LAR', 'MIA', 'SF'])
+    expect(teamsYetToPlay(week, 6)).toBeNull()
+  })
+
+  test('flags bye weeks that leave starting slots empty', () => {
+    const players = {
+      qb1: { position: 'QB', team: 'KC' },
+      qb2: { position: 'QB', team: 'SF' },
+      rb1: { position: 'RB', team: 'BUF' },
+      wr1: { position: 'WR', team: 'KC' },
+      wr2: { position: 'WR', team: 'MIA' }
+    }
+
+    const weeks = rosterByeConflicts({
+      rosterPositions: ['QB', 'RB', 'FLEX', 'BN'],
+      playerIds: ['qb1', 'qb2', 'rb1', 'wr1', 'wr2'],
+      players,
+      byeWeeks: byeWeeksByTeam(games)
+    })
+
+    expect(weeks.map(week => [week.week, week.open_slots, week.full_lineup])).toEqual([
+      [1, [], true],
+      [3, ['RB'], false]
+    ])
+    expect(weeks[1].players_on_bye.map(player => player.player_id)).toEqual(['qb1', 'rb1', 'wr1'])
+  })
+})
@@ -0,0 +1,49 @@
+const { scoreStatLine, resolveScoringSettings, scoringDifferences, rescoreWeek } = require('../../src/utils/scoring')
+
+const leagueSettings = { pass_yd: 0.04, pass_td: 4, rush_yd: 0.1, rec: 1, rec_yd: 0.1, rec_td: 6, bonus_rec_te: 0.5 }
+
+describe('scoring', () => {
+  test('scoreStatLine multiplies matching stats and applies position reception bonuses', () => {
+    const stats = { rec: 6, rec_yd: 72, rec_td: 1, rush_yd: 4 }
+    expect(scoreStatLine(stats, leagueSettings, 'WR')).toBe(19.6)
+    expect(scoreStatLine(stats, leagueSettings, 'TE')).toBe(22.6)
+  })
+
+  test('resolveScoringSettings layers a preset and overrides over league settings', () => {
+    const settings = resolveScoringSettings(leagueSettings, { preset: 'half_ppr', overrides: { pass_td: 6 } })
+    expect(settings).toMatchObject({ rec: 0.5, pass_td: 6, rec_yd: 0.1 })
+    expect(scoringDifferences(leagueSettings, settings)).toEqual({
+      rec: { from: 1, to: 0.5 },
+      pass_td: { from: 4, to: 6 }
+    })
+  })
+
+  test('rescoreWeek compares outcomes and keeps actual points for starters without stats', () => {
+    const result = rescoreWeek({
+      matchups: [
+        { roster_id: 1, matchup_id: 1, points: 30, starters: ['wr1', 'qb1'], players_points: { wr1: 18, qb1: 12 } },
+        { roster_id: 2, matchup_id: 1, points: 28, starters: ['rb1', '0'], players_points: { rb1: 28 } }
+      ],
+      statLines: {
+        wr1: { rec: 10, rec_yd: 80 },
+        rb1: { rush_yd: 200, rec: 8 }
+      },
+      players: { wr1: { position: 'WR' }, rb1: { position: 'RB' }, qb1: { position: 'QB' } },
+      scoringSettings: resolveScoringSettings(leagueSettings, { preset: 'standard' })
+    })
+
+    expect(result.teams.map(team => [team.roster_id, team.actual_points, team.alternative_points])).toEqual([
+      [1, 30, 20],
+      [2, 28, 20]
+    ])
+    expect(result.teams[0].starters[1]).toMatchObject({ player_id: 'qb1', alternative_points: 12, stats_missing: true })
+    expect(result.matchups).toEqual([{
+      matchup_id: 1,
+      roster_ids: [1, 2],
+      actual_winner_roster_id: 1,
+      alternative_winner_roster_id: null,
+      outcome_changed: true
+    }])
+    expect(result.missing_stats).toEqual(['qb1'])
+  })
+})
@@ -0,0 +1,112 @@
+const { computeStandings } = require('../../src/utils/standings')
+
+describe('computeStandings', () => {
+  const rosters = [
+    { roster_id: 1, owner_id: 'u1', settings: { division: 1 } },
+    { roster_id: 2, owner_id: 'u2', settings: { division: 1 } },
+    { roster_id: 3, owner_id: 'u3', settings: { division: 2 } },
+    { roster_id: 4, owner_id: 'u4', settings: { division: 2 } }
+  ]
+
+  const users = [
+    { user_id: 'u1', display_name: 'alpha', metadata: { team_name: 'Alpha Dogs' } },
+    { user_id: 'u2', display_name: 'bravo', metadata: {} },
+    { user_id: 'u3', display_name: 'charlie' },
+    { user_id: 'u4', display_name: 'delta' }
+  ]
+
+  const weeks = [
+    {
+      week: 1,
+      matchups: [
+        { roster_id: 1, matchup_id: 1, points: 120 },
+        { roster_id: 2, matchup_id: 1, points: 100 },
+        { roster_id: 3, matchup_id: 2, points: 90 },
+        { roster_id: 4, matchup_id: 2, points: 95.5 }
+      ]
+    },
+    {
+      week: 2,
+      matchups: [
+        { roster_id: 1, matchup_id: 1, points: 80 },
+        { roster_id: 3, matchup_id: 1, points: 110 },
+        { roster_id: 2, matchup_id: 2, points: 105 },
+        { roster_id: 4, matchup_id: 2, points: 101 }
+      ]
+    }
+  ]
+
+  test('computes records, points, streaks and division records', () => {
+    const standings = computeStandings({ rosters, users, weeks, divisionNames: { 1: 'North' } })
+    const byRoster = Object.fromEntries(standings.map(row => [row.roster_id, row]))
+
+    expect(byRoster[1]).toMatchObject({
+      team_name: 'Alpha Dogs',
+      wins: 1,
+      losses: 1,
+      points_for: 200,
+      points_against: 210,
+      streak: 'L1',
+      division_name: 'North',
+      division_record: { wins: 1, losses: 0, ties: 0 }
+    })
+    expect(byRoster[2].team_name).toBe('bravo')
+    expect(byRoster[4]).toMatchObject({ wins: 1, losses: 1, points_for: 196.5, division_name: 'Division 2' })
+  })
+
+  test('breaks ties by head-to-head before points for', () => {
+    const standings = computeStandings({ rosters, users, weeks })
+
+    // Every team is 1-1 and not all have met, so points for (then points against) decides
+    expect(standings.map(row => row.roster_id)).toEqual([2, 3, 1, 4])
+    expect(standings[0].tiebreaker).toBe('points_for')
+
+    const twoTeams = computeStandings({
+      rosters: rosters.slice(0, 2),
+      users,
+      weeks: [
+        { week: 1, matchups: [{ roster_id: 1, matchup_id: 1, points: 90 }, { roster_id: 2, matchup_id: 1, points: 100 }] },
+        { week: 2, matchups: [{ roster_id: 1, matchup_id: 1, points: 150 }, { roster_id: 2, matchup_id: 1, points: 80 }] },
+        { week: 3, matchups: [{ roster_id: 1, matchup_id: 1, points: 70 }, { roster_id: 2, matchup_id: 1, points: 75 }] },
+        { week: 4, matchups: [{ roster_id: 1, matchup_id: 1, points: 100 }, { roster_id: 2, matchup_id: 1, points: 90 }] }
+      ]
+    })
+
+    // 2-2 each and split head-to-head, so points for (roster 1) decides
+    expect(twoTeams[0]).toMatchObject({ roster_id: 1, tiebreaker: 'points_for' })
+
+    const headToHead = computeStandings({
+      rosters,
+      users,
+      weeks: [
+        { week: 1, matchups: [{ roster_id: 1, matchup_id: 1, points: 91 }, { roster_id: 2, matchup_id: 1, points: 90 }, { roster_id: 3, matchup_id: 2, points: 100 }, { roster_id: 4, matchup_id: 2, points: 50 }] },
+        { week: 2, matchups: [{ roster_id: 1, matchup_id: 1, points: 60 }, { roster_id: 3, matchup_id: 1, points: 100 }, { roster_id: 2, matchup_id: 2, points: 150 }, { roster_id: 4, matchup_id: 2, points: 50 }] }
+      ]
+    })
+
+    // Rosters 1 and 2 are both 1-1; roster 1 won their meeting despite scoring 89 fewer points
+    expect(headToHead.map(row => row.roster_id)).toEqual([3, 1, 2, 4])
+    expect(headToHead[1]).toMatchObject({ roster_id: 1, points_for: 151, tiebreaker: 'head_to_head' })
+    expect(headToHead[2]).toMatchObject({ roster_id: 2, points_for: 240 })
+  })
+
+  test('uses commissioner-adjusted custom_points over points', () => {
+    const standings = computeStandings({
+      rosters: rosters.slice(0, 2),
+      users,
+      weeks: [{ week: 1, matchups: [{ roster_id: 1, matchup_id: 1, points: 100, custom_points: 90 }, { roster_id: 2, matchup_id: 1, points: 95 }] }]
+    })
+
+    expect(standings[0]).toMatchObject({ roster_id: 2, wins: 1, points_against: 90 })
+    expect(standings[1]).toMatchObject({ roster_id: 1, losses: 1, points_for: 90 })
+  })
+
+  test('counts an extra game against the weekly median when enabled', () => {
+    const standings = computeStandings({ rosters, users, weeks: weeks.slice(0, 1), medianMatch: true })
+    const team1 = standings.find(row => row.roster_id === 1)
+    const team3 = standings.find(row => row.roster_id === 3)
+
+    expect(team1).toMatchObject({ wins: 2, losses: 0 })
+    expect(team3).toMatchObject({ wins: 0, losses: 2 })
+  })
+})
@@ -0,0 +1,93 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.DATABASE_PATH = ':memory:'
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+const { parseCSV, inferImportOptions, parseStatsFile } = require('../../src/utils/statsImport')
+
+describe('statsImport', () => {
+  test('parseCSV handles quoted fields, escaped quotes and CRLF', () => {
+    const records = parseCSV('player_id,name,rec\r\n4046,"Mahomes, ""PM""",0\r\n\r\n6794,Jefferson,9\r\n')
+    expect(records).toEqual([
+      { player_id: '4046', name: 'Mahomes, "PM"', rec: '0' },
+      { player_id: '6794', name: 'Jefferson', rec: '9' }
+    ])
+  })
+
+  test('inferImportOptions reads kind, season, week and format from file names', () => {
+    expect(inferImportOptions('/data/imports/stats_2024_week7.csv')).toEqual({ kind: 'stats', season: '2024', week: 7, format: 'csv' })
+    expect(inferImportOptions('projections-2024-08.json')).toEqual({ kind: 'projections', season: '2024', week: 8, format: 'json' })
+    expect(inferImportOptions('stats_2024.json')).toEqual({ kind: 'stats', season: '2024', week: null, format: 'json' })
+    expect(inferImportOptions('notes.txt')).toBeNull()
+  })
+
+  test('parseStatsFile keeps numeric stats and skips rows without a season, week or stats', () => {
+    const csv = 'player_id,season,week,team,pass_yd,pass_td\n4046,2024,7,KC,301,2\n,2024,7,KC,100,1\n6794,,,MIN,,\n'
+    expect(parseStatsFile(csv, 'csv', {})).toEqual({
+      lines: [{ player_id: '4046', season: '2024', week: 7, stats: { pass_yd: 301, pass_td: 2 } }],
+      skipped: 2
+    })
+
+    // Sleeper's own shape: an object keyed by player_id, with season and week from the defaults
+    const json = JSON.stringify({ 6794: { rec: 9, rec_yd: 120.5 }, 4034: {} })
+    expect(parseStatsFile(json, 'json', { season: '2024', week: 8 })).toEqual({
+      lines: [{ player_id: '6794', season: '2024', week: 8, stats: { rec: 9, rec_yd: 120.5 } }],
+      skipped: 1
+    })
+  })
+
+  test('parseStatsFile falls back to the file season and week for blank cells', () => {
+    const csv = 'player_id,season,week,rec\n6794,,,9\n4046,2023, ,1\n'
+    expect(parseStatsFile(csv, 'csv', { season: '2024', week: 7 })).toEqual({
+      lines: [
+        { player_id: '6794', season: '2024', week: 7, stats: { rec: 9 } },
+        { player_id: '4046', season: '2023', week: 7, stats: { rec: 1 } }
+      ],
+      skipped: 0
+    })
+  })
+})
+
+describe('statsService.importDirectory', () => {
+  let database
+  let statsService
+  let tempDir
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stat-imports-'))
+    database = require('../../src/config/database')
+    await database.connect()
+    statsService = require('../../src/services/statsService')
+  })
+
+  afterAll(async () => {
+    await database.close()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    console.log.mockRestore()
+  })
+
+  test('retries a failed file only after it changes', async () => {
+    const filePath = path.join(tempDir, 'stats_2024_week7.json')
+    fs.writeFileSync(filePath, '{ not json')
+
+    const [failed] = await statsService.importDirectory(tempDir)
+    expect(failed).toMatchObject({ file: filePath, error: expect.any(String) })
+    expect(await database.getStatImport(filePath)).toMatchObject({ kind: 'stats', rows_imported: 0, error: expect.any(String) })
+
+    expect(await statsService.importDirectory(tempDir)).toEqual([])
+
+    fs.writeFileSync(filePath, JSON.stringify({ 6794: { rec: 9 } }))
+    fs.utimesSync(filePath, new Date(), new Date(Date.now() + 5000))
+    expect(await statsService.importDirectory(tempDir)).toEqual([{ file: filePath, kind: 'stats', imported: 1, skipped: 0 }])
+    expect(await database.getStatImport(filePath)).toMatchObject({ rows_imported: 1, error: null })
+  })
+})
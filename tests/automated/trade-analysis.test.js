@@ -0,0 +1,66 @@
+const { describeTransaction } = require('../../src/utils/transactions')
+const { indexMatchupsByRoster, analyzeTrade } = require('../../src/utils/tradeAnalysis')
+
+describe('analyzeTrade', () => {
+  const owners = new Map([
+    [1, { owner_id: 'u1', display_name: 'alpha', team_name: 'Alpha Dogs' }],
+    [2, { owner_id: 'u2', display_name: 'bravo', team_name: 'bravo' }]
+  ])
+  const players = {
+    4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC' },
+    6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN' }
+  }
+  const trade = describeTransaction({
+    transaction_id: 't1',
+    type: 'trade',
+    status: 'complete',
+    leg: 5,
+    roster_ids: [1, 2],
+    adds: { 4046: 2, 6794: 1 },
+    drops: { 4046: 1, 6794: 2 },
+    draft_picks: [{ season: '2025', round: 2, roster_id: 2, previous_owner_id: 2, owner_id: 1 }],
+    status_updated: Date.parse('2024-10-05T12:00:00Z')
+  }, owners, players)
+
+  const weeklyMatchups = [
+    {
+      // Trade processed after week 5 kicked off: Mahomes still scored for roster 1
+      week: 5,
+      matchups: [
+        { roster_id: 1, players: ['4046'], starters: ['4046'], players_points: { 4046: 25 } },
+        { roster_id: 2, players: ['6794'], starters: ['6794'], players_points: { 6794: 18 } }
+      ]
+    },
+    {
+      week: 6,
+      matchups: [
+        { roster_id: 1, players: ['6794'], starters: [], players_points: { 6794: 30 } },
+        { roster_id: 2, players: ['4046'], starters: ['4046'], players_points: { 4046: 22.5 } }
+      ]
+    },
+    {
+      week: 7,
+      matchups: [
+        { roster_id: 1, players: ['6794'], starters: ['6794'], players_points: { 6794: 12 } },
+        { roster_id: 2, players: ['4046'], starters: ['4046'], players_points: { 4046: 8 } }
+      ]
+    }
+  ]
+
+  test('credits production only while on the receiving roster and picks a leader by started points', () => {
+    const tradedPicks = [{ season: '2025', round: 2, roster_id: 2, previous_owner_id: 1, owner_id: 3 }]
+    const analysis = analyzeTrade(trade, indexMatchupsByRoster(weeklyMatchups), tradedPicks)
+
+    const [alpha, bravo] = analysis.sides
+    expect(alpha.players_received[0]).toMatchObject({
+      player_id: '6794',
+      weeks_on_roster: 2,
+      starts: 1,
+      points: 42,
+      started_points: 12
+    })
+    expect(alpha.picks_received[0]).toMatchObject({ season: '2025', round: 2, current_owner_roster_id: 3 })
+    expect(bravo).toMatchObject({ points_since_trade: 30.5, started_points_since_trade: 30.5 })
+    expect(analysis).toMatchObject({ leader_roster_id: 2, margin: 18.5 })
+  })
+})
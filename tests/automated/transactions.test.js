@@ -0,0 +1,172 @@
+const express = require('express')
+const request = require('supertest')
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/middleware/simpleAuth', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { id: 1 }
+    next()
+  }
+  return { requireAPIKey: authenticate, optionalAPIKey: authenticate }
+})
+
+jest.mock('../../src/middleware/authAwareRateLimit', () => {
+  const allow = (req, res, next) => next()
+  return { authAwareRateLimiters: { generalEndpoints: allow, nflStateEndpoint: allow } }
+})
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getLeague: jest.fn(),
+  getSeasonTransactions: jest.fn(),
+  getLeagueRosters: jest.fn(),
+  getLeagueUsers: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+const sleeperService = require('../../src/services/sleeperService')
+const playerSearchService = require('../../src/services/playerSearchService')
+const sleeperRoutes = require('../../src/routes/sleeper')
+const { describeTransaction, filterTransactions } = require('../../src/utils/transactions')
+const { mapWithConcurrency } = require('../../src/utils/concurrency')
+
+describe('transaction feed helpers', () => {
+  const owners = new Map([
+    [1, { owner_id: 'u1', display_name: 'alpha', team_name: 'Alpha Dogs' }],
+    [2, { owner_id: 'u2', display_name: 'bravo', team_name: 'bravo' }]
+  ])
+  const players = {
+    4046: { full_name: 'Patrick Mahomes', position: 'QB', team: 'KC' },
+    6794: { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN' }
+  }
+
+  const trade = {
+    transaction_id: 't1',
+    type: 'trade',
+    status: 'complete',
+    leg: 5,
+    roster_ids: [1, 2],
+    adds: { 4046: 2, 6794: 1 },
+    drops: { 4046: 1, 6794: 2 },
+    draft_picks: [{ season: '2025', round: 1, roster_id: 2, previous_owner_id: 2, owner_id: 1 }],
+    waiver_budget: [{ sender: 1, receiver: 2, amount: 10 }],
+    status_updated: Date.parse('2024-10-05T12:00:00Z')
+  }
+  const waiver = {
+    transaction_id: 'w1',
+    type: 'waiver',
+    status: 'complete',
+    leg: 6,
+    roster_ids: [1],
+    adds: { 999: 1 },
+    drops: null,
+    settings: { waiver_bid: 12 },
+    status_updated: Date.parse('2024-10-09T08:00:00Z')
+  }
+  const failedWaiver = {
+    transaction_id: 'w2',
+    type: 'waiver',
+    status: 'failed',
+    leg: 6,
+    roster_ids: [2],
+    adds: { 999: 2 },
+    drops: null,
+    settings: { waiver_bid: 8 },
+    status_updated: Date.parse('2024-10-09T08:00:00Z')
+  }
+
+  test('resolves players, owners, picks and FAAB per team', () => {
+    const described = describeTransaction(trade, owners, players)
+
+    expect(described).toMatchObject({ transaction_id: 't1', week: 5, status_updated_at: '2024-10-05T12:00:00.000Z' })
+    expect(described.teams[0]).toMatchObject({
+      roster_id: 1,
+      team_name: 'Alpha Dogs',
+      adds: [expect.objectContaining({ full_name: 'Justin Jefferson' })],
+      picks_received: [{ season: '2025', round: 1, original_roster_id: 2, original_team_name: 'bravo' }],
+      faab_sent: 10
+    })
+    expect(described.summary).toBe(
+      'Alpha Dogs receives Justin Jefferson (WR, MIN) and 2025 1st round pick; bravo receives Patrick Mahomes (QB, KC) and $10 FAAB'
+    )
+
+    expect(describeTransaction(waiver, owners, players)).toMatchObject({
+      waiver_bid: 12,
+      summary: 'Alpha Dogs added Unknown player (999)'
+    })
+  })
+
+  test('lists only completed moves unless other statuses are asked for', () => {
+    const all = [waiver, failedWaiver, trade]
+    expect(filterTransactions(all)).toEqual([waiver, trade])
+    expect(filterTransactions(all, { types: ['waiver'], rosterId: 2 })).toEqual([])
+    expect(filterTransactions(all, { statuses: ['failed'] })).toEqual([failedWaiver])
+    expect(filterTransactions(all, { statuses: ['complete', 'failed'], types: ['waiver'] })).toEqual([waiver, failedWaiver])
+  })
+
+  test('filters by type, roster and date range', () => {
+    const all = [waiver, trade]
+    expect(filterTransactions(all, { types: ['trade'] })).toEqual([trade])
+    expect(filterTransactions(all, { rosterId: 2 })).toEqual([trade])
+    expect(filterTransactions(all, { since: Date.parse('2024-10-06T00:00:00Z') })).toEqual([waiver])
+    expect(filterTransactions(all, { until: Date.parse('2024-10-06T00:00:00Z') })).toEqual([trade])
+  })
+
+  test('mapWithConcurrency bounds in-flight calls and keeps order', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise(resolve => setTimeout(resolve, 5 * (6 - value)))
+      inFlight--
+      return value * 10
+    })
+
+    expect(results).toEqual([10, 20, 30, 40, 50])
+    expect(maxInFlight).toBe(2)
+  })
+})
+
+describe('GET /league/:leagueId/transactions', () => {
+  const app = express().use(sleeperRoutes)
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    sleeperService.getLeague.mockResolvedValue({ league_id: '123', season: '2024' })
+    sleeperService.getSeasonTransactions.mockResolvedValue({
+      weeks: [5, 6],
+      transactions: [
+        { transaction_id: 'w1', type: 'waiver', status: 'complete', leg: 6, roster_ids: [1], adds: { 999: 1 }, status_updated: 2 },
+        { transaction_id: 't1', type: 'trade', status: 'complete', leg: 5, roster_ids: [1, 2], adds: { 999: 2 }, status_updated: 1 }
+      ]
+    })
+    sleeperService.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }])
+    sleeperService.getLeagueUsers.mockResolvedValue([])
+    playerSearchService.getPlayersByIds.mockResolvedValue({})
+  })
+
+  test('narrows the feed to the requested types', async () => {
+    const all = await request(app).get('/league/123/transactions')
+    expect(all.status).toBe(200)
+    expect(all.body.transactions.map(transaction => transaction.transaction_id)).toEqual(['w1', 't1'])
+
+    const trades = await request(app).get('/league/123/transactions?type=trade')
+    expect(trades.status).toBe(200)
+    expect(trades.body.total_results).toBe(1)
+    expect(trades.body.transactions.map(transaction => transaction.transaction_id)).toEqual(['t1'])
+  })
+
+  test('rejects unknown types', async () => {
+    const res = await request(app).get('/league/123/transactions?type=trades')
+    expect(res.status).toBe(400)
+  })
+})
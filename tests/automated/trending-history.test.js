@@ -0,0 +1,132 @@
+process.env.DATABASE_PATH = ':memory:'
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/middleware/authAwareRateLimit', () => {
+  const allow = (req, res, next) => next()
+  return { authAwareRateLimiters: { playerEndpoints: allow, searchEndpoints: allow } }
+})
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getAllPlayers: jest.fn(),
+  getTrendingPlayers: jest.fn()
+}))
+
+const express = require('express')
+const request = require('supertest')
+
+const HOUR_MS = 60 * 60 * 1000
+
+describe('CacheService trending snapshots', () => {
+  let database
+  let cacheService
+  let sleeperService
+  let now
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    database = require('../../src/config/database')
+    cacheService = require('../../src/services/cacheService')
+    sleeperService = require('../../src/services/sleeperService')
+    await database.connect()
+
+    // Capture three consecutive hours, ending in the current hour
+    const base = Math.floor(Date.now() / HOUR_MS) * HOUR_MS + 10 * 60 * 1000
+    const hourly = [
+      [{ player_id: '4046', count: 10 }, { player_id: '6794', count: 40 }],
+      [{ player_id: '4046', count: 30 }],
+      [{ player_id: '4046', count: 50 }, { player_id: '6794', count: 5 }]
+    ]
+
+    for (const [index, trending] of hourly.entries()) {
+      now = base - (2 - index) * HOUR_MS
+      jest.spyOn(Date, 'now').mockReturnValue(now)
+      sleeperService.getTrendingPlayers.mockImplementation(async (sport, type) => type === 'add' ? trending : [])
+      await cacheService.captureTrendingSnapshot()
+    }
+  })
+
+  afterAll(async () => {
+    Date.now.mockRestore()
+    await database.close()
+    console.log.mockRestore()
+  })
+
+  test('sums stored hours for windows the series covers', async () => {
+    sleeperService.getTrendingPlayers.mockClear()
+
+    const { players, source, note } = await cacheService.getTrendingPlayersWindow('add', 3, 10)
+    expect(source).toBe('series')
+    expect(note).toMatch(/top-player snapshots/)
+    expect(players).toEqual([
+      { player_id: '4046', count: 90 },
+      { player_id: '6794', count: 45 }
+    ])
+
+    const lastHour = await cacheService.getTrendingPlayersWindow('add', 1, 1)
+    expect(lastHour.players).toEqual([{ player_id: '4046', count: 50 }])
+    expect(sleeperService.getTrendingPlayers).not.toHaveBeenCalled()
+  })
+
+  test('falls back to Sleeper when the series does not cover the window', async () => {
+    sleeperService.getTrendingPlayers.mockResolvedValueOnce([{ player_id: '1', count: 3 }])
+
+    const { players, source } = await cacheService.getTrendingPlayersWindow('add', 72, 50)
+    expect(source).toBe('sleeper')
+    expect(players).toEqual([{ player_id: '1', count: 3 }])
+    expect(sleeperService.getTrendingPlayers).toHaveBeenLastCalledWith('nfl', 'add', 72, 50)
+  })
+
+  test('returns the bare player array unless details are asked for', async () => {
+    const app = express().use(require('../../src/routes/players'))
+
+    const plain = await request(app).get('/nfl/trending/add?lookback_hours=3&limit=1')
+    expect(plain.status).toBe(200)
+    expect(plain.body).toEqual([{ player_id: '4046', count: 90 }])
+
+    const detailed = await request(app).get('/nfl/trending/add?lookback_hours=3&limit=1&details=true')
+    expect(detailed.status).toBe(200)
+    expect(detailed.body).toEqual({
+      type: 'add',
+      lookback_hours: 3,
+      limit: 1,
+      source: 'series',
+      note: expect.stringMatching(/top-player snapshots/),
+      players: [{ player_id: '4046', count: 90 }]
+    })
+  })
+
+  test('builds an hourly history with cumulative counts and velocity', async () => {
+    const history = await cacheService.getTrendingHistory('add', '6794', 4)
+
+    expect(history.points.map(point => point.count)).toEqual([null, 40, 0, 5])
+    expect(history.points.map(point => point.cumulative)).toEqual([0, 40, 40, 45])
+    expect(history.total).toBe(45)
+    expect(history.velocity).toEqual({ recent_per_hour: 15, previous_per_hour: null, change: null })
+  })
+
+  test('does not store overlapping windows when restarted within the hour', async () => {
+    sleeperService.getTrendingPlayers.mockClear()
+    sleeperService.getTrendingPlayers.mockResolvedValue([{ player_id: '4046', count: 999 }])
+
+    // Same hour as the last capture, then the next hour but less than an hour after it
+    for (const offset of [20 * 60 * 1000, 55 * 60 * 1000]) {
+      Date.now.mockReturnValue(now + offset)
+      await cacheService.captureTrendingSnapshot()
+    }
+    Date.now.mockReturnValue(now)
+
+    expect(sleeperService.getTrendingPlayers).not.toHaveBeenCalled()
+    const { players } = await cacheService.getTrendingPlayersWindow('add', 3, 1)
+    expect(players).toEqual([{ player_id: '4046', count: 90 }])
+
+    // Hours with nothing trending still count as captured
+    const drops = await cacheService.getTrendingPlayersWindow('drop', 3, 10)
+    expect(drops).toMatchObject({ players: [], source: 'series' })
+  })
+})
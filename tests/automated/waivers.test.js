@@ -0,0 +1,140 @@
+const express = require('express')
+const request = require('supertest')
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+jest.mock('../../src/middleware/simpleAuth', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { id: 1 }
+    next()
+  }
+  return { requireAPIKey: authenticate, optionalAPIKey: authenticate }
+})
+
+jest.mock('../../src/middleware/authAwareRateLimit', () => {
+  const allow = (req, res, next) => next()
+  return { authAwareRateLimiters: { generalEndpoints: allow, nflStateEndpoint: allow } }
+})
+
+jest.mock('../../src/middleware/userProfile', () => ({
+  loadUserProfile: (req, res, next) => next(),
+  getEffectiveSleeperUserId: () => 'me'
+}))
+
+jest.mock('../../src/services/leagueService', () => ({
+  getWaiverRecommendations: jest.fn()
+}))
+
+const leagueService = require('../../src/services/leagueService')
+const sleeperRoutes = require('../../src/routes/sleeper')
+const { leaguePositions, positionalNeeds, rankWaiverCandidates } = require('../../src/utils/waivers')
+
+const rosterPositions = ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'BN', 'BN', 'IR']
+
+describe('waivers', () => {
+  test('leaguePositions covers every startable position', () => {
+    expect(leaguePositions(rosterPositions).sort()).toEqual(['QB', 'RB', 'TE', 'WR'])
+  })
+
+  test('positionalNeeds compares healthy depth with two players per starting spot', () => {
+    const needs = positionalNeeds({
+      rosterPositions,
+      playerIds: ['qb1', 'qb2', 'rb1', 'rb2', 'wr1'],
+      players: {
+        qb1: { position: 'QB' },
+        qb2: { position: 'QB' },
+        rb1: { position: 'RB' },
+        rb2: { position: 'RB', injury_status: 'IR' },
+        wr1: { position: 'WR' }
+      }
+    })
+
+    expect(needs.QB).toEqual({ wanted: 2, healthy: 2, need: 0 })
+    expect(needs.RB).toEqual({ wanted: 4, healthy: 1, need: 0.75 })
+    // One TE slot wants two TEs; the FLEX is counted once on its own, not split into each position
+    expect(needs.TE).toEqual({ wanted: 2, healthy: 0, need: 1 })
+    expect(needs.FLEX).toEqual({ positions: ['RB', 'WR', 'TE'], wanted: 2, healthy: 0, need: 1 })
+  })
+
+  test('positionalNeeds fills flex depth from players beyond their own slots', () => {
+    const needs = positionalNeeds({
+      rosterPositions: ['QB', 'RB', 'WR', 'TE', 'FLEX', 'SUPER_FLEX'],
+      playerIds: ['qb1', 'qb2', 'qb3', 'rb1', 'rb2', 'rb3', 'wr1', 'wr2', 'te1', 'te2'],
+      players: {
+        qb1: { position: 'QB' },
+        qb2: { position: 'QB' },
+        qb3: { position: 'QB' },
+        rb1: { position: 'RB' },
+        rb2: { position: 'RB' },
+        rb3: { position: 'RB' },
+        wr1: { position: 'WR' },
+        wr2: { position: 'WR' },
+        te1: { position: 'TE' },
+        te2: { position: 'TE' }
+      }
+    })
+
+    expect(needs.TE).toEqual({ wanted: 2, healthy: 2, need: 0 })
+    // The spare RB goes to the FLEX; the spare QB can only help the SUPER_FLEX
+    expect(needs.FLEX).toMatchObject({ wanted: 2, healthy: 1, need: 0.5 })
+    expect(needs.SUPER_FLEX).toMatchObject({ wanted: 2, healthy: 1, need: 0.5 })
+  })
+
+  test('rankWaiverCandidates counts flex needs for every eligible position', () => {
+    const ranked = rankWaiverCandidates({
+      candidates: [
+        { player_id: 'qb9', position: 'QB', search_rank: 10 },
+        { player_id: 'wr9', position: 'WR', search_rank: 11 },
+        { player_id: 'k9', position: 'K', search_rank: 12 }
+      ],
+      needs: { QB: { need: 0 }, WR: { need: 0 }, FLEX: { positions: ['RB', 'WR', 'TE'], need: 1 } }
+    })
+
+    expect(ranked.map(player => [player.player_id, player.need])).toEqual([['wr9', 1], ['qb9', 0], ['k9', 0]])
+  })
+
+  test('rankWaiverCandidates weighs trending adds, search_rank and need', () => {
+    const ranked = rankWaiverCandidates({
+      candidates: [
+        { player_id: 'wr9', full_name: 'Ranked WR', position: 'WR', team: 'DAL', search_rank: 40 },
+        { player_id: 'te9', full_name: 'Needed TE', position: 'TE', team: 'NYJ', search_rank: 80 },
+        { player_id: 'rb9', full_name: 'Hot RB', position: 'RB', team: 'MIA', search_rank: 120 },
+        { player_id: 'k9', full_name: 'Unranked K', position: 'K', team: 'SF' }
+      ],
+      trendingAdds: new Map([['rb9', 5000], ['te9', 1000]]),
+      needs: { TE: { need: 1 }, RB: { need: 0 }, WR: { need: 0 } }
+    })
+
+    expect(ranked.map(player => [player.rank, player.player_id, player.score])).toEqual([
+      [1, 'te9', 54.67],
+      [2, 'rb9', 53.33],
+      [3, 'wr9', 40],
+      [4, 'k9', 0]
+    ])
+    expect(ranked[0]).toMatchObject({ full_name: 'Needed TE', trending_adds: 1000, need: 1 })
+  })
+})
+
+describe('GET /league/:leagueId/waivers', () => {
+  const app = express().use(sleeperRoutes)
+
+  test('rejects unknown positions instead of returning nothing', async () => {
+    const res = await request(app).get('/league/123/waivers?position=WRR')
+    expect(res.status).toBe(400)
+    expect(res.body.details[0].msg).toMatch(/^Position must be among: QB, RB, WR, TE, K, DEF/)
+    expect(leagueService.getWaiverRecommendations).not.toHaveBeenCalled()
+  })
+
+  test('passes valid positions through uppercased', async () => {
+    leagueService.getWaiverRecommendations.mockResolvedValue({ roster_id: 1, total_free_agents: 0, recommendations: [] })
+
+    const res = await request(app).get('/league/123/waivers?position=rb,wr&limit=5')
+    expect(res.status).toBe(200)
+    expect(leagueService.getWaiverRecommendations).toHaveBeenCalledWith('123', { sleeperUserId: 'me', positions: ['RB', 'WR'], limit: 5 })
+  })
+})
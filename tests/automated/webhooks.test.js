@@ -0,0 +1,221 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+const mockClient = { post: jest.fn() }
+jest.mock('axios', () => ({
+  create: jest.fn(() => mockClient)
+}))
+
+jest.mock('../../src/config/database', () => ({
+  getWebhookCursor: jest.fn(),
+  setWebhookCursor: jest.fn(),
+  logWebhookDelivery: jest.fn(),
+  transaction: jest.fn(),
+  queueWebhookDelivery: jest.fn(),
+  getDueWebhookDeliveries: jest.fn(),
+  rescheduleWebhookDelivery: jest.fn(),
+  removeQueuedWebhookDelivery: jest.fn()
+}))
+
+jest.mock('../../src/services/sleeperService', () => ({
+  getTransactionWeeks: jest.fn(),
+  getLeagueTransactions: jest.fn(),
+  getLeagueDrafts: jest.fn(),
+  getDraftPicks: jest.fn()
+}))
+
+jest.mock('../../src/services/playerSearchService', () => ({
+  getPlayersByIds: jest.fn()
+}))
+
+jest.mock('../../src/services/leagueService', () => ({}))
+
+const database = require('../../src/config/database')
+const sleeperService = require('../../src/services/sleeperService')
+const playerSearchService = require('../../src/services/playerSearchService')
+const webhookService = require('../../src/services/webhookService')
+const { signPayload, isPublicAddress, isAllowedWebhookHost, lookupPublicAddress } = require('../../src/utils/webhooks')
+
+const owners = new Map([
+  [1, { owner_id: 'u1', display_name: 'alice', team_name: 'Alpha' }],
+  [2, { owner_id: 'u2', display_name: 'bob', team_name: 'Bravo' }]
+])
+
+describe('WebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    webhookService.retryDelay = 0
+    webhookService.completedDrafts.clear()
+    database.logWebhookDelivery.mockResolvedValue({})
+    database.setWebhookCursor.mockResolvedValue({})
+    database.transaction.mockImplementation(work => work())
+    playerSearchService.getPlayersByIds.mockResolvedValue({
+      4034: { full_name: 'Christian McCaffrey', position: 'RB', team: 'SF' }
+    })
+  })
+
+  test('signs queued deliveries, reschedules server errors and logs every attempt', async () => {
+    const payload = webhookService.buildPayload('trade', '123', { transaction_id: 'tx1' })
+    const queued = { id: 11, webhook_id: 7, url: 'https://bot.example.com/hook', secret: 'whsec_test', payload }
+    mockClient.post
+      .mockResolvedValueOnce({ status: 503 })
+      .mockResolvedValueOnce({ status: 204 })
+
+    database.getDueWebhookDeliveries.mockResolvedValueOnce([{ ...queued, attempts: 0 }])
+    await webhookService.processQueue()
+    expect(database.rescheduleWebhookDelivery).toHaveBeenCalledWith(11, 1, 0)
+    expect(database.removeQueuedWebhookDelivery).not.toHaveBeenCalled()
+
+    database.getDueWebhookDeliveries.mockResolvedValueOnce([{ ...queued, attempts: 1 }])
+    await webhookService.processQueue()
+    expect(database.removeQueuedWebhookDelivery).toHaveBeenCalledWith(11)
+
+    expect(database.logWebhookDelivery).toHaveBeenCalledTimes(2)
+    expect(database.logWebhookDelivery.mock.calls[0][0]).toMatchObject({ attempt: 1, success: false, status_code: 503, error: 'HTTP 503' })
+    expect(database.logWebhookDelivery.mock.calls[1][0]).toMatchObject({ attempt: 2, success: true, status_code: 204 })
+
+    const [url, body, { headers }] = mockClient.post.mock.calls[1]
+    expect(url).toBe('https://bot.example.com/hook')
+    expect(JSON.parse(body)).toMatchObject({ event: 'trade', league_id: '123', data: { transaction_id: 'tx1' } })
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${signPayload('whsec_test', headers['X-Webhook-Timestamp'], body)}`)
+  })
+
+  test('drops client errors and exhausted deliveries instead of retrying', async () => {
+    const payload = webhookService.buildPayload('ping', '1', {})
+    mockClient.post.mockResolvedValueOnce({ status: 404 }).mockResolvedValueOnce({ status: 500 })
+
+    expect(await webhookService.deliverQueued({ id: 1, webhook_id: 1, url: 'https://x.test', secret: 's', payload, attempts: 0 })).toBe(false)
+    expect(await webhookService.deliverQueued({ id: 2, webhook_id: 1, url: 'https://x.test', secret: 's', payload, attempts: webhookService.maxAttempts - 1 })).toBe(false)
+
+    expect(database.rescheduleWebhookDelivery).not.toHaveBeenCalled()
+    expect(database.removeQueuedWebhookDelivery.mock.calls).toEqual([[1], [2]])
+  })
+
+  test('a failing receiver only holds up its own queued events', async () => {
+    const delivery = (id, webhookId, url) => ({ id, webhook_id: webhookId, url, secret: 's', attempts: 0, payload: webhookService.buildPayload('trade', '1', { id }) })
+    database.getDueWebhookDeliveries.mockResolvedValueOnce([
+      delivery(1, 1, 'https://dead.test'),
+      delivery(2, 2, 'https://alive.test'),
+      delivery(3, 1, 'https://dead.test'),
+      delivery(4, 2, 'https://alive.test')
+    ])
+    mockClient.post.mockImplementation(async (url) => {
+      if (url === 'https://dead.test') throw Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' })
+      return { status: 200 }
+    })
+
+    await webhookService.processQueue()
+
+    expect(mockClient.post.mock.calls.map(([url]) => url).filter(url => url === 'https://dead.test')).toHaveLength(1)
+    expect(database.rescheduleWebhookDelivery).toHaveBeenCalledWith(1, 1, 0)
+    expect(database.removeQueuedWebhookDelivery.mock.calls).toEqual([[2], [4]])
+    expect(database.logWebhookDelivery.mock.calls[0][0].error).toBe('Timed out')
+  })
+
+  test('queues events and advances cursors together', async () => {
+    const webhooks = [
+      { id: 1, events: ['trade'] },
+      { id: 2, events: ['trade', 'draft_pick'] }
+    ]
+    const order = []
+    database.queueWebhookDelivery.mockImplementation(async (webhookId, payload) => order.push(['queue', webhookId, payload.event]))
+    database.setWebhookCursor.mockImplementation(async (leagueId, kind, value) => order.push(['cursor', kind, value]))
+
+    await webhookService.enqueue(webhooks, '123', [
+      { event: 'trade', data: {} },
+      { event: 'draft_pick', data: {} }
+    ], new Map([['transactions', 300], ['draft:d1', 4]]))
+
+    expect(database.transaction).toHaveBeenCalledTimes(1)
+    expect(order).toEqual([
+      ['queue', 1, 'trade'],
+      ['queue', 2, 'trade'],
+      ['queue', 2, 'draft_pick'],
+      ['cursor', 'transactions', 300],
+      ['cursor', 'draft:d1', 4]
+    ])
+    expect(mockClient.post).not.toHaveBeenCalled()
+  })
+
+  test('refuses private and loopback destinations without sending or retrying', async () => {
+    for (const url of ['http://169.254.169.254/latest', 'http://127.0.0.1:3000', 'http://[::1]/hook', 'http://10.0.0.5', 'http://192.168.1.10', 'http://localhost/hook']) {
+      const result = await webhookService.sendAttempt({ id: 1, url, secret: 's' }, webhookService.buildPayload('ping', '1', {}), 1)
+      expect(result).toMatchObject({ success: false, status_code: null, error: 'Destination address not allowed', retryable: false })
+    }
+    expect(mockClient.post).not.toHaveBeenCalled()
+  })
+
+  test('reports a generic reason instead of the upstream error message', async () => {
+    mockClient.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:8080'), { code: 'ECONNREFUSED' }))
+
+    const result = await webhookService.sendAttempt({ id: 1, url: 'https://x.test', secret: 's' }, webhookService.buildPayload('ping', '1', {}), 1)
+
+    expect(result).toMatchObject({ success: false, error: 'Connection failed', retryable: true })
+    expect(database.logWebhookDelivery.mock.calls[0][0].error).toBe('Connection failed')
+  })
+
+  test('classifies destination addresses', (done) => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.1', '169.254.169.254', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isPublicAddress(address)).toBe(false)
+    }
+    expect(isPublicAddress('93.184.216.34')).toBe(true)
+    expect(isPublicAddress('2606:4700::1111')).toBe(true)
+    expect(isAllowedWebhookHost('bot.example.com')).toBe(true)
+    expect(isAllowedWebhookHost('[::1]')).toBe(false)
+
+    lookupPublicAddress('localhost', { all: true }, (error) => {
+      expect(error.code).toBe('EWEBHOOKBLOCKED')
+      done()
+    })
+  })
+
+  test('emits only transactions completed after the stored cursor', async () => {
+    sleeperService.getTransactionWeeks.mockResolvedValue([1, 2, 3])
+    sleeperService.getLeagueTransactions.mockImplementation(async (leagueId, week) => {
+      if (week === 2) return [{ transaction_id: 'old', type: 'free_agent', status: 'complete', status_updated: 100, roster_ids: [1], adds: { 4034: 1 } }]
+      return [
+        { transaction_id: 'trade', type: 'trade', status: 'complete', status_updated: 300, roster_ids: [1, 2], adds: { 4034: 2 }, drops: { 4034: 1 } },
+        { transaction_id: 'pending', type: 'waiver', status: 'failed', status_updated: 400, roster_ids: [1] }
+      ]
+    })
+
+    // The first check only records where the league is up to
+    const cursors = new Map()
+    database.getWebhookCursor.mockResolvedValueOnce(null)
+    expect(await webhookService.detectTransactions('123', {}, owners, cursors)).toEqual([])
+    expect(cursors.get('transactions')).toBe(300)
+    expect(database.setWebhookCursor).not.toHaveBeenCalled()
+    expect(sleeperService.getLeagueTransactions).toHaveBeenCalledTimes(2)
+
+    database.getWebhookCursor.mockResolvedValueOnce('100')
+    const events = await webhookService.detectTransactions('123', {}, owners, cursors)
+
+    expect(events).toHaveLength(1)
+    expect(events[0].event).toBe('trade')
+    expect(events[0].data.transaction_id).toBe('trade')
+    expect(events[0].data.teams.find(team => team.roster_id === 2).adds[0].full_name).toBe('Christian McCaffrey')
+  })
+
+  test('reports every pick of drafts seen before they start', async () => {
+    sleeperService.getLeagueDrafts.mockResolvedValue([{ draft_id: 'd1', status: 'pre_draft' }])
+    const cursors = new Map()
+    database.getWebhookCursor.mockResolvedValueOnce(null)
+    expect(await webhookService.detectDraftPicks('123', owners, cursors)).toEqual([])
+    expect(cursors.get('draft:d1')).toBe(0)
+
+    sleeperService.getLeagueDrafts.mockResolvedValue([{ draft_id: 'd1', status: 'drafting' }])
+    sleeperService.getDraftPicks.mockResolvedValue([{ pick_no: 1, round: 1, draft_slot: 1, roster_id: 1, player_id: '4034' }])
+    database.getWebhookCursor.mockResolvedValueOnce('0')
+    const events = await webhookService.detectDraftPicks('123', owners, cursors)
+
+    expect(events).toEqual([{
+      event: 'draft_pick',
+      data: expect.objectContaining({ draft_id: 'd1', pick_no: 1, team_name: 'Alpha', player: expect.objectContaining({ full_name: 'Christian McCaffrey' }) })
+    }])
+    expect(cursors.get('draft:d1')).toBe(1)
+  })
+})
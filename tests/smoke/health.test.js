@@ -4,7 +4,8 @@ const express = require('express')
 // Mock the cacheService BEFORE importing any modules that use it
 const mockGetCacheStatus = jest.fn()
 jest.mock('../../src/services/cacheService', () => ({
-  getCacheStatus: mockGetCacheStatus
+  getCacheStatus: mockGetCacheStatus,
+  on: jest.fn()
 }))
 
 jest.mock('../../src/config/logger', () => ({